@@ -0,0 +1,89 @@
+// src/components/ClubPicker.js
+//
+// Row of the player's clubs for tagging the next shot logged in ShotTable.
+// The club suggested for the current yardage is marked so it can be picked
+// with one tap.
+
+import React from "react";
+import { View, ScrollView, TouchableOpacity, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { getClub } from "../services/clubService";
+
+/**
+ * ClubPicker Component
+ *
+ * @param {Object} props
+ * @param {Array} props.bag - Club ids in the player's bag
+ * @param {string} props.selectedClub - Club id for the next shot, or null
+ * @param {string} props.suggestedClub - Club id suggested for the current distance, or null
+ * @param {Function} props.onSelectClub - Called with a club id, or null to clear the selection
+ */
+export default function ClubPicker({ bag = [], selectedClub = null, suggestedClub = null, onSelectClub }) {
+  return (
+    <View style={styles.container}>
+      <Typography variant="caption" style={styles.label}>
+        Club for next shot
+      </Typography>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {bag.map(clubId => {
+          const club = getClub(clubId);
+          if (!club) return null;
+
+          const isSelected = clubId === selectedClub;
+          const isSuggested = clubId === suggestedClub;
+
+          return (
+            <TouchableOpacity
+              key={clubId}
+              style={[
+                styles.chip,
+                isSuggested && styles.suggestedChip,
+                isSelected && styles.selectedChip
+              ]}
+              onPress={() => onSelectClub(isSelected ? null : clubId)}
+              accessibilityLabel={club.label}
+            >
+              <Typography
+                variant="caption"
+                weight={isSelected ? "semibold" : "normal"}
+                color={isSelected ? theme.colors.primary : theme.colors.text}
+              >
+                {club.shortLabel}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 10,
+    marginBottom: 8,
+  },
+  label: {
+    color: "#666",
+    marginBottom: 4,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 6,
+  },
+  suggestedChip: {
+    borderColor: theme.colors.accent,
+    borderStyle: "dashed",
+  },
+  selectedChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+    borderStyle: "solid",
+  }
+});
@@ -4,12 +4,25 @@
 // This enhances the premium perception of GPS distance features by aligning with our design system
 // and creates a more monetizable premium experience.
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { View, StyleSheet, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import * as Location from 'expo-location';
 import Typography from '../ui/components/Typography';
 import theme from '../ui/theme';
+import { calculateDistance, getGreenCoordinates, getHoleHazards, getTeePosition } from '../services/geoService';
+import { suggestClub } from '../services/clubService';
+import { createConditions, getElevationChange, getPlaysLikeDistance, isTeeFix } from '../services/playsLikeService';
+import {
+  MOTION_STATES,
+  ACCURACY_LEVELS,
+  getLocationOptions,
+  getAccuracyLevel,
+  createLocationFilterState,
+  filterLocation
+} from '../services/locationService';
+import HazardPanel from './HazardPanel';
+import PlaysLikeConditions from './PlaysLikeConditions';
 
 /**
  * Distance Indicator Component
@@ -17,84 +30,67 @@ import theme from '../ui/theme';
  * Shows distances to the green based on GPS or falls back to static hole data.
  * This is a premium feature with high visibility in the user experience, making
  * consistent visual presentation critical for perceived value.
+ * Tapping the indicator opens a panel with bunker and water distances and
+ * layup targets, measured from the tee until GPS has a fix. Below it, the
+ * plays-like distance adjusts the centre distance for the height of the green
+ * and any wind and temperature the player enters; the club suggestion uses it.
+ * The player's height comes from the tee's, moved by the phone's altitude
+ * change since a fix on the tee, and is marked approximate without one.
+ * GPS fixes go through locationService, which drops inaccurate fixes, smooths
+ * the rest and slows polling while the player stands still.
  * 
  * @param {Object} props
  * @param {Object} props.holeData - Current hole data with distance and poi info
  * @param {boolean} props.active - Whether component should actively update location
  * @param {function} props.onPermissionChange - Callback when GPS permission changes
+ * @param {function} props.onLocationUpdate - Called with each GPS fix: { lat, lng, accuracy, timestamp, distanceToGreen }
+ * @param {Object} props.clubStats - Per-club distances; when given with bag, a club is suggested for the distance
+ * @param {Array} props.bag - Club ids in the player's bag
+ * @param {function} props.onClubSuggestion - Called with the suggested club id (or null) when it changes
+ * @param {boolean} props.batterySaver - Poll GPS slowly for the whole round
  */
 const DistanceIndicator = ({ 
   holeData, 
   active = true,
-  onPermissionChange = null
+  onPermissionChange = null,
+  onLocationUpdate = null,
+  clubStats = null,
+  bag = null,
+  onClubSuggestion = null,
+  batterySaver = false
 }) => {
   // State for distance calculations
   const [centerDistance, setCenterDistance] = useState(null);
   const [frontDistance, setFrontDistance] = useState(null);
   const [backDistance, setBackDistance] = useState(null);
+  const [position, setPosition] = useState(null);
+  const [showHazards, setShowHazards] = useState(false);
+  const [conditions, setConditions] = useState(createConditions); // Wind and temperature entered by the player
+  const [showConditions, setShowConditions] = useState(false);
   
   // State for GPS status
   const [hasPermission, setHasPermission] = useState(null);
   const [usingGPS, setUsingGPS] = useState(false);
   const [locationError, setLocationError] = useState(null);
-  const [locationSubscription, setLocationSubscription] = useState(null);
+  const [accuracy, setAccuracy] = useState(null); // Metres, from the latest fix
+  const [motion, setMotion] = useState(MOTION_STATES.MOVING); // Sets how often GPS is polled
   
-  // Calculate distance between two coordinate points using Haversine formula
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    // Radius of the Earth in yards
-    const R = 6371 * 1093.61; // Earth's radius in km converted to yards
-    
-    // Convert degrees to radians
-    const dLat = (lat2 - lat1) * (Math.PI / 180);
-    const dLon = (lon2 - lon1) * (Math.PI / 180);
-    
-    // Haversine formula
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(lat1 * (Math.PI / 180)) * Math.cos(lat2 * (Math.PI / 180)) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    const distance = R * c;
-    
-    return Math.round(distance); // Round to nearest yard
-  };
+  // The location watcher keeps the callback it was started with, so it reads
+  // the current hole and callback through refs rather than a stale closure
+  const holeDataRef = useRef(holeData);
+  const onLocationUpdateRef = useRef(onLocationUpdate);
+  const lastPositionRef = useRef(null);
+  const teeFixRef = useRef(null); // { tee, fix } - the latest fix taken on a tee
+  const filterStateRef = useRef(createLocationFilterState());
+  const locationSubscriptionRef = useRef(null);
+  // Bumped by every start and stop, so a watcher that finishes starting after
+  // a newer start, a stop or unmount knows to remove itself
+  const trackingTokenRef = useRef(0);
+  holeDataRef.current = holeData;
+  onLocationUpdateRef.current = onLocationUpdate;
   
-  // Helper to find green POI coordinates
-  const findGreenCoordinates = useCallback(() => {
-    // Default to null values
-    let center = null;
-    let front = null;
-    let back = null;
-    
-    // Check if hole has POI data with green coordinates
-    if (holeData?.poi?.greens && Array.isArray(holeData.poi.greens)) {
-      // Find coordinates for each position
-      holeData.poi.greens.forEach(greenPoi => {
-        if (greenPoi.location === 'center' || greenPoi.location === 'middle') {
-          center = { lat: greenPoi.lat, lng: greenPoi.lng };
-        } else if (greenPoi.location === 'front') {
-          front = { lat: greenPoi.lat, lng: greenPoi.lng };
-        } else if (greenPoi.location === 'back') {
-          back = { lat: greenPoi.lat, lng: greenPoi.lng };
-        }
-      });
-      
-      // If we only have one coordinate, use it for all positions
-      if (center && !front && !back) {
-        front = center;
-        back = center;
-      } else if (!center && front && back) {
-        // If we have front and back but no center, estimate center
-        center = {
-          lat: (front.lat + back.lat) / 2,
-          lng: (front.lng + back.lng) / 2
-        };
-      }
-    }
-    
-    return { center, front, back };
-  }, [holeData]);
+  // Green coordinates for the current hole
+  const findGreenCoordinates = useCallback(() => getGreenCoordinates(holeDataRef.current), []);
   
   // Request location permissions
   const requestLocationPermission = async () => {
@@ -120,26 +116,25 @@ const DistanceIndicator = ({
   
   // Start location tracking
   const startLocationTracking = async () => {
+    const token = ++trackingTokenRef.current;
+    
     // Check if we need to request permission
     if (hasPermission === null) {
       const granted = await requestLocationPermission();
-      if (!granted) return;
+      if (!granted || token !== trackingTokenRef.current) return;
     } else if (hasPermission === false) {
       return; // Permission already denied
     }
     
     try {
       // First stop any existing subscription
-      if (locationSubscription) {
-        locationSubscription.remove();
+      if (locationSubscriptionRef.current) {
+        locationSubscriptionRef.current.remove();
+        locationSubscriptionRef.current = null;
       }
       
-      // Configure location tracking options
-      const options = {
-        accuracy: Location.Accuracy.BestForNavigation,
-        timeInterval: 750, // Update every 2 seconds
-        distanceInterval: 1  // Or when moved 5 meters
-      };
+      // Poll quickly while walking, slowly while standing or saving battery
+      const options = getLocationOptions(motion, batterySaver);
       
       // Start watching position
       const subscription = await Location.watchPositionAsync(
@@ -147,11 +142,18 @@ const DistanceIndicator = ({
         handleLocationUpdate
       );
       
-      setLocationSubscription(subscription);
+      // Superseded while starting - don't leave this watcher polling
+      if (token !== trackingTokenRef.current) {
+        subscription.remove();
+        return;
+      }
+      
+      locationSubscriptionRef.current = subscription;
       setUsingGPS(true);
       setLocationError(null);
       
     } catch (err) {
+      if (token !== trackingTokenRef.current) return;
       console.error('Error starting location tracking:', err);
       setLocationError('GPS error');
       setUsingGPS(false);
@@ -163,9 +165,10 @@ const DistanceIndicator = ({
   
   // Stop location tracking
   const stopLocationTracking = () => {
-    if (locationSubscription) {
-      locationSubscription.remove();
-      setLocationSubscription(null);
+    trackingTokenRef.current += 1;
+    if (locationSubscriptionRef.current) {
+      locationSubscriptionRef.current.remove();
+      locationSubscriptionRef.current = null;
     }
     setUsingGPS(false);
   };
@@ -177,19 +180,57 @@ const DistanceIndicator = ({
       return;
     }
     
-    const { latitude, longitude } = location.coords;
+    const { state, position: fix } = filterLocation(filterStateRef.current, location);
+    filterStateRef.current = state;
+    
+    // Keep showing the last good distances, but let the indicator show the weak signal
+    if (!fix) {
+      if (typeof location.coords.accuracy === 'number') {
+        setAccuracy(Math.round(location.coords.accuracy));
+      }
+      return;
+    }
+    
+    setAccuracy(fix.accuracy);
+    setMotion(state.motion);
+    applyPosition(fix);
+  };
+  
+  // Work out distances from a smoothed position
+  const applyPosition = (fix) => {
+    const { lat: latitude, lng: longitude } = fix;
+    lastPositionRef.current = fix;
+    
+    // Anchor altitude readings on this hole's tee
+    const currentTee = getTeePosition(holeDataRef.current);
+    if (isTeeFix(fix, currentTee)) {
+      teeFixRef.current = { tee: currentTee, fix };
+    }
+    setPosition(fix);
     
     // Get green coordinates
     const { center, front, back } = findGreenCoordinates();
     
     // Calculate distances if we have coordinates
+    let distanceToCenter = null;
     if (center) {
-      const distanceToCenter = calculateDistance(
+      distanceToCenter = calculateDistance(
         latitude, longitude, center.lat, center.lng
       );
       setCenterDistance(distanceToCenter);
     }
     
+    // Let the tracker attach the position to the next shot it records
+    if (onLocationUpdateRef.current) {
+      onLocationUpdateRef.current({
+        lat: latitude,
+        lng: longitude,
+        accuracy: fix.accuracy,
+        timestamp: fix.timestamp,
+        distanceToGreen: distanceToCenter
+      });
+    }
+    
     if (front) {
       const distanceToFront = calculateDistance(
         latitude, longitude, front.lat, front.lng
@@ -225,6 +266,7 @@ const DistanceIndicator = ({
       setFrontDistance(null);
       setBackDistance(null);
     }
+    setPosition(null);
   }, [holeData]);
   
   // Start/stop location updates based on active prop
@@ -241,6 +283,25 @@ const DistanceIndicator = ({
     };
   }, [active]);
   
+  // Restart the watch when the player starts or stops walking, or changes battery saver
+  useEffect(() => {
+    if (active && locationSubscriptionRef.current) {
+      startLocationTracking();
+    }
+  }, [motion, batterySaver]);
+  
+  // Recalculate from the last known position when the hole changes
+  useEffect(() => {
+    if (usingGPS && lastPositionRef.current) {
+      applyPosition(lastPositionRef.current);
+    }
+  }, [holeData]);
+  
+  // Wind is entered per hole; the temperature carries on to the next one
+  useEffect(() => {
+    setConditions(prev => ({ ...createConditions(), temperature: prev.temperature }));
+  }, [holeData?.poi]);
+  
   // Update static distances when hole data changes or GPS isn't working
   useEffect(() => {
     if (!usingGPS || locationError) {
@@ -269,6 +330,40 @@ const DistanceIndicator = ({
     checkPermission();
   }, []);
 
+  const accuracyLevel = getAccuracyLevel(accuracy);
+  const accuracyColor = !accuracyLevel ? theme.colors.primary
+    : accuracyLevel === ACCURACY_LEVELS.GOOD ? theme.colors.success
+    : accuracyLevel === ACCURACY_LEVELS.FAIR ? theme.colors.accent
+    : theme.colors.error;
+  
+  // Height of the green above the player, or above the tee before there is a GPS fix
+  const { center: greenCenter } = getGreenCoordinates(holeData);
+  const tee = getTeePosition(holeData);
+  const teeFix = tee && teeFixRef.current
+    && teeFixRef.current.tee.lat === tee.lat && teeFixRef.current.tee.lng === tee.lng
+    ? teeFixRef.current.fix
+    : null;
+  const elevation = getElevationChange(greenCenter, tee, usingGPS ? position : null, teeFix);
+  const elevationChange = elevation ? elevation.yards : null;
+  const playsLike = getPlaysLikeDistance(centerDistance || holeData?.distance, { elevationChange, conditions });
+  const isAdjusted = playsLike !== null && playsLike.playsLike !== playsLike.raw;
+  
+  // Club for the plays-like distance to the centre of the green
+  const suggestion = clubStats && bag
+    ? suggestClub(playsLike?.playsLike || centerDistance || holeData?.distance, clubStats, bag)
+    : null;
+  const suggestedClubId = suggestion?.club.id || null;
+  
+  // Hazards ahead of the player, or of the tee before there is a GPS fix
+  const hazardOrigin = (usingGPS && position) || getTeePosition(holeData);
+  const hazards = showHazards && hazardOrigin ? getHoleHazards(holeData, hazardOrigin) : [];
+  
+  useEffect(() => {
+    if (onClubSuggestion) {
+      onClubSuggestion(suggestedClubId);
+    }
+  }, [suggestedClubId]);
+  
   // Determine what content to show based on our current state
   const renderContent = () => {
     // Loading state while checking permission or starting GPS
@@ -294,46 +389,112 @@ const DistanceIndicator = ({
     
     // Show distances with appropriate indicators
     return (
-      <View style={styles.distancesContainer}>
-        {/* GPS indicator */}
-        <View style={styles.gpsIndicator}>
+      <>
+        <TouchableOpacity
+          style={styles.distancesContainer}
+          onPress={() => setShowHazards(show => !show)}
+          activeOpacity={0.7}
+          accessibilityLabel={showHazards ? 'Hide hazard distances' : 'Show hazard distances'}
+        >
+          {/* GPS indicator, coloured by the accuracy of the latest fix */}
+          <View style={styles.gpsIndicator}>
+            <Ionicons 
+              name={!usingGPS ? "location-outline" : batterySaver ? "leaf-outline" : "locate"} 
+              size={14} 
+              color={usingGPS ? accuracyColor : "#999"} 
+            />
+            {usingGPS && accuracy !== null && (
+              <Typography variant="caption" style={[styles.accuracyText, { color: accuracyColor }]}>
+                ±{accuracy}m
+              </Typography>
+            )}
+          </View>
+        
+          {/* Center distance (most prominent) */}
+          <View style={styles.mainDistanceContainer}>
+            <Typography variant="subtitle" weight="bold" style={styles.mainDistance}>
+              {centerDistance || holeData.distance || '---'}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              yd (C)
+            </Typography>
+          </View>
+        
+          {/* Front distance */}
+          <View style={styles.secondaryDistanceContainer}>
+            <Typography variant="body" style={styles.secondaryDistance}>
+              {frontDistance || (holeData.distance ? Math.max(0, holeData.distance - 10) : '---')}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              yd (F)
+            </Typography>
+          </View>
+        
+          {/* Back distance */}
+          <View style={styles.secondaryDistanceContainer}>
+            <Typography variant="body" style={styles.secondaryDistance}>
+              {backDistance || (holeData.distance ? holeData.distance + 10 : '---')}
+            </Typography>
+            <Typography variant="caption" style={styles.distanceLabel}>
+              yd (B)
+            </Typography>
+          </View>
+        
+          {/* Club suggestion from the player's average distances */}
+          {suggestion && (
+            <View style={styles.suggestionContainer}>
+              <Typography variant="body" weight="semibold" color={theme.colors.primary}>
+                {suggestion.club.shortLabel}
+              </Typography>
+              <Typography variant="caption" style={styles.distanceLabel}>
+                {suggestion.dispersion !== null ? ` ±${suggestion.dispersion}` : ''}
+              </Typography>
+            </View>
+          )}
+        
           <Ionicons 
-            name={usingGPS ? "locate" : "location-outline"} 
+            name={showHazards ? "chevron-up" : "chevron-down"} 
             size={14} 
-            color={usingGPS ? theme.colors.primary : "#999"} 
+            color="#999" 
           />
-        </View>
-        
-        {/* Center distance (most prominent) */}
-        <View style={styles.mainDistanceContainer}>
-          <Typography variant="subtitle" weight="bold" style={styles.mainDistance}>
-            {centerDistance || holeData.distance || '---'}
-          </Typography>
-          <Typography variant="caption" style={styles.distanceLabel}>
-            yd (C)
-          </Typography>
-        </View>
-        
-        {/* Front distance */}
-        <View style={styles.secondaryDistanceContainer}>
-          <Typography variant="body" style={styles.secondaryDistance}>
-            {frontDistance || (holeData.distance ? Math.max(0, holeData.distance - 10) : '---')}
-          </Typography>
-          <Typography variant="caption" style={styles.distanceLabel}>
-            yd (F)
-          </Typography>
-        </View>
+        </TouchableOpacity>
+      
+        {/* Plays-like distance, with the wind and temperature that go into it */}
+        {playsLike && (
+          <TouchableOpacity
+            style={styles.playsLikeRow}
+            onPress={() => setShowConditions(show => !show)}
+            accessibilityLabel="Set wind and temperature"
+          >
+            <Typography variant="caption" style={styles.distanceLabel}>
+              {isAdjusted ? 'Plays like ' : 'Plays like: set wind or temperature'}
+            </Typography>
+            {isAdjusted && (
+              <Typography variant="body" weight="semibold" color={theme.colors.primary}>
+                {elevation && !elevation.reliable ? '~' : ''}{playsLike.playsLike} yd
+              </Typography>
+            )}
+            <Ionicons name="partly-sunny-outline" size={14} color="#999" style={styles.playsLikeIcon} />
+          </TouchableOpacity>
+        )}
+        {showConditions && (
+          <PlaysLikeConditions
+            conditions={conditions}
+            playsLike={playsLike}
+            elevation={elevation}
+            onChange={setConditions}
+          />
+        )}
         
-        {/* Back distance */}
-        <View style={styles.secondaryDistanceContainer}>
-          <Typography variant="body" style={styles.secondaryDistance}>
-            {backDistance || (holeData.distance ? holeData.distance + 10 : '---')}
-          </Typography>
-          <Typography variant="caption" style={styles.distanceLabel}>
-            yd (B)
-          </Typography>
-        </View>
-      </View>
+        {/* Bunker, water and layup distances */}
+        {showHazards && (
+          <HazardPanel
+            hazards={hazards}
+            centerDistance={centerDistance || holeData.distance || null}
+            fromTee={!(usingGPS && position)}
+          />
+        )}
+      </>
     );
   };
   
@@ -385,10 +546,13 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
   },
   gpsIndicator: {
-    width: 24,
+    width: 32,
     alignItems: 'center',
     justifyContent: 'center',
   },
+  accuracyText: {
+    fontSize: 9,
+  },
   mainDistanceContainer: {
     flexDirection: 'row',
     alignItems: 'baseline',
@@ -411,6 +575,22 @@ const styles = StyleSheet.create({
   distanceLabel: {
     color: '#666',
   },
+  playsLikeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+    paddingLeft: 32,
+  },
+  playsLikeIcon: {
+    marginLeft: 6,
+  },
+  suggestionContainer: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    paddingLeft: 8,
+    borderLeftWidth: 1,
+    borderLeftColor: '#ddd',
+  },
   permissionContainer: {
     flexDirection: 'row',
     alignItems: 'center',
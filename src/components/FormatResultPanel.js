@@ -0,0 +1,156 @@
+// src/components/FormatResultPanel.js
+//
+// A round's result in its scoring format - Stableford points, the match
+// play standing or skins won - as stored by completeRound.
+
+import React from "react";
+import { View, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { SCORING_FORMATS, getScoringFormat } from "../services/scoringFormatService";
+
+// The round's own player is stored without a name
+const getPlayerName = (player) => player?.name || "You";
+
+const getHandicapLabel = (handicap) => (handicap === null || handicap === undefined ? "" : `(${handicap})`);
+
+/**
+ * FormatResultPanel Component
+ *
+ * @param {Object} props
+ * @param {Object} props.result - Result of calculateFormatResult, or null for stroke play
+ */
+export default function FormatResultPanel({ result }) {
+  if (!result) return null;
+
+  const renderPlayerRows = (valueKey, unit) =>
+    [...result.players]
+      .sort((a, b) => b[valueKey] - a[valueKey])
+      .map(player => (
+        <View key={player.id} style={styles.row}>
+          <Typography variant="body" style={styles.label}>
+            {getPlayerName(player)} {getHandicapLabel(player.handicap)}
+          </Typography>
+          <Typography variant="body" weight="semibold" style={styles.value}>
+            {player[valueKey]} {unit}
+          </Typography>
+        </View>
+      ));
+
+  const renderMatchPlay = () => {
+    const [first, second] = result.players;
+    const leader = result.standing > 0 ? first : result.standing < 0 ? second : null;
+
+    return (
+      <>
+        <Typography variant="body" weight="semibold" style={styles.matchStatus}>
+          {!leader ? result.status : result.finished
+            ? `${getPlayerName(leader)} won ${result.status}`
+            : `${result.status} - ${getPlayerName(leader)}`}
+        </Typography>
+        <Typography variant="caption" style={styles.note}>
+          {getPlayerName(first)} v {getPlayerName(second)}
+          {result.receiver !== null ? ` • ${getPlayerName(result.players[result.receiver])} received ${result.strokesGiven}` : ""}
+        </Typography>
+        <View style={styles.holeStrip}>
+          {result.holes.map(hole => (
+            <View key={hole.number} style={styles.holeCell}>
+              <Typography variant="caption" style={styles.note}>{hole.number}</Typography>
+              <Typography
+                variant="caption"
+                weight="semibold"
+                color={hole.standing > 0 ? theme.colors.success : hole.standing < 0 ? theme.colors.error : theme.colors.text}
+              >
+                {hole.standing === 0 ? "AS" : Math.abs(hole.standing)}
+              </Typography>
+            </View>
+          ))}
+        </View>
+      </>
+    );
+  };
+
+  const renderSkins = () => (
+    <>
+      {renderPlayerRows("skins", "skins")}
+      {result.carryover > 0 && (
+        <Typography variant="caption" style={styles.note}>
+          {result.carryover} {result.carryover === 1 ? "skin" : "skins"} still carried over at the end of the round.
+        </Typography>
+      )}
+    </>
+  );
+
+  let content = null;
+  switch (result.format) {
+    case SCORING_FORMATS.STABLEFORD_NET:
+    case SCORING_FORMATS.STABLEFORD_GROSS:
+      content = renderPlayerRows("points", "pts");
+      break;
+    case SCORING_FORMATS.MATCH_PLAY:
+      content = renderMatchPlay();
+      break;
+    case SCORING_FORMATS.SKINS:
+      content = renderSkins();
+      break;
+    default:
+      return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Typography variant="body" weight="semibold" style={styles.title}>
+        {getScoringFormat(result.format).label}
+      </Typography>
+      {content}
+      {result.playerScoredGross && (
+        <Typography variant="caption" style={styles.note}>
+          You were scored gross - there was no handicap for this tee when the round was completed.
+        </Typography>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    padding: theme.spacing.medium,
+    marginTop: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#e0e0e0",
+  },
+  title: {
+    marginBottom: theme.spacing.small,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  label: {
+    flex: 1,
+  },
+  value: {
+    width: 80,
+    textAlign: "right",
+  },
+  matchStatus: {
+    marginBottom: 4,
+  },
+  note: {
+    color: "#666",
+  },
+  holeStrip: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: theme.spacing.small,
+  },
+  holeCell: {
+    width: 32,
+    alignItems: "center",
+    marginBottom: 6,
+  }
+});
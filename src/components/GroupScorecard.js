@@ -0,0 +1,114 @@
+// src/components/GroupScorecard.js
+//
+// Side-by-side scores for everyone in a multi-player round - the player
+// whose round it is plus up to three partners scored on the same phone.
+
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { getPartnerTotal } from "../services/partnerService";
+import theme from "../ui/theme";
+
+/**
+ * GroupScorecard Component
+ *
+ * @param {Object} props
+ * @param {Array} props.holes - Holes in playing order: { number, par, score }
+ * @param {Array} props.partners - Partners on the round: { id, name, profile_id, scores }
+ * @param {string} props.playerName - Column label for the round's owner
+ */
+export default function GroupScorecard({ holes = [], partners = [], playerName = "Me" }) {
+  if (partners.length === 0) return null;
+
+  const totalPar = holes.reduce((sum, hole) => sum + (hole.par || 0), 0);
+  const playerTotal = holes.reduce((sum, hole) => sum + (hole.score || 0), 0);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Group</Text>
+
+      <View style={[styles.row, styles.headerRow]}>
+        <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
+        <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
+        <Text style={[styles.playerColumn, styles.headerText]} numberOfLines={1}>{playerName}</Text>
+        {partners.map(partner => (
+          <Text key={partner.id} style={[styles.playerColumn, styles.headerText]} numberOfLines={1}>
+            {partner.name}
+          </Text>
+        ))}
+      </View>
+
+      {holes.map(hole => (
+        <View key={`group-hole-${hole.number}`} style={styles.row}>
+          <Text style={styles.holeColumn}>{hole.number}</Text>
+          <Text style={styles.parColumn}>{hole.par || "-"}</Text>
+          <Text style={styles.playerColumn}>{hole.score || "-"}</Text>
+          {partners.map(partner => (
+            <Text key={partner.id} style={styles.playerColumn}>
+              {partner.scores?.[hole.number] ?? "-"}
+            </Text>
+          ))}
+        </View>
+      ))}
+
+      <View style={[styles.row, styles.totalRow]}>
+        <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
+        <Text style={[styles.parColumn, styles.totalText]}>{totalPar || "-"}</Text>
+        <Text style={[styles.playerColumn, styles.totalText]}>{playerTotal}</Text>
+        {partners.map(partner => (
+          <Text key={partner.id} style={[styles.playerColumn, styles.totalText]}>
+            {getPartnerTotal(partner)}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: "#e0e0e0",
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: theme.colors.primary,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  row: {
+    flexDirection: "row",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  headerRow: {
+    backgroundColor: "#f5f5f5",
+    paddingVertical: 10,
+  },
+  totalRow: {
+    backgroundColor: "#f5f5f5",
+  },
+  holeColumn: {
+    width: 50,
+    textAlign: "center",
+    fontWeight: "500",
+  },
+  parColumn: {
+    width: 50,
+    textAlign: "center",
+  },
+  playerColumn: {
+    flex: 1,
+    textAlign: "center",
+    paddingHorizontal: 2,
+  },
+  headerText: {
+    fontWeight: "bold",
+    fontSize: 12,
+  },
+  totalText: {
+    fontWeight: "bold",
+  }
+});
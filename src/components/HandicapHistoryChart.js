@@ -0,0 +1,83 @@
+// src/components/HandicapHistoryChart.js
+//
+// Line chart of the calculated handicap index after each counting round.
+
+import React from "react";
+import { View, StyleSheet, Dimensions } from "react-native";
+import { LineChart } from "react-native-chart-kit";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+// Points shown - the index after each of the most recent rounds
+const MAX_POINTS = 20;
+
+const chartConfig = {
+  backgroundGradientFrom: "#fff",
+  backgroundGradientTo: "#fff",
+  decimalPlaces: 1,
+  color: (opacity = 1) => `rgba(0, 122, 255, ${opacity})`,
+  labelColor: (opacity = 1) => `rgba(102, 102, 102, ${opacity})`,
+  propsForDots: {
+    r: "3",
+  },
+};
+
+const formatDateLabel = (date) => {
+  const parsed = new Date(date);
+  return `${parsed.getMonth() + 1}/${parsed.getDate()}`;
+};
+
+/**
+ * HandicapHistoryChart Component
+ *
+ * @param {Object} props
+ * @param {Array} props.history - Result of buildHandicapHistory, oldest first
+ * @param {number} props.width - Chart width (defaults to the screen width less padding)
+ */
+export default function HandicapHistoryChart({ history = [], width }) {
+  const points = history.filter(entry => entry.index !== null).slice(-MAX_POINTS);
+
+  if (points.length < 2) {
+    return (
+      <Typography variant="caption" style={styles.emptyText}>
+        Your handicap history will appear here once a few more rounds have been scored.
+      </Typography>
+    );
+  }
+
+  // Label every few points so dates don't overlap
+  const labelEvery = Math.ceil(points.length / 5);
+
+  return (
+    <View style={styles.container}>
+      <LineChart
+        data={{
+          labels: points.map((entry, position) => (position % labelEvery === 0 ? formatDateLabel(entry.date) : "")),
+          datasets: [{ data: points.map(entry => entry.index) }]
+        }}
+        width={width || Dimensions.get("window").width - theme.spacing.medium * 4}
+        height={180}
+        chartConfig={chartConfig}
+        withShadow={false}
+        withInnerLines={false}
+        segments={4}
+        bezier
+        style={styles.chart}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: "center",
+    marginTop: theme.spacing.small,
+  },
+  chart: {
+    borderRadius: 8,
+  },
+  emptyText: {
+    color: "#666",
+    marginTop: theme.spacing.small,
+  }
+});
@@ -0,0 +1,205 @@
+// src/components/HazardPanel.js
+//
+// Reach and carry distances to the bunkers and water on the current hole,
+// nearest first, with layup targets - how far to hit to leave a chosen
+// distance to the centre of the green. The layup targets picked are kept
+// between rounds.
+
+import React, { useState, useEffect } from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+// Layup targets picked by the player, in yards to the centre of the green
+const LAYUP_TARGETS_KEY = "layupTargets";
+
+// Distances offered as layup targets
+const LAYUP_OPTIONS = [50, 75, 100, 125, 150];
+const DEFAULT_LAYUP_TARGETS = [100];
+
+const HAZARD_ICONS = {
+  bunker: "ellipse-outline",
+  water: "water-outline"
+};
+
+/**
+ * HazardPanel Component
+ *
+ * @param {Object} props
+ * @param {Array} props.hazards - Result of getHoleHazards
+ * @param {number} props.centerDistance - Yards to the centre of the green
+ * @param {boolean} props.fromTee - Whether distances are measured from the tee rather than a GPS fix
+ */
+export default function HazardPanel({ hazards = [], centerDistance = null, fromTee = false }) {
+  const [layupTargets, setLayupTargets] = useState(DEFAULT_LAYUP_TARGETS);
+  const [editingTargets, setEditingTargets] = useState(false);
+
+  // Load the layup targets the player last picked
+  useEffect(() => {
+    AsyncStorage.getItem(LAYUP_TARGETS_KEY)
+      .then(value => {
+        if (value !== null) setLayupTargets(JSON.parse(value));
+      })
+      .catch(error => console.error("Error loading layup targets:", error));
+  }, []);
+
+  const toggleLayupTarget = (target) => {
+    const next = layupTargets.includes(target)
+      ? layupTargets.filter(existing => existing !== target)
+      : [...layupTargets, target].sort((a, b) => a - b);
+
+    setLayupTargets(next);
+    AsyncStorage.setItem(LAYUP_TARGETS_KEY, JSON.stringify(next))
+      .catch(error => console.error("Error saving layup targets:", error));
+  };
+
+  // Only targets short of the green are worth laying up to
+  const layups = centerDistance
+    ? layupTargets.filter(target => target < centerDistance).map(target => ({
+      target,
+      hit: centerDistance - target
+    }))
+    : [];
+
+  return (
+    <View style={styles.container}>
+      {fromTee && (
+        <Typography variant="caption" style={styles.note}>
+          Measured from the tee until GPS has a fix
+        </Typography>
+      )}
+
+      {hazards.length === 0 ? (
+        <Typography variant="caption" style={styles.note}>
+          No bunkers or water ahead on this hole
+        </Typography>
+      ) : (
+        hazards.map(hazard => (
+          <View key={hazard.id} style={styles.row}>
+            <Ionicons
+              name={HAZARD_ICONS[hazard.kind]}
+              size={14}
+              color={hazard.kind === "water" ? theme.colors.primary : theme.colors.accent}
+              style={styles.icon}
+            />
+            <Typography variant="caption" style={styles.label}>
+              {hazard.label}
+            </Typography>
+            {hazard.carry > hazard.reach ? (
+              <Typography variant="caption" style={styles.value}>
+                {hazard.reach} reach • <Typography variant="caption" weight="semibold">{hazard.carry} carry</Typography>
+              </Typography>
+            ) : (
+              <Typography variant="caption" weight="semibold" style={styles.value}>
+                {hazard.reach} yd
+              </Typography>
+            )}
+          </View>
+        ))
+      )}
+
+      <View style={styles.layupHeader}>
+        <Typography variant="caption" weight="semibold">Layup</Typography>
+        <TouchableOpacity
+          onPress={() => setEditingTargets(editing => !editing)}
+          accessibilityLabel="Choose layup targets"
+        >
+          <Ionicons name={editingTargets ? "checkmark" : "options-outline"} size={16} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+
+      {editingTargets ? (
+        <View style={styles.targetChips}>
+          {LAYUP_OPTIONS.map(target => {
+            const isSelected = layupTargets.includes(target);
+            return (
+              <TouchableOpacity
+                key={target}
+                style={[styles.chip, isSelected && styles.selectedChip]}
+                onPress={() => toggleLayupTarget(target)}
+              >
+                <Typography
+                  variant="caption"
+                  weight={isSelected ? "semibold" : "normal"}
+                  color={isSelected ? theme.colors.primary : theme.colors.text}
+                >
+                  {target}
+                </Typography>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      ) : layups.length === 0 ? (
+        <Typography variant="caption" style={styles.note}>
+          {centerDistance ? "Inside your layup distances" : "No distance to the green yet"}
+        </Typography>
+      ) : (
+        layups.map(layup => (
+          <View key={layup.target} style={styles.row}>
+            <Typography variant="caption" style={styles.label}>
+              {layup.target} yds to center
+            </Typography>
+            <Typography variant="caption" weight="semibold" style={styles.value}>
+              hit {layup.hit}
+            </Typography>
+          </View>
+        ))
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#e8e8e8",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 3,
+  },
+  icon: {
+    marginRight: 6,
+  },
+  label: {
+    flex: 1,
+    color: "#444",
+  },
+  value: {
+    color: "#444",
+  },
+  note: {
+    color: "#888",
+    paddingVertical: 2,
+  },
+  layupHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 6,
+  },
+  targetChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 4,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  selectedChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  }
+});
@@ -0,0 +1,195 @@
+// src/components/HoleEditPanel.js
+//
+// Corrects one hole of a completed round from the scorecard. Shot-tracked
+// holes reopen in the shot list editor, with undo/redo for the changes made
+// here; quick score holes get the same row as the quick score grid. Nothing
+// is saved until the player taps Save.
+
+import React, { useState } from "react";
+import { View, TouchableOpacity, StyleSheet, ActivityIndicator } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import ShotListEditor from "./ShotListEditor";
+import QuickScoreGrid, { createQuickScore } from "./QuickScoreGrid";
+import { getShotDistances } from "../services/geoService";
+import {
+  createShot,
+  insertShot,
+  updateShot,
+  deleteShot,
+  createPenalty,
+  removePenaltiesForShot,
+  getHoleStrokes,
+  isQuickScoreHole
+} from "../services/shotService";
+
+/**
+ * HoleEditPanel Component
+ *
+ * @param {Object} props
+ * @param {Object} props.hole - Hole being corrected: { number, par, detail } where detail is its hole_data
+ * @param {boolean} props.quickScore - Whether the round was tracked as a quick score
+ * @param {boolean} props.saving - Whether the correction is being saved
+ * @param {Function} props.onSave - Called with the corrected hole_data
+ * @param {Function} props.onCancel - Called to close the panel without saving
+ */
+export default function HoleEditPanel({ hole, quickScore = false, saving = false, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => ({
+    par: hole.par,
+    shots: [],
+    penalties: [],
+    ...(hole.detail || {}),
+    ...(quickScore && !isQuickScoreHole(hole.detail) ? { quickScore: createQuickScore(hole.par) } : {})
+  }));
+  const [history, setHistory] = useState({ past: [], future: [] });
+
+  /**
+   * Replace the draft's shots and penalties, recording the change for undo
+   */
+  const commitShots = (nextShots, nextPenalties = draft.penalties) => {
+    setHistory(prev => ({
+      past: [...prev.past, { shots: draft.shots, penalties: draft.penalties }],
+      future: []
+    }));
+    setDraft(prev => ({ ...prev, shots: nextShots, penalties: nextPenalties }));
+  };
+
+  const moveThroughHistory = (direction) => {
+    const current = { shots: draft.shots, penalties: draft.penalties };
+    const source = direction === "undo" ? history.past : history.future;
+    if (source.length === 0) return;
+
+    const restored = direction === "undo" ? source[source.length - 1] : source[0];
+    setHistory(direction === "undo"
+      ? { past: history.past.slice(0, -1), future: [current, ...history.future] }
+      : { past: [...history.past, current], future: history.future.slice(1) });
+    setDraft(prev => ({ ...prev, shots: restored.shots, penalties: restored.penalties }));
+  };
+
+  const handleAddShot = () => {
+    const lastShot = draft.shots[draft.shots.length - 1];
+    commitShots([...draft.shots, createShot(lastShot ? lastShot.type : "Tee Shot", "On Target")]);
+  };
+
+  const handleInsertShot = (index) => {
+    const template = draft.shots[Math.min(index, draft.shots.length - 1)] || { type: "Tee Shot", result: "On Target" };
+    commitShots(insertShot(draft.shots, index, createShot(template.type, template.result)));
+  };
+
+  const handleDeleteShot = (index) => {
+    if (!draft.shots[index]) return;
+    commitShots(deleteShot(draft.shots, index), removePenaltiesForShot(draft.penalties, draft.shots[index]));
+  };
+
+  const handleAddPenalty = (shotIndex, kind) => {
+    const shot = draft.shots[shotIndex];
+    if (!shot) return;
+    commitShots(draft.shots, [...(draft.penalties || []), createPenalty(kind, shot)]);
+  };
+
+  const isQuick = isQuickScoreHole(draft);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Typography variant="body" weight="semibold">
+          Edit Hole {hole.number} • Par {hole.par || "?"}
+        </Typography>
+        <Typography variant="body" weight="semibold" color={theme.colors.primary}>
+          {getHoleStrokes(draft)} {getHoleStrokes(draft) === 1 ? "stroke" : "strokes"}
+        </Typography>
+      </View>
+
+      {isQuick ? (
+        <QuickScoreGrid
+          holes={[{ number: hole.number, par: hole.par, quickScore: draft.quickScore }]}
+          currentHole={hole.number}
+          onSelectHole={() => {}}
+          onUpdateHole={(holeNumber, nextQuickScore) => setDraft(prev => ({ ...prev, quickScore: nextQuickScore }))}
+        />
+      ) : (
+        <>
+          <ShotListEditor
+            shots={draft.shots}
+            penalties={draft.penalties}
+            shotDistances={getShotDistances(draft)}
+            onUpdateShot={(index, changes) => commitShots(updateShot(draft.shots, index, changes))}
+            onInsertShot={handleInsertShot}
+            onDeleteShot={handleDeleteShot}
+            onAddPenalty={handleAddPenalty}
+            onRemovePenalty={(penaltyIndex) => commitShots(draft.shots, draft.penalties.filter((_, i) => i !== penaltyIndex))}
+            onUndo={() => moveThroughHistory("undo")}
+            onRedo={() => moveThroughHistory("redo")}
+            canUndo={history.past.length > 0}
+            canRedo={history.future.length > 0}
+          />
+          <TouchableOpacity style={styles.addShotButton} onPress={handleAddShot}>
+            <Ionicons name="add-circle-outline" size={18} color={theme.colors.primary} />
+            <Typography variant="caption" color={theme.colors.primary} style={styles.addShotText}>
+              Add Shot
+            </Typography>
+          </TouchableOpacity>
+        </>
+      )}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.actionButton} onPress={onCancel} disabled={saving}>
+          <Typography variant="body" color="#666">Cancel</Typography>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.saveButton]}
+          onPress={() => onSave(draft)}
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Typography variant="body" weight="semibold" color="#fff">Save</Typography>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    padding: theme.spacing.medium,
+    marginTop: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#e0e0e0",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  addShotButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: 8,
+  },
+  addShotText: {
+    marginLeft: 4,
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: theme.spacing.small,
+  },
+  actionButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+    marginLeft: 8,
+    minWidth: 72,
+    alignItems: "center",
+  },
+  saveButton: {
+    backgroundColor: theme.colors.primary,
+  }
+});
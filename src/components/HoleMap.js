@@ -0,0 +1,236 @@
+// src/components/HoleMap.js
+//
+// Drawn map of the current hole from its POI data - tees, green, bunkers,
+// water and trees - with the player's position and the shots played so far.
+// Tapping the map drops a marker and shows how far it is from the player and
+// from the marker to the centre of the green.
+
+import React, { useState, useEffect } from "react";
+import { View, TouchableWithoutFeedback, TouchableOpacity, StyleSheet, Dimensions } from "react-native";
+import Svg, { Rect, Circle, Line, Polyline, Text as SvgText } from "react-native-svg";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import {
+  createHoleProjection,
+  getGreenCoordinates,
+  getTeePosition,
+  getDistanceBetween
+} from "../services/geoService";
+
+const MAP_HEIGHT = 320;
+
+// Drawn sizes in yards, so features scale with the hole
+const GREEN_RADIUS_YARDS = 14;
+const BUNKER_RADIUS_YARDS = 7;
+const WATER_RADIUS_YARDS = 12;
+const TREE_RADIUS_YARDS = 6;
+
+const MAP_COLORS = {
+  background: "#7fb069",
+  fairway: "#9ccc65",
+  green: "#4caf50",
+  bunker: "#f3e5ab",
+  water: "#64b5f6",
+  tree: "#2e7d32",
+  tee: "#fff",
+  shot: "#fff",
+  player: "#007AFF",
+  target: "#FF8800"
+};
+
+/**
+ * HoleMap Component
+ *
+ * @param {Object} props
+ * @param {Object} props.holeData - Current hole data with poi and shots
+ * @param {Object} props.position - Player's latest { lat, lng }, or null without a GPS fix
+ * @param {number} props.width - Map width (defaults to the screen width less margins)
+ */
+export default function HoleMap({ holeData, position = null, width }) {
+  const [target, setTarget] = useState(null);
+  const mapWidth = width || Dimensions.get("window").width - 16;
+
+  // A marker belongs to the hole it was dropped on
+  useEffect(() => {
+    setTarget(null);
+  }, [holeData?.poi]);
+
+  const shotPositions = (holeData?.shots || [])
+    .filter(shot => shot.type !== "Putts" && shot.position)
+    .map(shot => shot.position);
+  const projection = createHoleProjection(holeData, mapWidth, MAP_HEIGHT, shotPositions);
+
+  if (!projection) {
+    return (
+      <Typography variant="caption" style={styles.emptyText}>
+        No map is available for this hole
+      </Typography>
+    );
+  }
+
+  const { toPoint, toPosition, yardsToPixels } = projection;
+  const poi = holeData.poi;
+  const { center } = getGreenCoordinates(holeData);
+  const tee = getTeePosition(holeData);
+  const radius = (yards, minimum) => Math.max(yards * yardsToPixels, minimum);
+
+  const handlePress = (event) => {
+    const { locationX, locationY } = event.nativeEvent;
+    setTarget(toPosition({ x: locationX, y: locationY }));
+  };
+
+  const centerPoint = center ? toPoint(center) : null;
+  const teePoint = tee ? toPoint(tee) : null;
+  const playerPoint = position ? toPoint(position) : null;
+  const targetPoint = target ? toPoint(target) : null;
+  const shotPoints = shotPositions.map(toPoint);
+
+  const fromPlayer = getDistanceBetween(position, target);
+  const toGreen = getDistanceBetween(target, center);
+
+  return (
+    <View style={styles.container}>
+      <TouchableWithoutFeedback onPress={handlePress}>
+        <View>
+          <Svg width={mapWidth} height={MAP_HEIGHT}>
+            <Rect x={0} y={0} width={mapWidth} height={MAP_HEIGHT} rx={8} fill={MAP_COLORS.background} />
+
+            {/* Line of play from the tee to the green */}
+            {teePoint && centerPoint && (
+              <Line
+                x1={teePoint.x}
+                y1={teePoint.y}
+                x2={centerPoint.x}
+                y2={centerPoint.y}
+                stroke={MAP_COLORS.fairway}
+                strokeWidth={radius(30, 12)}
+                strokeLinecap="round"
+              />
+            )}
+
+            {(poi.hazards || [])
+              .filter(point => point.type === "water" || point.type === "trees")
+              .map((point, index) => {
+                const { x, y } = toPoint(point);
+                return point.type === "water" ? (
+                  <Circle key={`hazard-${index}`} cx={x} cy={y} r={radius(WATER_RADIUS_YARDS, 6)} fill={MAP_COLORS.water} opacity={0.85} />
+                ) : (
+                  <Circle key={`hazard-${index}`} cx={x} cy={y} r={radius(TREE_RADIUS_YARDS, 4)} fill={MAP_COLORS.tree} />
+                );
+              })}
+
+            {centerPoint && (
+              <Circle cx={centerPoint.x} cy={centerPoint.y} r={radius(GREEN_RADIUS_YARDS, 8)} fill={MAP_COLORS.green} />
+            )}
+
+            {(poi.bunkers || []).map((point, index) => {
+              const { x, y } = toPoint(point);
+              return (
+                <Circle key={`bunker-${index}`} cx={x} cy={y} r={radius(BUNKER_RADIUS_YARDS, 4)} fill={MAP_COLORS.bunker} />
+              );
+            })}
+
+            {(poi.tees || []).map((point, index) => {
+              const { x, y } = toPoint(point);
+              return <Rect key={`tee-${index}`} x={x - 4} y={y - 4} width={8} height={8} fill={MAP_COLORS.tee} />;
+            })}
+
+            {/* Shots played so far, joined in order */}
+            {shotPoints.length > 1 && (
+              <Polyline
+                points={shotPoints.map(point => `${point.x},${point.y}`).join(" ")}
+                fill="none"
+                stroke={MAP_COLORS.shot}
+                strokeWidth={1.5}
+                strokeDasharray="4,3"
+              />
+            )}
+            {shotPoints.map((point, index) => (
+              <React.Fragment key={`shot-${index}`}>
+                <Circle cx={point.x} cy={point.y} r={7} fill={MAP_COLORS.shot} stroke="#333" strokeWidth={1} />
+                <SvgText x={point.x} y={point.y + 3} fontSize={9} fontWeight="bold" fill="#333" textAnchor="middle">
+                  {index + 1}
+                </SvgText>
+              </React.Fragment>
+            ))}
+
+            {/* Measured lines to the tapped point */}
+            {targetPoint && playerPoint && (
+              <Line
+                x1={playerPoint.x}
+                y1={playerPoint.y}
+                x2={targetPoint.x}
+                y2={targetPoint.y}
+                stroke={MAP_COLORS.target}
+                strokeWidth={2}
+              />
+            )}
+            {targetPoint && centerPoint && (
+              <Line
+                x1={targetPoint.x}
+                y1={targetPoint.y}
+                x2={centerPoint.x}
+                y2={centerPoint.y}
+                stroke={MAP_COLORS.target}
+                strokeWidth={2}
+                strokeDasharray="6,4"
+              />
+            )}
+            {targetPoint && (
+              <Circle cx={targetPoint.x} cy={targetPoint.y} r={6} fill={MAP_COLORS.target} stroke="#fff" strokeWidth={2} />
+            )}
+
+            {playerPoint && (
+              <Circle cx={playerPoint.x} cy={playerPoint.y} r={7} fill={MAP_COLORS.player} stroke="#fff" strokeWidth={2} />
+            )}
+          </Svg>
+        </View>
+      </TouchableWithoutFeedback>
+
+      <View style={styles.measureRow}>
+        {target ? (
+          <>
+            <Typography variant="caption" style={styles.measureText}>
+              {fromPlayer !== null ? `${fromPlayer} yd from you` : "No GPS fix"}
+              {toGreen !== null ? ` • ${toGreen} yd to green` : ""}
+            </Typography>
+            <TouchableOpacity onPress={() => setTarget(null)} accessibilityLabel="Clear marker">
+              <Ionicons name="close-circle" size={18} color="#999" />
+            </TouchableOpacity>
+          </>
+        ) : (
+          <Typography variant="caption" style={styles.hintText}>
+            Tap the map to measure to any point
+          </Typography>
+        )}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: 8,
+    marginBottom: 8,
+  },
+  measureRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 6,
+    paddingHorizontal: 4,
+  },
+  measureText: {
+    flex: 1,
+    color: theme.colors.text,
+  },
+  hintText: {
+    color: "#888",
+  },
+  emptyText: {
+    color: "#666",
+    textAlign: "center",
+    marginBottom: 8,
+  }
+});
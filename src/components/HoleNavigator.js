@@ -7,11 +7,19 @@ import theme from "../ui/theme";
 
 /**
  * HoleNavigator Component - Allows navigation between holes
+ * 
+ * @param {Object} props
+ * @param {number} props.currentHole - Hole number being played
+ * @param {number} props.holePosition - 1-based position of the hole within the round (defaults to currentHole)
+ * @param {number} props.totalHoles - Number of holes in the round
  */
-export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18 }) {
+export default function HoleNavigator({ currentHole, holePosition, onPreviousHole, onNextHole, totalHoles = 18 }) {
+  // Rounds that don't start on hole 1 navigate by position, not hole number
+  const position = holePosition || currentHole;
+  
   // Determine if buttons should be disabled
-  const isPreviousDisabled = currentHole <= 1;
-  const isNextDisabled = currentHole >= totalHoles;
+  const isPreviousDisabled = position <= 1;
+  const isNextDisabled = position >= totalHoles;
 
   return (
     <View style={styles.container}>
@@ -32,7 +40,9 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
       <View style={styles.holeLabelContainer}>
         <Text style={styles.holeTitleText}>HOLE</Text>
         <Text style={styles.holeNumberText}>{currentHole}</Text>
-        <Text style={styles.holeTotalText}>of {totalHoles}</Text>
+        <Text style={styles.holeTotalText}>
+          {position === currentHole ? `of ${totalHoles}` : `${position} of ${totalHoles}`}
+        </Text>
       </View>
       
       {/* Next hole button */}
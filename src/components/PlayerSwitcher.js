@@ -0,0 +1,278 @@
+// src/components/PlayerSwitcher.js
+//
+// Switches the tracker between the player and their playing partners.
+// Partners are added by name (guests) or by email (registered players).
+// While a partner is selected, their score for the current hole is entered
+// with a stepper instead of the shot tracker. Their handicap index can be set
+// too, for the net scoring formats.
+
+import React, { useState } from "react";
+import { View, ScrollView, TouchableOpacity, TextInput, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { MAX_PARTNERS, getPartnerTotal } from "../services/partnerService";
+
+// Id used for the phone's owner in the switcher
+export const ME = "me";
+
+/**
+ * PlayerSwitcher Component
+ *
+ * @param {Object} props
+ * @param {Array} props.partners - Partners on the round: { id, name, profile_id, scores }
+ * @param {string} props.activePlayerId - ME or the id of the selected partner
+ * @param {number} props.currentHole - Hole number being scored
+ * @param {number} props.currentPar - Par of the current hole
+ * @param {Function} props.onSelectPlayer - Called with ME or a partner id
+ * @param {Function} props.onAddPartner - Called with the entered name or email; returns a promise
+ * @param {Function} props.onRemovePartner - Called with a partner id
+ * @param {Function} props.onUpdateScore - Called with (partnerId, holeNumber, score)
+ * @param {Function} props.onUpdateHandicap - Called with (partnerId, handicap)
+ */
+export default function PlayerSwitcher({
+  partners = [],
+  activePlayerId = ME,
+  currentHole,
+  currentPar,
+  onSelectPlayer,
+  onAddPartner,
+  onRemovePartner,
+  onUpdateScore,
+  onUpdateHandicap
+}) {
+  const [isAdding, setIsAdding] = useState(false);
+  const [newPartner, setNewPartner] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const activePartner = partners.find(partner => partner.id === activePlayerId);
+
+  const handleAdd = async () => {
+    if (!newPartner.trim()) return;
+
+    setSaving(true);
+    try {
+      await onAddPartner(newPartner.trim());
+      setNewPartner("");
+      setIsAdding(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderChip = (id, label, onLongPress = null) => {
+    const isActive = id === activePlayerId;
+
+    return (
+      <TouchableOpacity
+        key={id}
+        style={[styles.chip, isActive && styles.activeChip]}
+        onPress={() => onSelectPlayer(id)}
+        onLongPress={onLongPress}
+        accessibilityLabel={`Score for ${label}`}
+      >
+        <Typography
+          variant="caption"
+          weight={isActive ? "semibold" : "normal"}
+          color={isActive ? theme.colors.primary : theme.colors.text}
+        >
+          {label}
+        </Typography>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderScoreEntry = () => {
+    const score = activePartner.scores?.[currentHole] ?? null;
+    // Untouched holes start from par
+    const current = score ?? (currentPar || 4);
+
+    return (
+      <View style={styles.scoreEntry}>
+        <Typography variant="body" style={styles.scoreLabel}>
+          {activePartner.name} • Hole {currentHole}
+        </Typography>
+        <View style={styles.stepper}>
+          <TouchableOpacity
+            style={styles.stepperButton}
+            onPress={() => onUpdateScore(activePartner.id, currentHole, Math.max(1, current - 1))}
+            accessibilityLabel={`Decrease score for ${activePartner.name}`}
+          >
+            <Ionicons name="remove-circle-outline" size={32} color={theme.colors.primary} />
+          </TouchableOpacity>
+          <Typography variant="title" weight="bold" style={styles.scoreValue}>
+            {score ?? "-"}
+          </Typography>
+          <TouchableOpacity
+            style={styles.stepperButton}
+            onPress={() => onUpdateScore(activePartner.id, currentHole, score === null ? current : current + 1)}
+            accessibilityLabel={`Increase score for ${activePartner.name}`}
+          >
+            <Ionicons name="add-circle-outline" size={32} color={theme.colors.primary} />
+          </TouchableOpacity>
+        </View>
+        <Typography variant="caption" style={styles.totalText}>
+          Total {getPartnerTotal(activePartner)}
+        </Typography>
+        {onUpdateHandicap && (
+          <View style={styles.handicapRow}>
+            <Typography variant="caption" style={styles.handicapLabel}>Handicap index</Typography>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => onUpdateHandicap(activePartner.id, (activePartner.handicap ?? 1) - 1)}
+              accessibilityLabel={`Decrease handicap for ${activePartner.name}`}
+            >
+              <Ionicons name="remove" size={16} color={theme.colors.primary} />
+            </TouchableOpacity>
+            <Typography variant="body" weight="semibold">
+              {activePartner.handicap ?? "-"}
+            </Typography>
+            <TouchableOpacity
+              style={styles.stepperButton}
+              onPress={() => onUpdateHandicap(activePartner.id, (activePartner.handicap ?? -1) + 1)}
+              accessibilityLabel={`Increase handicap for ${activePartner.name}`}
+            >
+              <Ionicons name="add" size={16} color={theme.colors.primary} />
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {renderChip(ME, "Me")}
+        {partners.map(partner =>
+          renderChip(partner.id, partner.name, () => onRemovePartner(partner.id))
+        )}
+        {partners.length < MAX_PARTNERS && !isAdding && (
+          <TouchableOpacity
+            style={[styles.chip, styles.addChip]}
+            onPress={() => setIsAdding(true)}
+            accessibilityLabel="Add playing partner"
+          >
+            <Ionicons name="person-add-outline" size={14} color={theme.colors.primary} />
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {isAdding && (
+        <View style={styles.addForm}>
+          <TextInput
+            style={styles.addInput}
+            value={newPartner}
+            onChangeText={setNewPartner}
+            placeholder="Guest name or player's email"
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="done"
+            onSubmitEditing={handleAdd}
+            editable={!saving}
+          />
+          <TouchableOpacity onPress={handleAdd} disabled={saving} style={styles.addButton}>
+            <Typography variant="body" weight="semibold" color={theme.colors.primary}>
+              Add
+            </Typography>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => { setIsAdding(false); setNewPartner(""); }} style={styles.addButton}>
+            <Ionicons name="close" size={18} color="#999" />
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {partners.length > 0 && !activePartner && (
+        <Typography variant="caption" style={styles.hint}>
+          Tap a partner to enter their score. Long press to remove them.
+        </Typography>
+      )}
+
+      {activePartner && renderScoreEntry()}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 10,
+    marginBottom: 8,
+  },
+  chipRow: {
+    alignItems: "center",
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 6,
+  },
+  activeChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  addChip: {
+    borderStyle: "dashed",
+    borderColor: theme.colors.primary,
+  },
+  addForm: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  addInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    backgroundColor: "#fff",
+  },
+  addButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  hint: {
+    color: "#888",
+    marginTop: 4,
+  },
+  scoreEntry: {
+    alignItems: "center",
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#eee",
+    paddingVertical: 16,
+    marginTop: 8,
+  },
+  scoreLabel: {
+    marginBottom: 8,
+  },
+  stepper: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  stepperButton: {
+    padding: 8,
+  },
+  scoreValue: {
+    minWidth: 48,
+    textAlign: "center",
+  },
+  totalText: {
+    color: "#666",
+    marginTop: 8,
+  },
+  handicapRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  handicapLabel: {
+    color: "#666",
+  }
+});
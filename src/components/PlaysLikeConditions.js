@@ -0,0 +1,174 @@
+// src/components/PlaysLikeConditions.js
+//
+// Wind and temperature entered by hand for the plays-like distance, with
+// the breakdown of how each adjustment moves the number.
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { WIND_DIRECTIONS, createConditions } from "../services/playsLikeService";
+
+const WIND_STEP_MPH = 5;
+const MAX_WIND_MPH = 40;
+const TEMPERATURE_STEP_F = 5;
+
+// Temperature the stepper starts from when none has been entered
+const STARTING_TEMPERATURE_F = 70;
+
+const WIND_LABELS = {
+  [WIND_DIRECTIONS.INTO]: "Into",
+  [WIND_DIRECTIONS.HELPING]: "Helping",
+  [WIND_DIRECTIONS.CROSS]: "Cross"
+};
+
+const formatAdjustment = (yards) => (yards > 0 ? `+${yards}` : `${yards}`);
+
+/**
+ * PlaysLikeConditions Component
+ *
+ * @param {Object} props
+ * @param {Object} props.conditions - { windSpeed, windDirection, temperature } from createConditions
+ * @param {Object} props.playsLike - Result of getPlaysLikeDistance, for the breakdown
+ * @param {Object} props.elevation - Result of getElevationChange, or null without course heights
+ * @param {Function} props.onChange - Called with the updated conditions
+ */
+export default function PlaysLikeConditions({ conditions, playsLike = null, elevation = null, onChange }) {
+  const update = (changes) => onChange({ ...conditions, ...changes });
+
+  const changeWind = (delta) => {
+    update({ windSpeed: Math.min(MAX_WIND_MPH, Math.max(0, conditions.windSpeed + delta)) });
+  };
+
+  const changeTemperature = (delta) => {
+    update({ temperature: (conditions.temperature ?? STARTING_TEMPERATURE_F) + delta });
+  };
+
+  const renderStepper = (label, value, onDecrease, onIncrease) => (
+    <View style={styles.stepperRow}>
+      <Typography variant="caption" style={styles.rowLabel}>{label}</Typography>
+      <TouchableOpacity style={styles.stepperButton} onPress={onDecrease} accessibilityLabel={`Lower ${label.toLowerCase()}`}>
+        <Ionicons name="remove" size={16} color={theme.colors.primary} />
+      </TouchableOpacity>
+      <Typography variant="caption" weight="semibold" style={styles.stepperValue}>
+        {value}
+      </Typography>
+      <TouchableOpacity style={styles.stepperButton} onPress={onIncrease} accessibilityLabel={`Raise ${label.toLowerCase()}`}>
+        <Ionicons name="add" size={16} color={theme.colors.primary} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const adjustments = playsLike?.adjustments;
+
+  return (
+    <View style={styles.container}>
+      {renderStepper(
+        "Wind",
+        conditions.windSpeed > 0 ? `${conditions.windSpeed} mph` : "None",
+        () => changeWind(-WIND_STEP_MPH),
+        () => changeWind(WIND_STEP_MPH)
+      )}
+
+      {conditions.windSpeed > 0 && (
+        <View style={styles.chipRow}>
+          {Object.values(WIND_DIRECTIONS).map(direction => {
+            const isSelected = conditions.windDirection === direction;
+            return (
+              <TouchableOpacity
+                key={direction}
+                style={[styles.chip, isSelected && styles.selectedChip]}
+                onPress={() => update({ windDirection: direction })}
+              >
+                <Typography
+                  variant="caption"
+                  weight={isSelected ? "semibold" : "normal"}
+                  color={isSelected ? theme.colors.primary : theme.colors.text}
+                >
+                  {WIND_LABELS[direction]}
+                </Typography>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
+      {renderStepper(
+        "Temperature",
+        conditions.temperature !== null ? `${conditions.temperature}°F` : "Not set",
+        () => changeTemperature(-TEMPERATURE_STEP_F),
+        () => changeTemperature(TEMPERATURE_STEP_F)
+      )}
+
+      {adjustments && (
+        <Typography variant="caption" style={styles.breakdown}>
+          {elevation ? `Elevation ${formatAdjustment(adjustments.elevation)}` : "No elevation data"}
+          {` • Wind ${formatAdjustment(adjustments.wind)} • Temp ${formatAdjustment(adjustments.temperature)}`}
+        </Typography>
+      )}
+
+      {elevation && !elevation.reliable && (
+        <Typography variant="caption" style={styles.breakdown}>
+          Elevation is approximate - it's measured from the tee until GPS gets a good height reading on it.
+        </Typography>
+      )}
+
+      <TouchableOpacity style={styles.resetButton} onPress={() => onChange(createConditions())}>
+        <Typography variant="caption" color={theme.colors.primary}>
+          Clear wind and temperature
+        </Typography>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: "#e8e8e8",
+  },
+  stepperRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  rowLabel: {
+    flex: 1,
+    color: "#444",
+  },
+  stepperButton: {
+    padding: 6,
+  },
+  stepperValue: {
+    minWidth: 64,
+    textAlign: "center",
+  },
+  chipRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginBottom: 4,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginLeft: 6,
+  },
+  selectedChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  breakdown: {
+    color: "#888",
+    marginTop: 4,
+  },
+  resetButton: {
+    alignSelf: "flex-start",
+    paddingVertical: 6,
+  }
+});
@@ -0,0 +1,182 @@
+// src/components/PuttingPanel.js
+//
+// Optional putting detail for the current hole.
+// Each putt recorded in ShotTable gets a distance, whether it was holed and,
+// if missed, which side of the hole it finished.
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { PUTT_MISS_DIRECTIONS } from "../services/shotService";
+
+// Quick picks for putt distance, in feet
+const DISTANCE_PRESETS = [3, 6, 10, 15, 20, 30, 45];
+
+const MISS_LABELS = {
+  short: "Short",
+  long: "Long",
+  left: "Left",
+  right: "Right"
+};
+
+/**
+ * PuttingPanel Component
+ *
+ * @param {Object} props
+ * @param {Array} props.shots - All shots on the hole; only putts are shown
+ * @param {Function} props.onUpdatePutt - Called with (shotIndex, puttDetail) when a putt changes
+ */
+export default function PuttingPanel({ shots = [], onUpdatePutt }) {
+  // Keep each putt's index in the full shot list so edits target the right shot
+  const putts = shots
+    .map((shot, index) => ({ shot, index }))
+    .filter(({ shot }) => shot.type === "Putts");
+
+  const updatePutt = (shot, index, changes) => {
+    onUpdatePutt(index, { ...(shot.putt || {}), ...changes });
+  };
+
+  const changeDistance = (shot, index, delta) => {
+    const current = shot.putt?.distance ?? 0;
+    updatePutt(shot, index, { distance: Math.max(1, current + delta) });
+  };
+
+  const renderChip = (label, isSelected, onPress, key = label) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isSelected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      <Typography
+        variant="caption"
+        weight={isSelected ? "semibold" : "normal"}
+        color={isSelected ? theme.colors.primary : theme.colors.text}
+      >
+        {label}
+      </Typography>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Typography variant="body" weight="semibold" style={styles.title}>
+        Putting
+      </Typography>
+
+      {putts.length === 0 ? (
+        <Typography variant="secondary" italic>
+          Record a putt in the table above to add its distance and result.
+        </Typography>
+      ) : (
+        putts.map(({ shot, index }, puttNumber) => {
+          const detail = shot.putt || {};
+
+          return (
+            <View key={`putt-${index}`} style={styles.puttRow}>
+              <View style={styles.distanceRow}>
+                <Typography variant="body" style={styles.puttLabel}>
+                  Putt {puttNumber + 1}
+                </Typography>
+                <TouchableOpacity
+                  style={styles.stepperButton}
+                  onPress={() => changeDistance(shot, index, -1)}
+                  accessibilityLabel="Shorter putt"
+                >
+                  <Ionicons name="remove" size={18} color={theme.colors.primary} />
+                </TouchableOpacity>
+                <Typography variant="body" weight="semibold" style={styles.distanceValue}>
+                  {detail.distance ? `${detail.distance} ft` : "- ft"}
+                </Typography>
+                <TouchableOpacity
+                  style={styles.stepperButton}
+                  onPress={() => changeDistance(shot, index, 1)}
+                  accessibilityLabel="Longer putt"
+                >
+                  <Ionicons name="add" size={18} color={theme.colors.primary} />
+                </TouchableOpacity>
+              </View>
+
+              <View style={styles.chipRow}>
+                {DISTANCE_PRESETS.map(distance => renderChip(
+                  `${distance}`,
+                  detail.distance === distance,
+                  () => updatePutt(shot, index, { distance }),
+                  `distance-${distance}`
+                ))}
+              </View>
+
+              <View style={styles.chipRow}>
+                {renderChip(
+                  "Holed",
+                  detail.holed === true,
+                  () => updatePutt(shot, index, { holed: true, miss: null })
+                )}
+                {PUTT_MISS_DIRECTIONS.map(direction => renderChip(
+                  MISS_LABELS[direction],
+                  detail.holed === false && detail.miss === direction,
+                  () => updatePutt(shot, index, { holed: false, miss: direction }),
+                  `miss-${direction}`
+                ))}
+              </View>
+            </View>
+          );
+        })
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#f8f8f8",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  title: {
+    marginBottom: 6,
+  },
+  puttRow: {
+    backgroundColor: "#fff",
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: "#eee",
+    padding: 8,
+    marginBottom: 6,
+  },
+  distanceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  puttLabel: {
+    flex: 1,
+  },
+  stepperButton: {
+    padding: 6,
+  },
+  distanceValue: {
+    minWidth: 56,
+    textAlign: "center",
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  }
+});
@@ -0,0 +1,185 @@
+// src/components/QuickScoreGrid.js
+//
+// Compact score entry for quick score rounds - one row per hole, like a
+// paper card. Each hole records gross score, putts, fairway and GIR.
+// Fairway and GIR cycle through unanswered, hit and missed.
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+
+/**
+ * Start a quick score for a hole - par with two putts is the usual first guess
+ *
+ * @param {number} par - Par for the hole
+ * @returns {Object} { score, putts, fairway, gir }
+ */
+export const createQuickScore = (par) => ({
+  score: par || 4,
+  putts: 2,
+  fairway: null,
+  gir: null
+});
+
+// Unanswered -> hit -> missed -> unanswered
+const nextToggleValue = (value) => {
+  if (value === null || value === undefined) return true;
+  if (value === true) return false;
+  return null;
+};
+
+/**
+ * QuickScoreGrid Component
+ *
+ * @param {Object} props
+ * @param {Array} props.holes - Holes in playing order: { number, par, quickScore }
+ * @param {number} props.currentHole - Hole number currently selected
+ * @param {Function} props.onSelectHole - Called with a hole number when its row is tapped
+ * @param {Function} props.onUpdateHole - Called with (holeNumber, quickScore) when a value changes
+ */
+export default function QuickScoreGrid({ holes = [], currentHole, onSelectHole, onUpdateHole }) {
+  const update = (hole, changes) => {
+    const quickScore = hole.quickScore || createQuickScore(hole.par);
+    onUpdateHole(hole.number, { ...quickScore, ...changes });
+  };
+
+  const renderStepper = (hole, field, value, min) => {
+    // Untouched holes step from the default quick score
+    const current = value ?? createQuickScore(hole.par)[field];
+
+    return (
+      <View style={styles.stepper}>
+        <TouchableOpacity
+          style={styles.stepperButton}
+          onPress={() => update(hole, { [field]: Math.max(min, current - 1) })}
+          accessibilityLabel={`Decrease ${field} on hole ${hole.number}`}
+        >
+          <Ionicons name="remove" size={14} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Typography variant="body" weight="semibold" style={styles.stepperValue}>
+          {value ?? "-"}
+        </Typography>
+        <TouchableOpacity
+          style={styles.stepperButton}
+          onPress={() => update(hole, { [field]: current + 1 })}
+          accessibilityLabel={`Increase ${field} on hole ${hole.number}`}
+        >
+          <Ionicons name="add" size={14} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderToggle = (hole, field, value, disabled = false) => {
+    if (disabled) {
+      return <Typography variant="caption" style={styles.toggleCell}>-</Typography>;
+    }
+
+    const icon = value === true ? "checkmark-circle" : value === false ? "close-circle" : "ellipse-outline";
+    const color = value === true ? theme.colors.success : value === false ? theme.colors.error : "#bbb";
+
+    return (
+      <TouchableOpacity
+        style={styles.toggleCell}
+        onPress={() => update(hole, { [field]: nextToggleValue(value) })}
+        accessibilityLabel={`${field === "fairway" ? "Fairway" : "Green in regulation"} on hole ${hole.number}`}
+      >
+        <Ionicons name={icon} size={22} color={color} />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={[styles.row, styles.headerRow]}>
+        <Typography variant="caption" weight="semibold" style={styles.holeCell}>Hole</Typography>
+        <Typography variant="caption" weight="semibold" style={styles.parCell}>Par</Typography>
+        <Typography variant="caption" weight="semibold" style={styles.stepperHeader}>Score</Typography>
+        <Typography variant="caption" weight="semibold" style={styles.stepperHeader}>Putts</Typography>
+        <Typography variant="caption" weight="semibold" style={styles.toggleCell}>FIR</Typography>
+        <Typography variant="caption" weight="semibold" style={styles.toggleCell}>GIR</Typography>
+      </View>
+
+      {holes.map(hole => {
+        const quickScore = hole.quickScore || {};
+        const isCurrent = hole.number === currentHole;
+
+        return (
+          <TouchableOpacity
+            key={hole.number}
+            style={[styles.row, isCurrent && styles.currentRow]}
+            onPress={() => onSelectHole(hole.number)}
+            activeOpacity={0.8}
+          >
+            <Typography variant="body" weight="semibold" style={styles.holeCell}>{hole.number}</Typography>
+            <Typography variant="body" style={styles.parCell}>{hole.par || "-"}</Typography>
+            {renderStepper(hole, "score", quickScore.score, 1)}
+            {renderStepper(hole, "putts", quickScore.putts, 0)}
+            {renderToggle(hole, "fairway", quickScore.fairway, hole.par === 3)}
+            {renderToggle(hole, "gir", quickScore.gir)}
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#eee",
+    marginHorizontal: 8,
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+    paddingHorizontal: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  headerRow: {
+    backgroundColor: "#f8f8f8",
+    paddingVertical: 8,
+  },
+  currentRow: {
+    backgroundColor: "#f0f7f0",
+  },
+  holeCell: {
+    width: 36,
+    textAlign: "center",
+  },
+  parCell: {
+    width: 32,
+    textAlign: "center",
+    color: "#666",
+  },
+  stepperHeader: {
+    flex: 1,
+    textAlign: "center",
+  },
+  stepper: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  stepperButton: {
+    padding: 6,
+  },
+  stepperValue: {
+    minWidth: 22,
+    textAlign: "center",
+  },
+  toggleCell: {
+    width: 40,
+    alignItems: "center",
+    textAlign: "center",
+  }
+});
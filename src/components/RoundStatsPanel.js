@@ -0,0 +1,105 @@
+// src/components/RoundStatsPanel.js
+//
+// Classic round stats - fairways, greens in regulation, scrambling,
+// up and downs and sand saves - as calculated by statsService.
+
+import React from "react";
+import { View, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { formatStat } from "../services/statsService";
+
+/**
+ * Build the display rows for a set of round stats
+ * Shared with RoundSummaryCard so both use the same labels.
+ *
+ * @param {Object} stats - Result of calculateRoundStats
+ * @returns {Array} [{ key, label, shortLabel, value, percentage }]
+ */
+export const getStatRows = (stats) => {
+  if (!stats) return [];
+
+  return [
+    { key: "fairways", label: "Fairways", shortLabel: "FIR", stat: stats.fairways },
+    { key: "gir", label: "Greens in Regulation", shortLabel: "GIR", stat: stats.gir },
+    { key: "scrambling", label: "Scrambling", shortLabel: "Scr", stat: stats.scrambling },
+    { key: "upAndDowns", label: "Up and Downs", shortLabel: "U&D", stat: stats.upAndDowns },
+    { key: "sandSaves", label: "Sand Saves", shortLabel: "Sand", stat: stats.sandSaves }
+  ].map(row => ({
+    ...row,
+    value: formatStat(row.stat),
+    percentage: row.stat?.percentage ?? null
+  }));
+};
+
+/**
+ * RoundStatsPanel Component
+ *
+ * @param {Object} props
+ * @param {Object} props.stats - Result of calculateRoundStats
+ */
+export default function RoundStatsPanel({ stats }) {
+  if (!stats || stats.holesPlayed === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <Typography variant="body" weight="semibold" style={styles.title}>
+        Round Stats
+      </Typography>
+
+      {getStatRows(stats).map(row => (
+        <View key={row.key} style={styles.statRow}>
+          <Typography variant="body" style={styles.statLabel}>
+            {row.label}
+          </Typography>
+          <Typography variant="body" weight="semibold">
+            {row.value}
+          </Typography>
+          <Typography variant="caption" style={styles.statPercentage}>
+            {row.percentage !== null ? `${row.percentage}%` : ""}
+          </Typography>
+        </View>
+      ))}
+
+      {stats.puttsPerGir !== null && (
+        <View style={styles.statRow}>
+          <Typography variant="body" style={styles.statLabel}>
+            Putts per GIR
+          </Typography>
+          <Typography variant="body" weight="semibold">
+            {stats.puttsPerGir}
+          </Typography>
+          <Typography variant="caption" style={styles.statPercentage} />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    padding: theme.spacing.medium,
+    marginTop: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#e0e0e0",
+  },
+  title: {
+    marginBottom: theme.spacing.small,
+  },
+  statRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  statLabel: {
+    flex: 1,
+  },
+  statPercentage: {
+    width: 48,
+    textAlign: "right",
+    color: "#666",
+  }
+});
@@ -2,12 +2,17 @@
 //
 // This component displays a summary card for a golf round
 // Used on both the HomeScreen and RoundsScreen for consistent presentation
+// Where round actions are given, swiping the card left reveals them and
+// swiping right hides them again.
 
-import React from 'react';
+import React, { useState } from 'react';
 import { TouchableOpacity, View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import theme from '../ui/theme';
 import Typography from '../ui/components/Typography';
 import Card from '../ui/components/Card';
+import { getStatRows } from './RoundStatsPanel';
+import useSwipegesture from '../hook/useSwipegesture';
 
 /**
  * RoundSummaryCard Component
@@ -17,60 +22,162 @@ import Card from '../ui/components/Card';
  * 
  * @param {Object} props
  * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots
+ *                               and pendingSync for rounds still waiting to be uploaded.
+ *                               Rounds with stats (from calculateRoundStats) show FIR/GIR/scrambling.
+ *                               Rounds with incomplete (from getIncompleteRoundInfo) are flagged as missing holes.
+ *                               excludeFromStats and isArchived are shown as badges.
  * @param {Function} props.onPress - Function to call when card is pressed (typically for navigation)
+ * @param {Function} props.onDelete - Swipe action to delete the round (optional)
+ * @param {Function} props.onToggleArchive - Swipe action to archive or unarchive the round (optional)
+ * @param {Function} props.onToggleExclude - Swipe action to exclude the round from stats, or include it again (optional)
  */
-const RoundSummaryCard = ({ round, onPress }) => {
+const RoundSummaryCard = ({ round, onPress, onDelete, onToggleArchive, onToggleExclude }) => {
+  const [showActions, setShowActions] = useState(false);
+  const hasActions = !!(onDelete || onToggleArchive || onToggleExclude);
+  
+  const swipeHandlers = useSwipegesture({
+    threshold: 40,
+    onSwipeLeft: () => setShowActions(true),
+    onSwipeRight: () => setShowActions(false)
+  });
+  
   if (!round) return null;
 
-  return (
+  const runAction = (action) => {
+    setShowActions(false);
+    action(round);
+  };
+
+  const renderAction = (icon, label, action, color = theme.colors.primary) => (
     <TouchableOpacity
-      onPress={onPress}
-      activeOpacity={0.7}
+      key={label}
+      style={styles.actionButton}
+      onPress={() => runAction(action)}
+      accessibilityLabel={`${label} round`}
     >
-      <Card style={styles.roundCard}>
-        {/* Course name and date row */}
-        <View style={styles.cardTopRow}>
-          <Typography 
-            variant="body" 
-            weight="semibold" 
-            style={styles.courseName}
-          >
-            {round.courseName}
-          </Typography>
-          <Typography variant="caption">
-            {new Date(round.date).toLocaleDateString()}
-          </Typography>
-        </View>
-        
-        {/* Stats row - only show for completed rounds */}
-        <View style={styles.cardStatsRow}>
-          {/* Gross shots (more prominent) */}
-          <View style={styles.statContainer}>
-            <Typography variant="subtitle" weight="bold">
-              {round.grossShots !== null ? round.grossShots : "-"}
+      <Ionicons name={icon} size={18} color={color} />
+      <Typography variant="caption" color={color}>
+        {label}
+      </Typography>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View {...(hasActions ? swipeHandlers : {})}>
+      <TouchableOpacity
+        onPress={onPress}
+        activeOpacity={0.7}
+      >
+        <Card style={styles.roundCard}>
+          {/* Course name and date row */}
+          <View style={styles.cardTopRow}>
+            <Typography 
+              variant="body" 
+              weight="semibold" 
+              style={styles.courseName}
+            >
+              {round.courseName}
+            </Typography>
+            <Typography variant="caption">
+              {new Date(round.date).toLocaleDateString()}
             </Typography>
-            <Typography variant="caption">Total</Typography>
           </View>
           
-          {/* Divider */}
-          <View style={styles.statDivider} />
+          {/* Rounds finished offline that haven't reached the server yet */}
+          {round.pendingSync && (
+            <View style={styles.pendingBadge}>
+              <Ionicons name="cloud-upload-outline" size={14} color={theme.colors.accent} />
+              <Typography variant="caption" color={theme.colors.accent} style={styles.pendingText}>
+                Pending sync
+              </Typography>
+            </View>
+          )}
           
-          {/* Score to par (less prominent) */}
-          <View style={styles.statContainer}>
-            <Typography
-              variant="body"
-              weight="semibold"
-              color={theme.colors.primary}
-            >
-              {round.score !== null 
-                ? (round.score > 0 ? `+${round.score}` : round.score) 
-                : "-"}
-            </Typography>
-            <Typography variant="caption">To Par</Typography>
+          {/* Rounds with holes left unplayed */}
+          {round.incomplete && (
+            <View style={styles.pendingBadge}>
+              <Ionicons name="alert-circle-outline" size={14} color={theme.colors.secondary} />
+              <Typography variant="caption" color={theme.colors.secondary} style={styles.pendingText}>
+                {round.incomplete.holesPlayed} of {round.incomplete.totalHoles} holes played
+                {round.incomplete.parUnreliable ? " • to par counts unplayed holes" : ""}
+              </Typography>
+            </View>
+          )}
+          
+          {/* Rounds left out of averages, the handicap index and insights */}
+          {(round.excludeFromStats || round.isArchived) && (
+            <View style={styles.pendingBadge}>
+              <Ionicons
+                name={round.excludeFromStats ? "eye-off-outline" : "archive-outline"}
+                size={14}
+                color={theme.colors.secondary}
+              />
+              <Typography variant="caption" color={theme.colors.secondary} style={styles.pendingText}>
+                {[round.excludeFromStats && "Excluded from stats", round.isArchived && "Archived"].filter(Boolean).join(" • ")}
+              </Typography>
+            </View>
+          )}
+          
+          {/* Stats row - only show for completed rounds */}
+          <View style={styles.cardStatsRow}>
+            {/* Gross shots (more prominent) */}
+            <View style={styles.statContainer}>
+              <Typography variant="subtitle" weight="bold">
+                {round.grossShots !== null ? round.grossShots : "-"}
+              </Typography>
+              <Typography variant="caption">Total</Typography>
+            </View>
+            
+            {/* Divider */}
+            <View style={styles.statDivider} />
+            
+            {/* Score to par (less prominent) */}
+            <View style={styles.statContainer}>
+              <Typography
+                variant="body"
+                weight="semibold"
+                color={theme.colors.primary}
+              >
+                {round.score !== null 
+                  ? (round.score > 0 ? `+${round.score}` : round.score) 
+                  : "-"}
+              </Typography>
+              <Typography variant="caption">To Par</Typography>
+            </View>
           </View>
-        </View>
-      </Card>
-    </TouchableOpacity>
+          
+          {/* Classic stats - only for rounds completed with the stats engine */}
+          {round.stats?.holesPlayed > 0 && (
+            <View style={styles.cardClassicStatsRow}>
+              {getStatRows(round.stats)
+                .filter(row => ["fairways", "gir", "scrambling"].includes(row.key))
+                .map(row => (
+                  <Typography key={row.key} variant="caption">
+                    {row.shortLabel} {row.value}
+                  </Typography>
+                ))}
+            </View>
+          )}
+          
+          {/* Swipe actions */}
+          {hasActions && showActions && (
+            <View style={styles.actionsRow}>
+              {onToggleExclude && renderAction(
+                round.excludeFromStats ? "eye-outline" : "eye-off-outline",
+                round.excludeFromStats ? "Include" : "Exclude",
+                onToggleExclude
+              )}
+              {onToggleArchive && renderAction(
+                "archive-outline",
+                round.isArchived ? "Unarchive" : "Archive",
+                onToggleArchive
+              )}
+              {onDelete && renderAction("trash-outline", "Delete", onDelete, theme.colors.error)}
+            </View>
+          )}
+        </Card>
+      </TouchableOpacity>
+    </View>
   );
 };
 
@@ -98,6 +205,33 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: "#f0f0f0",
   },
+  pendingBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    marginHorizontal: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  pendingText: {
+    marginLeft: 4,
+  },
+  actionsRow: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    paddingVertical: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+  },
+  actionButton: {
+    alignItems: "center",
+    paddingHorizontal: theme.spacing.medium,
+  },
+  cardClassicStatsRow: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    paddingBottom: theme.spacing.medium,
+    paddingHorizontal: theme.spacing.medium,
+  },
   courseName: {
     flex: 1,
     marginRight: theme.spacing.small,
@@ -0,0 +1,394 @@
+// src/components/ShotListEditor.js
+//
+// Lists every shot recorded on the current hole in playing order.
+// Any shot can be reclassified, deleted, or have a shot inserted before or
+// after it, with undo/redo for every change made on the hole. Penalties are
+// added to, and listed under, the shot that caused them. Each shot's
+// distance to the hole can be entered here when GPS didn't capture it.
+
+import React, { useState, useEffect } from "react";
+import { View, TouchableOpacity, TextInput, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import { SHOT_TYPES, SHOT_OUTCOMES, PENALTY_KINDS, getShotKey } from "../services/shotService";
+import { getClub } from "../services/clubService";
+
+// Short outcome labels, matching the ShotTable column headers
+const OUTCOME_LABELS = {
+  "On Target": "On Target",
+  "Slightly Off": "Slightly Off",
+  "Recovery Needed": "Bad"
+};
+
+// Outcome colour coding for the shot rows
+const OUTCOME_COLORS = {
+  "On Target": theme.colors.success,
+  "Slightly Off": theme.colors.accent,
+  "Recovery Needed": theme.colors.error
+};
+
+/**
+ * ShotListEditor Component
+ *
+ * @param {Object} props
+ * @param {Array} props.shots - Shots recorded on the hole, in order
+ * @param {Array} props.penalties - Penalties recorded on the hole
+ * @param {Array} props.shotDistances - Measured length of each shot in yards (null when unknown)
+ * @param {Array} props.bag - Club ids to choose from; the club picker is hidden when not given
+ * @param {Function} props.onUpdateShot - Called with (index, changes) to reclassify a shot or set its distance to the hole
+ * @param {Function} props.onInsertShot - Called with (index) to insert a copy of the shot at that position
+ * @param {Function} props.onDeleteShot - Called with (index) to delete a shot
+ * @param {Function} props.onAddPenalty - Called with (shotIndex, kind) to add a penalty caused by a shot
+ * @param {Function} props.onRemovePenalty - Called with (penaltyIndex) to remove a penalty
+ * @param {Function} props.onUndo - Undo the last change on the hole
+ * @param {Function} props.onRedo - Redo the last undone change on the hole
+ * @param {boolean} props.canUndo - Whether there is a change to undo
+ * @param {boolean} props.canRedo - Whether there is a change to redo
+ */
+export default function ShotListEditor({
+  shots = [],
+  penalties = [],
+  shotDistances = [],
+  bag = null,
+  onUpdateShot,
+  onInsertShot,
+  onDeleteShot,
+  onAddPenalty,
+  onRemovePenalty,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false
+}) {
+  const [selectedIndex, setSelectedIndex] = useState(null);
+
+  // Drop the selection if the shot it pointed at no longer exists
+  useEffect(() => {
+    if (selectedIndex !== null && selectedIndex >= shots.length) {
+      setSelectedIndex(null);
+    }
+  }, [shots, selectedIndex]);
+
+  const handleInsert = (index) => {
+    onInsertShot(index);
+    setSelectedIndex(index); // Select the new shot so it can be reclassified
+  };
+
+  const handleDelete = (index) => {
+    onDeleteShot(index);
+    setSelectedIndex(null);
+  };
+
+  // Distances are entered in yards; putt distances are set in the putting panel
+  const handleDistanceEntered = (index, text) => {
+    const yards = parseInt(text, 10);
+    onUpdateShot(index, {
+      distanceToHole: Number.isNaN(yards) || yards <= 0 ? null : yards,
+      distanceSource: "manual"
+    });
+  };
+
+  const renderChip = (label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.chip, isSelected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      <Typography
+        variant="caption"
+        weight={isSelected ? "semibold" : "normal"}
+        color={isSelected ? theme.colors.primary : theme.colors.text}
+      >
+        {label}
+      </Typography>
+    </TouchableOpacity>
+  );
+
+  const renderShotActions = (shot, index) => (
+    <View style={styles.actionsContainer}>
+      <Typography variant="caption" style={styles.actionLabel}>Type</Typography>
+      <View style={styles.chipRow}>
+        {SHOT_TYPES.map(type => renderChip(
+          type,
+          shot.type === type,
+          () => onUpdateShot(index, { type })
+        ))}
+      </View>
+
+      <Typography variant="caption" style={styles.actionLabel}>Outcome</Typography>
+      <View style={styles.chipRow}>
+        {SHOT_OUTCOMES.map(outcome => renderChip(
+          OUTCOME_LABELS[outcome],
+          shot.result === outcome,
+          () => onUpdateShot(index, { result: outcome })
+        ))}
+      </View>
+
+      {bag && bag.length > 0 && (
+        <>
+          <Typography variant="caption" style={styles.actionLabel}>Club</Typography>
+          <View style={styles.chipRow}>
+            {bag.map(clubId => renderChip(
+              getClub(clubId)?.shortLabel || clubId,
+              shot.club === clubId,
+              () => onUpdateShot(index, { club: shot.club === clubId ? null : clubId })
+            ))}
+          </View>
+        </>
+      )}
+
+      {shot.position && (
+        <Typography variant="caption" style={styles.actionLabel}>
+          Position recorded by GPS{shot.position.accuracy ? ` (±${Math.round(shot.position.accuracy)} m)` : ""}
+        </Typography>
+      )}
+
+      {shot.type !== "Putts" && (
+        <>
+          <Typography variant="caption" style={styles.actionLabel}>Distance to Hole (yd)</Typography>
+          <TextInput
+            key={`distance-${getShotKey(shot)}-${shot.distanceToHole ?? ""}`}
+            style={styles.distanceInput}
+            defaultValue={shot.distanceToHole ? String(shot.distanceToHole) : ""}
+            placeholder="Not recorded"
+            keyboardType="number-pad"
+            returnKeyType="done"
+            onEndEditing={(event) => handleDistanceEntered(index, event.nativeEvent.text)}
+          />
+        </>
+      )}
+
+      <Typography variant="caption" style={styles.actionLabel}>Add Penalty</Typography>
+      <View style={styles.chipRow}>
+        {Object.entries(PENALTY_KINDS).map(([kind, penaltyKind]) => renderChip(
+          `${penaltyKind.label} +${penaltyKind.strokes}`,
+          false,
+          () => onAddPenalty(index, kind)
+        ))}
+      </View>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleInsert(index)}>
+          <Ionicons name="arrow-up" size={16} color={theme.colors.primary} />
+          <Typography variant="caption" color={theme.colors.primary}>Insert Before</Typography>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleInsert(index + 1)}>
+          <Ionicons name="arrow-down" size={16} color={theme.colors.primary} />
+          <Typography variant="caption" color={theme.colors.primary}>Insert After</Typography>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.actionButton} onPress={() => handleDelete(index)}>
+          <Ionicons name="trash-outline" size={16} color={theme.colors.error} />
+          <Typography variant="caption" color={theme.colors.error}>Delete</Typography>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header with undo/redo */}
+      <View style={styles.header}>
+        <Typography variant="body" weight="semibold">
+          Shots ({shots.length})
+        </Typography>
+        <View style={styles.historyButtons}>
+          <TouchableOpacity
+            onPress={onUndo}
+            disabled={!canUndo}
+            style={styles.historyButton}
+            accessibilityLabel="Undo shot change"
+          >
+            <Ionicons name="arrow-undo" size={20} color={canUndo ? theme.colors.primary : "#ccc"} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={onRedo}
+            disabled={!canRedo}
+            style={styles.historyButton}
+            accessibilityLabel="Redo shot change"
+          >
+            <Ionicons name="arrow-redo" size={20} color={canRedo ? theme.colors.primary : "#ccc"} />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {shots.length === 0 ? (
+        <Typography variant="secondary" italic style={styles.emptyText}>
+          No shots recorded on this hole yet.
+        </Typography>
+      ) : (
+        shots.map((shot, index) => {
+          const isSelected = selectedIndex === index;
+
+          return (
+            <View key={`${shot.timestamp}-${index}`} style={[styles.shotRow, isSelected && styles.selectedShotRow]}>
+              <TouchableOpacity
+                style={styles.shotSummary}
+                onPress={() => setSelectedIndex(isSelected ? null : index)}
+              >
+                <Typography variant="body" style={styles.shotNumber}>
+                  {index + 1}.
+                </Typography>
+                <Typography variant="body" style={styles.shotType}>
+                  {shot.type}{shot.club ? ` · ${getClub(shot.club)?.shortLabel || shot.club}` : ""}
+                </Typography>
+                {shot.type !== "Putts" && shot.distanceToHole ? (
+                  <Typography variant="caption" style={styles.shotDistance}>
+                    {shot.distanceToHole} to pin
+                  </Typography>
+                ) : null}
+                {shotDistances[index] ? (
+                  <Typography variant="caption" weight="semibold" style={styles.shotDistance}>
+                    {shotDistances[index]} yd
+                  </Typography>
+                ) : null}
+                <Typography variant="caption" color={OUTCOME_COLORS[shot.result] || theme.colors.text}>
+                  {OUTCOME_LABELS[shot.result] || shot.result}
+                </Typography>
+                <Ionicons
+                  name={isSelected ? "chevron-up" : "chevron-down"}
+                  size={16}
+                  color="#999"
+                  style={styles.chevron}
+                />
+              </TouchableOpacity>
+
+              {/* Penalties caused by this shot */}
+              {(penalties || []).map((penalty, penaltyIndex) => (
+                penalty.shotId === getShotKey(shot) && (
+                  <View key={`penalty-${penaltyIndex}`} style={styles.penaltyRow}>
+                    <Ionicons name="flag" size={14} color={theme.colors.error} />
+                    <Typography variant="caption" color={theme.colors.error} style={styles.penaltyText}>
+                      {PENALTY_KINDS[penalty.kind]?.label || "Penalty"} (+{penalty.strokes})
+                    </Typography>
+                    <TouchableOpacity
+                      onPress={() => onRemovePenalty(penaltyIndex)}
+                      accessibilityLabel="Remove penalty"
+                    >
+                      <Ionicons name="close-circle" size={18} color="#999" />
+                    </TouchableOpacity>
+                  </View>
+                )
+              ))}
+
+              {isSelected && renderShotActions(shot, index)}
+            </View>
+          );
+        })
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#f8f8f8",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 6,
+  },
+  historyButtons: {
+    flexDirection: "row",
+  },
+  historyButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
+  emptyText: {
+    paddingVertical: 6,
+  },
+  shotRow: {
+    backgroundColor: "#fff",
+    borderRadius: 6,
+    marginBottom: 6,
+    borderWidth: 1,
+    borderColor: "#eee",
+  },
+  selectedShotRow: {
+    borderColor: theme.colors.primary,
+  },
+  shotSummary: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+  },
+  shotNumber: {
+    width: 28,
+    color: "#666",
+  },
+  shotType: {
+    flex: 1,
+  },
+  shotDistance: {
+    color: "#666",
+    marginRight: 8,
+  },
+  chevron: {
+    marginLeft: 8,
+  },
+  penaltyRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 10,
+    paddingBottom: 8,
+    marginLeft: 28,
+  },
+  penaltyText: {
+    flex: 1,
+    marginLeft: 6,
+  },
+  actionsContainer: {
+    paddingHorizontal: 10,
+    paddingBottom: 10,
+  },
+  actionLabel: {
+    marginTop: 4,
+    marginBottom: 4,
+    color: "#666",
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  distanceInput: {
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    width: 120,
+    marginBottom: 6,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 6,
+  },
+  actionButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  }
+});
@@ -13,7 +13,8 @@ const { width: SCREEN_WIDTH } = Dimensions.get('window');
 
 // ========== DOMAIN MODEL CONSTANTS ==========
 // Define shot types and outcomes with standardized naming
-const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+// Penalties are recorded separately in the shot list editor
+const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand"];
 
 // Display transformation mapping - consistent with data model
 const OUTCOME_DISPLAY_MAPPING = {
@@ -0,0 +1,165 @@
+// src/components/StrokesGainedPanel.js
+//
+// Strokes gained by category for a round, next to the rolling average over
+// recent rounds, against a selectable baseline handicap level.
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import Typography from "../ui/components/Typography";
+import theme from "../ui/theme";
+import {
+  HANDICAP_LEVELS,
+  SG_CATEGORIES,
+  formatStrokesGained
+} from "../services/strokesGainedService";
+
+const getLevelLabel = (level) => (level === 0 ? "Scratch" : `${level} hcp`);
+
+const getValueColor = (value) => {
+  if (value === null || value === undefined || value === 0) return theme.colors.text;
+  return value > 0 ? theme.colors.success : theme.colors.error;
+};
+
+/**
+ * StrokesGainedPanel Component
+ *
+ * @param {Object} props
+ * @param {Object} props.round - Result of calculateRoundStrokesGained for this round
+ * @param {Object} props.rolling - Result of calculateRollingStrokesGained, or null
+ * @param {number} props.handicapLevel - Selected baseline handicap level
+ * @param {Function} props.onChangeHandicapLevel - Called with the new baseline level
+ */
+export default function StrokesGainedPanel({ round, rolling, handicapLevel, onChangeHandicapLevel }) {
+  if (!round || round.shotsTotal === 0) return null;
+
+  const rows = [
+    ...Object.entries(SG_CATEGORIES).map(([key, label]) => ({ key, label })),
+    { key: "total", label: "Total" }
+  ];
+
+  return (
+    <View style={styles.container}>
+      <Typography variant="body" weight="semibold" style={styles.title}>
+        Strokes Gained
+      </Typography>
+
+      {/* Baseline selector */}
+      <View style={styles.chipRow}>
+        {HANDICAP_LEVELS.map(level => {
+          const isSelected = level === handicapLevel;
+          return (
+            <TouchableOpacity
+              key={level}
+              style={[styles.chip, isSelected && styles.selectedChip]}
+              onPress={() => onChangeHandicapLevel(level)}
+            >
+              <Typography
+                variant="caption"
+                weight={isSelected ? "semibold" : "normal"}
+                color={isSelected ? theme.colors.primary : theme.colors.text}
+              >
+                {getLevelLabel(level)}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {round.shotsMeasured === 0 ? (
+        <Typography variant="secondary" italic>
+          No shot distances were recorded in this round. Use GPS or enter distances in the shot list to see strokes gained.
+        </Typography>
+      ) : (
+        <>
+          <View style={styles.headerRow}>
+            <Typography variant="caption" style={styles.label} />
+            <Typography variant="caption" style={[styles.value, styles.headerText]}>Round</Typography>
+            <Typography variant="caption" style={[styles.value, styles.headerText]}>
+              {rolling ? `Last ${rolling.rounds}` : ""}
+            </Typography>
+          </View>
+
+          {rows.map(row => (
+            <View key={row.key} style={[styles.row, row.key === "total" && styles.totalRow]}>
+              <Typography variant="body" weight={row.key === "total" ? "semibold" : "normal"} style={styles.label}>
+                {row.label}
+              </Typography>
+              <Typography variant="body" weight="semibold" color={getValueColor(round[row.key])} style={styles.value}>
+                {formatStrokesGained(round[row.key])}
+              </Typography>
+              <Typography variant="body" color={getValueColor(rolling?.[row.key])} style={styles.value}>
+                {rolling ? formatStrokesGained(rolling[row.key]) : ""}
+              </Typography>
+            </View>
+          ))}
+
+          {round.shotsMeasured < round.shotsTotal && (
+            <Typography variant="caption" style={styles.coverage}>
+              {round.shotsMeasured} of {round.shotsTotal} shots measured - shots without a distance to the hole are left out.
+            </Typography>
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    padding: theme.spacing.medium,
+    marginTop: theme.spacing.small,
+    borderTopWidth: 1,
+    borderTopColor: "#e0e0e0",
+  },
+  title: {
+    marginBottom: theme.spacing.small,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: theme.spacing.small,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  headerRow: {
+    flexDirection: "row",
+    paddingBottom: 4,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  totalRow: {
+    borderBottomWidth: 0,
+  },
+  label: {
+    flex: 1,
+  },
+  value: {
+    width: 64,
+    textAlign: "right",
+  },
+  headerText: {
+    color: "#666",
+  },
+  coverage: {
+    marginTop: theme.spacing.small,
+    color: "#666",
+  }
+});
@@ -0,0 +1,54 @@
+// src/hook/usePendingRounds.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { Alert } from 'react-native';
+import {
+  getPendingRounds,
+  formatPendingRounds,
+  subscribeToOutbox,
+  processOutbox
+} from '../services/roundSyncService';
+
+/**
+ * Custom hook exposing the user's rounds that are waiting to sync.
+ *
+ * @param {Object} user - The signed-in user.
+ *
+ * @returns {Object} pendingRounds - Round summaries flagged with pendingSync.
+ *                   syncVersion - Increments whenever the outbox changes, so screens can refetch synced rounds.
+ *                   handlePendingRoundPress - Press handler offering to sync a pending round now.
+ */
+const usePendingRounds = (user) => {
+  const [pendingRounds, setPendingRounds] = useState([]);
+  const [syncVersion, setSyncVersion] = useState(0);
+
+  useEffect(() => {
+    if (!user) return;
+
+    getPendingRounds(user.id).then(entries => {
+      setPendingRounds(formatPendingRounds(entries));
+    });
+
+    return subscribeToOutbox(entries => {
+      setPendingRounds(formatPendingRounds(
+        entries.filter(entry => entry.round?.profile_id === user.id)
+      ));
+      setSyncVersion(version => version + 1);
+    });
+  }, [user]);
+
+  const handlePendingRoundPress = useCallback(() => {
+    Alert.alert(
+      "Waiting to Sync",
+      "This round is saved on your device and will upload automatically when you're back online. The scorecard will be available once it has synced.",
+      [
+        { text: "OK", style: "cancel" },
+        { text: "Sync Now", onPress: () => processOutbox({ force: true }) }
+      ]
+    );
+  }, []);
+
+  return { pendingRounds, syncVersion, handlePendingRoundPress };
+};
+
+export default usePendingRounds;
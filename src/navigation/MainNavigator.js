@@ -15,6 +15,9 @@ import ProfileScreen from "../screens/ProfileScreen";
 // Import authentication context
 import { AuthContext } from "../context/AuthContext";
 
+// Replays rounds that were finished without a connection
+import { startOutboxSync } from "../services/roundSyncService";
+
 // Create stack navigators for each tab section
 const RoundsStack = createStackNavigator();
 const InsightsStack = createStackNavigator();
@@ -94,6 +97,12 @@ export default function MainNavigator() {
   // Get the authenticated user from context
   const { user } = useContext(AuthContext);
   
+  // Sync any rounds finished offline while the user is signed in
+  useEffect(() => {
+    if (!user) return;
+    return startOutboxSync();
+  }, [user]);
+  
   /**
    * Determines tab bar visibility based on focused route
    * Hides tab bar for focused round experiences and scorecard reviews
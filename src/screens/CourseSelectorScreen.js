@@ -24,6 +24,10 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import { getAllCourses, searchCourses, getRecentCourses, getCourseById, ensureCourseHasPoiData } from "../services/courseService";
+import { getInProgressRound, discardInProgressRound } from "../services/roundRecoveryService";
+import { SCORING_FORMATS, SCORING_FORMAT_OPTIONS, getScoringFormat } from "../services/scoringFormatService";
+import { calculateRoundHandicap, fetchPlayerHandicap, getTeeRating } from "../services/handicapService";
+import { getHoleSequence } from "../services/roundservice";
 import Typography from "../ui/components/Typography";
 import SkeletonCourseCard from "../components/SkeletonCourseCard";
 import { AuthContext } from "../context/AuthContext";
@@ -37,6 +41,13 @@ import { AuthContext } from "../context/AuthContext";
  * 
  * ENHANCED: Now includes validation to filter out tees with zero distances
  * to prevent downstream crashes and invalid data propagation.
+ * 
+ * Lets the user play the full course, either nine, or a custom run of holes
+ * from any start hole, honoring the course's num_holes. Custom runs wrap
+ * from the last hole back to hole 1 for shotgun starts.
+ * 
+ * Once a tee is picked, the player's course and playing handicap for that
+ * tee are shown, and the strokes received per hole go to the tracker.
  */
 export default function CourseSelectorScreen({ navigation }) {
   // Get the current user from context
@@ -48,6 +59,20 @@ export default function CourseSelectorScreen({ navigation }) {
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [selectedTeeId, setSelectedTeeId] = useState(null);
   
+  // Which holes will be played - see getHoleOptions()
+  const [holeOptionKey, setHoleOptionKey] = useState("full");
+  const [customStartHole, setCustomStartHole] = useState(1);
+  const [customHoleCount, setCustomHoleCount] = useState(9);
+  
+  // How the round is tracked - see TRACKING_MODES
+  const [trackingMode, setTrackingMode] = useState("shots");
+  
+  // How the round is scored - see SCORING_FORMAT_OPTIONS
+  const [scoringFormat, setScoringFormat] = useState(SCORING_FORMATS.STROKE_PLAY);
+  
+  // Handicap index and tee gender from the profile
+  const [playerHandicap, setPlayerHandicap] = useState({ handicap: null, gender: "men" });
+  
   // Loading states
   const [isLoadingAll, setIsLoadingAll] = useState(true);
   const [isLoadingRecent, setIsLoadingRecent] = useState(true);
@@ -102,6 +127,21 @@ export default function CourseSelectorScreen({ navigation }) {
     loadRecentCourses();
   }, [user]);
   
+  // Load the player's handicap for course handicap calculation
+  useEffect(() => {
+    const loadPlayerHandicap = async () => {
+      if (!user) return;
+      
+      try {
+        setPlayerHandicap(await fetchPlayerHandicap(user.id));
+      } catch (error) {
+        console.error("Error loading handicap:", error);
+      }
+    };
+    
+    loadPlayerHandicap();
+  }, [user]);
+  
   // Load all courses as a fallback when component mounts
   useEffect(() => {
     const loadAllCourses = async () => {
@@ -192,6 +232,11 @@ export default function CourseSelectorScreen({ navigation }) {
       setSelectedCourse(courseWithValidTees);
       setSelectedTeeId(null); // Reset tee selection
       
+      // Reset hole selection for the new course
+      setHoleOptionKey("full");
+      setCustomStartHole(1);
+      setCustomHoleCount(Math.min(9, getCourseHoleCount(course)));
+      
       // If there's only one valid tee, select it automatically
       if (validTees.length === 1) {
         setSelectedTeeId(validTees[0].id);
@@ -268,6 +313,56 @@ export default function CourseSelectorScreen({ navigation }) {
     setSelectedTeeId(teeId);
   };
   
+  /**
+   * Resolve the start hole and hole count for the current hole selection
+   */
+  const getSelectedRoundLayout = () => {
+    const courseHoleCount = getCourseHoleCount(selectedCourse);
+    
+    if (holeOptionKey === "custom") {
+      return {
+        startHole: customStartHole,
+        holesToPlay: Math.min(customHoleCount, courseHoleCount)
+      };
+    }
+    
+    const option = getHoleOptions(courseHoleCount).find(opt => opt.key === holeOptionKey);
+    return option
+      ? { startHole: option.startHole, holesToPlay: option.holesToPlay }
+      : { startHole: 1, holesToPlay: courseHoleCount };
+  };
+  
+  /**
+   * Course and playing handicap for the selected tee, holes and format
+   */
+  const getRoundHandicap = () => {
+    const selectedTee = selectedCourse?.tees?.find(tee => tee.id === selectedTeeId);
+    if (!selectedTee) return null;
+    
+    const { startHole, holesToPlay } = getSelectedRoundLayout();
+    return calculateRoundHandicap(selectedCourse, selectedTee, playerHandicap.handicap, {
+      holeNumbers: getHoleSequence(startHole, holesToPlay, getCourseHoleCount(selectedCourse)),
+      gender: playerHandicap.gender,
+      scoringFormat
+    });
+  };
+  
+  /**
+   * Change the custom start hole, wrapping around the course
+   */
+  const handleCustomStartChange = (delta) => {
+    const courseHoleCount = getCourseHoleCount(selectedCourse);
+    setCustomStartHole(prev => ((prev - 1 + delta + courseHoleCount) % courseHoleCount) + 1);
+  };
+  
+  /**
+   * Change the custom hole count, keeping it within the course
+   */
+  const handleCustomCountChange = (delta) => {
+    const maxCount = getCourseHoleCount(selectedCourse);
+    setCustomHoleCount(prev => Math.min(maxCount, Math.max(1, prev + delta)));
+  };
+  
   /**
    * Start a round with the selected course and tee
    * Enhanced to ensure proper data flow and direct navigation to tracker
@@ -303,13 +398,43 @@ export default function CourseSelectorScreen({ navigation }) {
         return;
       }
       
+      // Never silently carry an unfinished round over to a new course
+      const inProgress = await getInProgressRound(user?.id);
+      if (inProgress) {
+        Alert.alert(
+          "Round in Progress",
+          `You have an unfinished round at ${inProgress.course?.name || "another course"}. Starting a new round will discard it.`,
+          [
+            { text: "Cancel", style: "cancel" },
+            {
+              text: "Discard and Start",
+              style: "destructive",
+              onPress: async () => {
+                await discardInProgressRound(inProgress.round.id);
+                handleStartRound();
+              }
+            }
+          ]
+        );
+        return;
+      }
+      
+      const { startHole, holesToPlay } = getSelectedRoundLayout();
+      const roundHandicap = getRoundHandicap();
+      
       console.log("Starting round with validated data:", {
         courseId: selectedCourse.id,
         courseName: selectedCourse.name,
         teeId: selectedTeeId,
         teeName: selectedTee.name,
         teeDistance: selectedTee.total_distance,
-        hasPoi: selectedCourse.poi ? "Yes" : "No"
+        hasPoi: selectedCourse.poi ? "Yes" : "No",
+        startHole,
+        holesToPlay,
+        trackingMode,
+        scoringFormat,
+        courseHandicap: roundHandicap?.courseHandicap ?? null,
+        playingHandicap: roundHandicap?.playingHandicap ?? null
       });
       
       // Pre-load POI data if needed - optimization for better in-round experience
@@ -335,7 +460,16 @@ export default function CourseSelectorScreen({ navigation }) {
         teeName: selectedTee.name,
         teeColor: selectedTee.color,
         teeDistance: selectedTee.total_distance, // Store verified distance
-        poi: courseWithPoi.poi || [] // Include POI data if available
+        poi: courseWithPoi.poi || [], // Include POI data if available
+        numHoles: getCourseHoleCount(courseWithPoi || selectedCourse),
+        startHole,
+        holesToPlay,
+        trackingMode,
+        scoringFormat,
+        teeGender: playerHandicap.gender,
+        courseHandicap: roundHandicap?.courseHandicap ?? null,
+        playingHandicap: roundHandicap?.playingHandicap ?? null,
+        handicapStrokes: roundHandicap?.strokesByHole || null
       }));
       
       // Navigate directly to the tracker screen with replace
@@ -379,32 +513,217 @@ export default function CourseSelectorScreen({ navigation }) {
   /**
    * Render a tee option
    * Enhanced to only show validated tees with valid distances
+   * Ratings shown are for the player's tee set (men's or women's)
    */
-  const renderTeeOption = (tee) => (
-    <TouchableOpacity
-      key={tee.id}
-      style={[
-        styles.teeOption,
-        selectedTeeId === tee.id && styles.selectedTeeOption
-      ]}
-      onPress={() => handleTeeSelect(tee.id)}
-    >
-      <View 
+  const renderTeeOption = (tee) => {
+    const rating = getTeeRating(selectedCourse, tee.id, tee.name, playerHandicap.gender);
+    
+    return (
+      <TouchableOpacity
+        key={tee.id}
         style={[
-          styles.teeColor,
-          { backgroundColor: tee.color || "#CCCCCC" }
-        ]} 
-      />
-      <View style={styles.teeInfo}>
-        <Typography variant="body" weight="medium" style={styles.teeName}>
-          {tee.name}
+          styles.teeOption,
+          selectedTeeId === tee.id && styles.selectedTeeOption
+        ]}
+        onPress={() => handleTeeSelect(tee.id)}
+      >
+        <View 
+          style={[
+            styles.teeColor,
+            { backgroundColor: tee.color || "#CCCCCC" }
+          ]} 
+        />
+        <View style={styles.teeInfo}>
+          <Typography variant="body" weight="medium" style={styles.teeName}>
+            {tee.name}
+          </Typography>
+          {/* Display distance with validation - this should always be valid now */}
+          <Typography variant="caption">
+            {tee.total_distance.toLocaleString()} yards
+            {rating ? ` • ${rating.courseRating} / ${rating.slope}` : ""}
+          </Typography>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Render the hole selection (full course, nines, or custom)
+   */
+  const renderHoleSelection = () => {
+    const courseHoleCount = getCourseHoleCount(selectedCourse);
+    const holeOptions = getHoleOptions(courseHoleCount);
+    const { startHole, holesToPlay } = getSelectedRoundLayout();
+    
+    return (
+      <View style={styles.holeSelectionContainer}>
+        <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+          Holes
         </Typography>
-        {/* Display distance with validation - this should always be valid now */}
-        <Typography variant="caption">
-          {tee.total_distance.toLocaleString()} yards
+        
+        <View style={styles.holeOptionsRow}>
+          {holeOptions.map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[
+                styles.holeOption,
+                holeOptionKey === option.key && styles.selectedHoleOption
+              ]}
+              onPress={() => setHoleOptionKey(option.key)}
+            >
+              <Typography 
+                variant="caption" 
+                weight={holeOptionKey === option.key ? "semibold" : "normal"}
+                color={holeOptionKey === option.key ? theme.colors.primary : theme.colors.text}
+              >
+                {option.label}
+              </Typography>
+            </TouchableOpacity>
+          ))}
+        </View>
+        
+        {holeOptionKey === "custom" && (
+          <View style={styles.customHolesContainer}>
+            {renderStepper("Start hole", customStartHole, handleCustomStartChange)}
+            {renderStepper("Holes to play", Math.min(customHoleCount, courseHoleCount), handleCustomCountChange)}
+          </View>
+        )}
+        
+        <Typography variant="caption" style={styles.holeSummaryText}>
+          {describeHoleOrder(startHole, holesToPlay, courseHoleCount)}
         </Typography>
       </View>
-    </TouchableOpacity>
+    );
+  };
+  
+  /**
+   * Render the tracking mode choice - every shot, or just a score per hole
+   */
+  const renderTrackingModeSelection = () => (
+    <View style={styles.holeSelectionContainer}>
+      <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+        Tracking
+      </Typography>
+      
+      <View style={styles.holeOptionsRow}>
+        {TRACKING_MODES.map(mode => (
+          <TouchableOpacity
+            key={mode.key}
+            style={[
+              styles.holeOption,
+              trackingMode === mode.key && styles.selectedHoleOption
+            ]}
+            onPress={() => setTrackingMode(mode.key)}
+          >
+            <Typography 
+              variant="caption" 
+              weight={trackingMode === mode.key ? "semibold" : "normal"}
+              color={trackingMode === mode.key ? theme.colors.primary : theme.colors.text}
+            >
+              {mode.label}
+            </Typography>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
+      <Typography variant="caption" style={styles.holeSummaryText}>
+        {TRACKING_MODES.find(mode => mode.key === trackingMode)?.description}
+      </Typography>
+    </View>
+  );
+  
+  /**
+   * Render the course and playing handicap for the selected tee
+   */
+  const renderHandicapSummary = () => {
+    if (!selectedTeeId) return null;
+    
+    const roundHandicap = getRoundHandicap();
+    let summary;
+    if (playerHandicap.handicap === null) {
+      summary = "Add your handicap in Profile to see the strokes you receive.";
+    } else if (!roundHandicap) {
+      summary = "This tee has no slope or course rating, so strokes can't be worked out.";
+    } else {
+      const strokeHoles = Object.values(roundHandicap.strokesByHole).filter(strokes => strokes !== 0).length;
+      summary = `Rating ${roundHandicap.courseRating} / Slope ${roundHandicap.slope} • `
+        + `${roundHandicap.playingHandicap} strokes over ${strokeHoles} ${strokeHoles === 1 ? "hole" : "holes"}`;
+    }
+    
+    return (
+      <View style={styles.holeSelectionContainer}>
+        <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+          Handicap
+        </Typography>
+        {roundHandicap && (
+          <Typography variant="body">
+            Course handicap {roundHandicap.courseHandicap} • Playing handicap {roundHandicap.playingHandicap}
+            {roundHandicap.allowance !== 1 ? ` (${Math.round(roundHandicap.allowance * 100)}%)` : ""}
+          </Typography>
+        )}
+        <Typography variant="caption" style={styles.holeSummaryText}>
+          {summary}
+        </Typography>
+      </View>
+    );
+  };
+  
+  /**
+   * Render the scoring format choice
+   * Match play and skins are played against the partners added in the tracker.
+   */
+  const renderScoringFormatSelection = () => (
+    <View style={styles.holeSelectionContainer}>
+      <Typography variant="subtitle" style={styles.teeSelectionTitle}>
+        Format
+      </Typography>
+      
+      <View style={styles.holeOptionsRow}>
+        {SCORING_FORMAT_OPTIONS.map(format => (
+          <TouchableOpacity
+            key={format.id}
+            style={[
+              styles.holeOption,
+              scoringFormat === format.id && styles.selectedHoleOption
+            ]}
+            onPress={() => setScoringFormat(format.id)}
+          >
+            <Typography 
+              variant="caption" 
+              weight={scoringFormat === format.id ? "semibold" : "normal"}
+              color={scoringFormat === format.id ? theme.colors.primary : theme.colors.text}
+            >
+              {format.label}
+            </Typography>
+          </TouchableOpacity>
+        ))}
+      </View>
+      
+      <Typography variant="caption" style={styles.holeSummaryText}>
+        {getScoringFormat(scoringFormat).description}
+        {getScoringFormat(scoringFormat).minPlayers ? " - add partners once the round starts" : ""}
+      </Typography>
+    </View>
+  );
+  
+  /**
+   * Render a simple -/+ stepper row
+   */
+  const renderStepper = (label, value, onChange) => (
+    <View style={styles.stepperRow}>
+      <Typography variant="body">{label}</Typography>
+      <View style={styles.stepperControls}>
+        <TouchableOpacity style={styles.stepperButton} onPress={() => onChange(-1)}>
+          <Ionicons name="remove" size={18} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Typography variant="body" weight="semibold" style={styles.stepperValue}>
+          {value}
+        </Typography>
+        <TouchableOpacity style={styles.stepperButton} onPress={() => onChange(1)}>
+          <Ionicons name="add" size={18} color={theme.colors.primary} />
+        </TouchableOpacity>
+      </View>
+    </View>
   );
   
   // Determine which courses to display based on search and recent courses
@@ -529,6 +848,12 @@ export default function CourseSelectorScreen({ navigation }) {
               )}
             </View>
           )}
+          
+          {/* Hole selection - only once the course has valid tees */}
+          {!isLoadingCourseDetails && selectedCourse.tees && selectedCourse.tees.length > 0 && renderHoleSelection()}
+          {!isLoadingCourseDetails && selectedCourse.tees && selectedCourse.tees.length > 0 && renderTrackingModeSelection()}
+          {!isLoadingCourseDetails && selectedCourse.tees && selectedCourse.tees.length > 0 && renderScoringFormatSelection()}
+          {!isLoadingCourseDetails && selectedCourse.tees && selectedCourse.tees.length > 0 && renderHandicapSummary()}
         </View>
       )}
       
@@ -553,6 +878,71 @@ export default function CourseSelectorScreen({ navigation }) {
   );
 }
 
+/**
+ * Ways a round can be tracked
+ * Quick score rounds record a score, putts, fairway and GIR per hole, like a paper card.
+ */
+const TRACKING_MODES = [
+  { key: "shots", label: "Shot by Shot", description: "Log every shot for detailed insights" },
+  { key: "quick", label: "Quick Score", description: "Enter score, putts, fairway and GIR per hole" }
+];
+
+/**
+ * Get the number of holes on a course, defaulting to 18
+ */
+function getCourseHoleCount(course) {
+  if (course?.num_holes) {
+    return course.num_holes;
+  }
+  if (course?.holes && Array.isArray(course.holes) && course.holes.length > 0) {
+    return course.holes.length;
+  }
+  return 18;
+}
+
+/**
+ * Describe the holes that will be played, e.g. "Holes 10–18" or
+ * "Holes 7–18, then 1–6" for a shotgun start
+ */
+function describeHoleOrder(startHole, holesToPlay, courseHoleCount) {
+  if (holesToPlay === 1) {
+    return `Hole ${startHole}`;
+  }
+  
+  const lastHole = startHole + holesToPlay - 1;
+  if (lastHole <= courseHoleCount) {
+    return `Holes ${startHole}–${lastHole}`;
+  }
+  
+  const wrappedLastHole = lastHole - courseHoleCount;
+  return wrappedLastHole === 1
+    ? `Holes ${startHole}–${courseHoleCount}, then 1`
+    : `Holes ${startHole}–${courseHoleCount}, then 1–${wrappedLastHole}`;
+}
+
+/**
+ * Build the hole selection options for a course
+ * Full course always, nines for courses of 18+ holes, and custom
+ */
+function getHoleOptions(courseHoleCount) {
+  const options = [
+    { key: "full", label: `${courseHoleCount} Holes`, startHole: 1, holesToPlay: courseHoleCount }
+  ];
+  
+  if (courseHoleCount >= 18) {
+    options.push({ key: "front", label: "Front 9", startHole: 1, holesToPlay: 9 });
+    options.push({ key: "back", label: "Back 9", startHole: 10, holesToPlay: 9 });
+  }
+  
+  if (courseHoleCount >= 27) {
+    options.push({ key: "third", label: "Holes 19–27", startHole: 19, holesToPlay: 9 });
+  }
+  
+  options.push({ key: "custom", label: "Custom", startHole: null, holesToPlay: null });
+  
+  return options;
+}
+
 /**
  * Debounce helper function to limit search frequency
  */
@@ -696,6 +1086,59 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     color: '#666',
   },
+  holeSelectionContainer: {
+    marginTop: 8,
+  },
+  holeOptionsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 8,
+  },
+  holeOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedHoleOption: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  customHolesContainer: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  stepperRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  stepperControls: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: "#f0f0f0",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  stepperValue: {
+    minWidth: 32,
+    textAlign: "center",
+  },
+  holeSummaryText: {
+    color: "#666",
+  },
   startButton: {
     backgroundColor: theme.colors.primary,
     paddingVertical: 12,
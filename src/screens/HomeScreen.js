@@ -1,14 +1,18 @@
 // src/screens/HomeScreen.js
-import React, { useState, useEffect, useContext } from "react";
-import { View, ActivityIndicator, StyleSheet, ScrollView } from "react-native";
+import React, { useState, useEffect, useContext, useCallback } from "react";
+import { View, ActivityIndicator, StyleSheet, ScrollView, Alert } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { useFocusEffect } from "@react-navigation/native";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import { supabase } from "../services/supabase";
 import { AuthContext } from "../context/AuthContext";
 import InsightCard from "../components/InsightCard"; // New component
 import RoundSummaryCard from "../components/RoundSummaryCard";
+import usePendingRounds from "../hook/usePendingRounds";
 import { getLatestInsights } from "../services/insightsService";
+import { getInProgressRound, prepareRoundResume, discardInProgressRound } from "../services/roundRecoveryService";
+import { getClaimableRounds, claimRound, getPartnerTotal } from "../services/partnerService";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import Card from "../ui/components/Card";
@@ -18,6 +22,8 @@ import Card from "../ui/components/Card";
  * 
  * This screen shows the insights summary card, "Start New Round" button 
  * and displays cards for recent completed rounds.
+ * Shows a "Continue Round" card when an unfinished round is found on the device.
+ * Rounds a playing partner scored for the user can be added to their history.
  * Enhanced with design system components for visual consistency.
  */
 export default function HomeScreen({ navigation }) {
@@ -29,9 +35,42 @@ export default function HomeScreen({ navigation }) {
   const [insightsSummary, setInsightsSummary] = useState(null);
   const [insightsLoading, setInsightsLoading] = useState(true);
   
+  // Unfinished round left on the device, e.g. after the app was killed mid-round
+  const [inProgressRound, setInProgressRound] = useState(null);
+  
+  // Rounds finished offline that are waiting to sync
+  const { pendingRounds, syncVersion, handlePendingRoundPress } = usePendingRounds(user);
+  
+  // Rounds playing partners scored for this user that haven't been claimed
+  const [sharedRounds, setSharedRounds] = useState([]);
+  const [claimingRoundId, setClaimingRoundId] = useState(null);
+  const [claimVersion, setClaimVersion] = useState(0);
+  
   // Determine premium status for conversion opportunities
   const hasPremiumAccess = hasPermission("product_a");
 
+  // Check for an unfinished round whenever the screen comes into focus
+  useFocusEffect(
+    useCallback(() => {
+      let isActive = true;
+      
+      async function checkInProgressRound() {
+        if (!user) return;
+        
+        const inProgress = await getInProgressRound(user.id);
+        if (isActive) {
+          setInProgressRound(inProgress);
+        }
+      }
+      
+      checkInProgressRound();
+      
+      return () => {
+        isActive = false;
+      };
+    }, [user])
+  );
+
   // Fetch recent rounds when component mounts
   useEffect(() => {
     async function fetchRecentRounds() {
@@ -50,10 +89,13 @@ export default function HomeScreen({ navigation }) {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            stats
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
+          .not("exclude_from_stats", "is", true) // Practice rounds and scrambles stay out of the summary
+          .not("is_archived", "is", true) // Archived rounds are hidden from round lists
           .order("created_at", { ascending: false })
           .limit(5);
           
@@ -89,7 +131,8 @@ export default function HomeScreen({ navigation }) {
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            isComplete: round.is_complete,
+            stats: round.stats
           }));
           
           setRecentRounds(formattedRounds);
@@ -104,7 +147,17 @@ export default function HomeScreen({ navigation }) {
     }
     
     fetchRecentRounds();
-  }, [user]);
+  }, [user, syncVersion, claimVersion]);
+
+  // Fetch rounds shared by playing partners
+  useEffect(() => {
+    async function fetchSharedRounds() {
+      if (!user) return;
+      setSharedRounds(await getClaimableRounds(user.id));
+    }
+    
+    fetchSharedRounds();
+  }, [user, claimVersion]);
 
   // Fetch insights summary - monetization content
   useEffect(() => {
@@ -147,6 +200,49 @@ export default function HomeScreen({ navigation }) {
     }
   };
 
+  // Pick the unfinished round back up in the tracker
+  const handleResumeRound = async () => {
+    if (!inProgressRound) return;
+    
+    await prepareRoundResume(inProgressRound);
+    navigation.navigate("Tracker");
+  };
+
+  // Discard the unfinished round after confirmation
+  const handleDiscardRound = () => {
+    if (!inProgressRound) return;
+    
+    Alert.alert(
+      "Discard Round?",
+      "This round and the shots you've tracked will be deleted.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: async () => {
+            await discardInProgressRound(inProgressRound.round.id);
+            setInProgressRound(null);
+          }
+        }
+      ]
+    );
+  };
+
+  // Copy a partner-scored round into the user's own history
+  const handleClaimRound = async (sharedRound) => {
+    try {
+      setClaimingRoundId(sharedRound.id);
+      await claimRound(sharedRound, user.id);
+      setClaimVersion(version => version + 1);
+    } catch (error) {
+      console.error("Error claiming round:", error);
+      Alert.alert("Error", error.message || "There was a problem adding this round.");
+    } finally {
+      setClaimingRoundId(null);
+    }
+  };
+
   // Handle navigation to scorecard
   const handleRoundPress = (roundId) => {
     console.log("Round pressed:", roundId);
@@ -174,6 +270,63 @@ export default function HomeScreen({ navigation }) {
             ctaAction={() => navigation.navigate("Subscription")}
           />
           
+          {/* Continue an unfinished round */}
+          {inProgressRound && (
+            <Card variant="elevated" style={styles.resumeCard}>
+              <Typography variant="subtitle" weight="semibold">
+                Round in Progress
+              </Typography>
+              <Typography variant="body" style={styles.resumeCourseText}>
+                {inProgressRound.course?.name || "Unknown Course"}
+                {inProgressRound.course?.teeName ? ` • ${inProgressRound.course.teeName} tees` : ""}
+              </Typography>
+              <Typography variant="secondary">
+                {inProgressRound.lastHole ? `Hole ${inProgressRound.lastHole} • ` : ""}
+                {inProgressRound.holesTracked} {inProgressRound.holesTracked === 1 ? "hole" : "holes"} tracked, {inProgressRound.shotsTracked} {inProgressRound.shotsTracked === 1 ? "shot" : "shots"}
+              </Typography>
+              <View style={styles.resumeActions}>
+                <Button
+                  variant="primary"
+                  onPress={handleResumeRound}
+                  style={styles.resumeButton}
+                >
+                  Continue Round
+                </Button>
+                <Button
+                  variant="text"
+                  onPress={handleDiscardRound}
+                >
+                  Discard
+                </Button>
+              </View>
+            </Card>
+          )}
+          
+          {/* Rounds a playing partner scored for this user */}
+          {sharedRounds.map(sharedRound => (
+            <Card key={sharedRound.id} variant="elevated" style={styles.resumeCard}>
+              <Typography variant="subtitle" weight="semibold">
+                Round Shared With You
+              </Typography>
+              <Typography variant="body" style={styles.resumeCourseText}>
+                {sharedRound.courseName} • {new Date(sharedRound.created_at).toLocaleDateString()}
+              </Typography>
+              <Typography variant="secondary">
+                Scored by {sharedRound.scorerName} • {getPartnerTotal(sharedRound.partner)} strokes
+              </Typography>
+              <View style={styles.resumeActions}>
+                <Button
+                  variant="primary"
+                  onPress={() => handleClaimRound(sharedRound)}
+                  loading={claimingRoundId === sharedRound.id}
+                  style={styles.resumeButton}
+                >
+                  Add to My Rounds
+                </Button>
+              </View>
+            </Card>
+          ))}
+          
           {/* Start New Round button */}
           <Button
             variant="primary"
@@ -195,8 +348,15 @@ export default function HomeScreen({ navigation }) {
             
             {loading ? (
               <ActivityIndicator size="large" color={theme.colors.primary} />
-            ) : recentRounds.length > 0 ? (
+            ) : pendingRounds.length > 0 || recentRounds.length > 0 ? (
               <View style={styles.roundsList}>
+                {pendingRounds.map(round => (
+                  <RoundSummaryCard 
+                    key={round.id}
+                    round={round} 
+                    onPress={handlePendingRoundPress}
+                  />
+                ))}
                 {recentRounds.map(round => (
                   <RoundSummaryCard 
                     key={round.id}
@@ -235,6 +395,23 @@ const styles = StyleSheet.create({
     marginVertical: theme.spacing.medium,
     minWidth: 200,
   },
+  resumeCard: {
+    width: "100%",
+    marginTop: theme.spacing.medium,
+  },
+  resumeCourseText: {
+    marginTop: theme.spacing.small,
+  },
+  resumeActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginTop: theme.spacing.medium,
+  },
+  resumeButton: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
   recentRoundsSection: {
     width: "100%",
     marginTop: theme.spacing.large,
@@ -9,7 +9,8 @@ import {
   Keyboard,
   Platform,
   Alert,
-  Linking
+  Linking,
+  TouchableOpacity
 } from "react-native";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
@@ -20,6 +21,10 @@ import Typography from "../ui/components/Typography";
 import PremiumButton from "../components/PremiumButton";
 import Card from "../ui/components/Card";
 import debounce from 'lodash/debounce';
+import { CLUBS, MAX_BAG_SIZE, getBag, saveBag, fetchClubStats } from "../services/clubService";
+import { HANDICAP_SOURCES, TEE_GENDERS, MIN_ROUNDS_FOR_INDEX, fetchHandicapHistory } from "../services/handicapService";
+import HandicapHistoryChart from "../components/HandicapHistoryChart";
+import { HOLE_DETECTION_MODES, getHoleDetectionMode, saveHoleDetectionMode } from "../services/holeDetectionService";
 
 /**
  * Subscription Management Component
@@ -148,11 +153,118 @@ const SubscriptionManagementSection = () => {
   );
 };
 
+/**
+ * Club Bag Component
+ * 
+ * Lets the player choose the clubs they carry (up to 14) and shows the
+ * average distance and dispersion each club has built up from their rounds.
+ */
+const ClubBagSection = () => {
+  const { user } = useContext(AuthContext);
+  const [bag, setBag] = useState([]);
+  const [clubStats, setClubStats] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  
+  useEffect(() => {
+    if (!user) return;
+    
+    getBag(user.id).then(setBag);
+    fetchClubStats(user.id).then(setClubStats);
+  }, [user]);
+  
+  const toggleClub = async (clubId) => {
+    const inBag = bag.includes(clubId);
+    
+    if (!inBag && bag.length >= MAX_BAG_SIZE) {
+      Alert.alert(
+        "Bag Full",
+        `You can carry up to ${MAX_BAG_SIZE} clubs. Remove a club before adding another.`
+      );
+      return;
+    }
+    
+    const previousBag = bag;
+    const nextBag = inBag ? bag.filter(id => id !== clubId) : [...bag, clubId];
+    setBag(nextBag);
+    setIsSaving(true);
+    
+    try {
+      setBag(await saveBag(user.id, nextBag));
+    } catch (error) {
+      console.error("Error saving bag:", error.message);
+      setBag(previousBag);
+      Alert.alert("Couldn't Save Bag", "Please check your connection and try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  const clubsWithDistances = CLUBS.filter(club => bag.includes(club.id) && clubStats[club.id]?.averageDistance);
+  
+  return (
+    <View style={styles.handicapSection}>
+      <View style={styles.bagHeader}>
+        <Typography variant="subtitle">
+          My Bag
+        </Typography>
+        <Typography variant="caption" style={styles.bagCount}>
+          {isSaving ? "Saving..." : `${bag.length}/${MAX_BAG_SIZE} clubs`}
+        </Typography>
+      </View>
+      
+      <View style={styles.clubChips}>
+        {CLUBS.map(club => {
+          const isSelected = bag.includes(club.id);
+          return (
+            <TouchableOpacity
+              key={club.id}
+              style={[styles.clubChip, isSelected && styles.selectedClubChip]}
+              onPress={() => toggleClub(club.id)}
+            >
+              <Typography
+                variant="caption"
+                weight={isSelected ? "semibold" : "normal"}
+                color={isSelected ? theme.colors.primary : theme.colors.text}
+              >
+                {club.shortLabel}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      
+      {clubsWithDistances.length > 0 && (
+        <View style={styles.clubDistances}>
+          {clubsWithDistances.map(club => {
+            const stats = clubStats[club.id];
+            return (
+              <View key={club.id} style={styles.infoItem}>
+                <Typography variant="body" style={styles.infoLabel}>
+                  {club.label}
+                </Typography>
+                <Typography variant="body" style={styles.infoValue}>
+                  {stats.averageDistance} yd{stats.dispersion !== null ? ` ±${stats.dispersion}` : ""}
+                </Typography>
+              </View>
+            );
+          })}
+        </View>
+      )}
+      
+      <Typography variant="caption" style={styles.helpText}>
+        Pick a club as you log each shot and your average distances will build up here. Clubs need a measured distance from GPS or a distance to the hole.
+      </Typography>
+    </View>
+  );
+};
+
 /**
  * ProfileScreen Component
  * 
  * Enhanced with target handicap functionality for personalized improvement tracking.
  * Features handicap tracking with real-time database synchronization and validation.
+ * The handicap can be entered by hand or taken from the World Handicap System
+ * index calculated from completed rounds.
  */
 export default function ProfileScreen() {
   // Access authentication context
@@ -164,6 +276,11 @@ export default function ProfileScreen() {
   const [isSaving, setIsSaving] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null); // 'success', 'error', or null
   const [validationErrors, setValidationErrors] = useState({});
+  const [handicapSource, setHandicapSource] = useState(HANDICAP_SOURCES.MANUAL);
+  const [handicapHistory, setHandicapHistory] = useState({ history: [], current: null });
+  const [manualHandicap, setManualHandicap] = useState(""); // Last value typed, restored when switching back to manual
+  const [teeGender, setTeeGender] = useState(TEE_GENDERS.MEN); // Whose par, stroke index and ratings are used
+  const [holeDetectionMode, setHoleDetectionMode] = useState(HOLE_DETECTION_MODES.SUGGEST); // Kept on this device
   
   // Load user profile data on mount
   useEffect(() => {
@@ -173,7 +290,7 @@ export default function ProfileScreen() {
       try {
         const { data, error } = await supabase
           .from('profiles')
-          .select('handicap, target_handicap')
+          .select('handicap, target_handicap, handicap_source, tee_gender')
           .eq('id', user.id)
           .single();
           
@@ -184,9 +301,15 @@ export default function ProfileScreen() {
           if (data.handicap !== null) {
             setHandicap(data.handicap.toString());
           }
+          if (data.handicap_source === HANDICAP_SOURCES.CALCULATED) {
+            setHandicapSource(HANDICAP_SOURCES.CALCULATED);
+          }
           if (data.target_handicap !== null) {
             setTargetHandicap(data.target_handicap.toString());
           }
+          if (data.tee_gender === TEE_GENDERS.WOMEN) {
+            setTeeGender(TEE_GENDERS.WOMEN);
+          }
         }
       } catch (error) {
         console.error("Error loading profile data:", error.message);
@@ -196,6 +319,126 @@ export default function ProfileScreen() {
     loadUserProfile();
   }, [user]);
   
+  // Hole detection is a device setting rather than part of the profile
+  useEffect(() => {
+    getHoleDetectionMode().then(setHoleDetectionMode);
+  }, []);
+  
+  // Calculate the handicap index from completed rounds
+  useEffect(() => {
+    const loadHandicapHistory = async () => {
+      if (!user) return;
+      
+      try {
+        setHandicapHistory(await fetchHandicapHistory(user.id));
+      } catch (error) {
+        console.error("Error calculating handicap index:", error.message);
+      }
+    };
+    
+    loadHandicapHistory();
+  }, [user]);
+  
+  // Switch between the calculated index and a handicap typed in by hand
+  const handleHandicapSourceChange = async (source) => {
+    if (!user || source === handicapSource) return;
+    
+    const calculatedIndex = handicapHistory.current?.index ?? null;
+    if (source === HANDICAP_SOURCES.CALCULATED && calculatedIndex === null) {
+      Alert.alert(
+        "Not Enough Rounds",
+        `A handicap index needs at least ${MIN_ROUNDS_FOR_INDEX} completed 18-hole rounds from rated tees.`
+      );
+      return;
+    }
+    
+    const nextHandicap = source === HANDICAP_SOURCES.CALCULATED
+      ? calculatedIndex.toString()
+      : manualHandicap || handicap;
+    
+    if (source === HANDICAP_SOURCES.CALCULATED) {
+      setManualHandicap(handicap);
+    }
+    setHandicapSource(source);
+    setHandicap(nextHandicap);
+    
+    try {
+      const { error } = await supabase
+        .from('profiles')
+        .update({
+          handicap_source: source,
+          handicap: nextHandicap.trim() === "" ? null : parseFloat(nextHandicap),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', user.id);
+        
+      if (error) throw error;
+      
+      setSaveStatus('success');
+      setTimeout(() => setSaveStatus(null), 2000);
+    } catch (error) {
+      console.error("Error updating handicap source:", error.message);
+      setSaveStatus('error');
+      setTimeout(() => setSaveStatus(null), 3000);
+    }
+  };
+  
+  // Switch between men's and women's par, stroke index and ratings
+  const handleTeeGenderChange = async (gender) => {
+    if (!user || gender === teeGender) return;
+    
+    setTeeGender(gender);
+    
+    try {
+      const { error } = await supabase
+        .from('profiles')
+        .update({
+          tee_gender: gender,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', user.id);
+        
+      if (error) throw error;
+      
+      setSaveStatus('success');
+      setTimeout(() => setSaveStatus(null), 2000);
+    } catch (error) {
+      console.error("Error updating tee set:", error.message);
+      setSaveStatus('error');
+      setTimeout(() => setSaveStatus(null), 3000);
+    }
+  };
+  
+  // Whether the tracker moves to, suggests or ignores the hole found from GPS
+  const handleHoleDetectionChange = (mode) => {
+    setHoleDetectionMode(mode);
+    saveHoleDetectionMode(mode);
+  };
+  
+  // Row of selectable chips - handicap source, tee set and hole detection
+  const renderOptionChips = (options, selected, onSelect) => (
+    <View style={styles.sourceChips}>
+      {options.map(option => {
+        const isSelected = selected === option.value;
+        return (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.clubChip, isSelected && styles.selectedClubChip]}
+            onPress={() => onSelect(option.value)}
+          >
+            <Typography
+              variant="caption"
+              weight={isSelected ? "semibold" : "normal"}
+              color={isSelected ? theme.colors.primary : theme.colors.text}
+            >
+              {option.label}
+            </Typography>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+  
   // Validation function for target handicap
   const validateTargetHandicap = useCallback((current, target) => {
     const errors = {};
@@ -348,23 +591,35 @@ export default function ProfileScreen() {
               Golf Profile
             </Typography>
             
+            {/* Handicap source - calculated index or entered by hand */}
+            {renderOptionChips([
+              { value: HANDICAP_SOURCES.CALCULATED, label: "Calculated" },
+              { value: HANDICAP_SOURCES.MANUAL, label: "Manual" }
+            ], handicapSource, handleHandicapSourceChange)}
+            
             {/* Current Handicap */}
             <View style={styles.handicapContainer}>
               <Typography variant="body" style={styles.handicapLabel}>
-                Current Handicap
+                {handicapSource === HANDICAP_SOURCES.CALCULATED ? "Handicap Index" : "Current Handicap"}
               </Typography>
               
               <View style={styles.inputContainer}>
-                <TextInput
-                  style={styles.handicapInput}
-                  value={handicap}
-                  onChangeText={handleHandicapChange}
-                  onBlur={handleHandicapBlur}
-                  placeholder="Enter handicap"
-                  keyboardType="numeric"
-                  returnKeyType="done"
-                  maxLength={5} // Reasonable limit for handicap values
-                />
+                {handicapSource === HANDICAP_SOURCES.CALCULATED ? (
+                  <Typography variant="body" style={styles.infoValue}>
+                    {handicapHistory.current?.index ?? handicap}
+                  </Typography>
+                ) : (
+                  <TextInput
+                    style={styles.handicapInput}
+                    value={handicap}
+                    onChangeText={handleHandicapChange}
+                    onBlur={handleHandicapBlur}
+                    placeholder="Enter handicap"
+                    keyboardType="numeric"
+                    returnKeyType="done"
+                    maxLength={5} // Reasonable limit for handicap values
+                  />
+                )}
               </View>
             </View>
             
@@ -406,11 +661,48 @@ export default function ProfileScreen() {
               {getStatusIndicator()}
             </View>
             
+            {/* Tee set - picks par, stroke index and course ratings */}
+            <View style={styles.handicapContainer}>
+              <Typography variant="body" style={styles.handicapLabel}>
+                Tees
+              </Typography>
+              {renderOptionChips([
+                { value: TEE_GENDERS.MEN, label: "Men's" },
+                { value: TEE_GENDERS.WOMEN, label: "Women's" }
+              ], teeGender, handleTeeGenderChange)}
+            </View>
+            
+            {/* Hole detection - how the tracker follows the player round the course */}
+            <View style={styles.handicapContainer}>
+              <Typography variant="body" style={styles.handicapLabel}>
+                Hole detection
+              </Typography>
+              {renderOptionChips([
+                { value: HOLE_DETECTION_MODES.AUTO, label: "Auto" },
+                { value: HOLE_DETECTION_MODES.SUGGEST, label: "Suggest" },
+                { value: HOLE_DETECTION_MODES.MANUAL, label: "Manual" }
+              ], holeDetectionMode, handleHoleDetectionChange)}
+            </View>
+            
             <Typography variant="caption" style={styles.helpText}>
               Set your target handicap to receive personalized improvement recommendations. Target must be lower than your current handicap.
             </Typography>
+            
+            {/* Calculated index history */}
+            <Typography variant="body" weight="semibold" style={styles.historyTitle}>
+              Handicap Index History
+            </Typography>
+            {handicapHistory.current && (
+              <Typography variant="caption" style={styles.bagCount}>
+                {handicapHistory.current.index} from the best {handicapHistory.current.used} of your last {handicapHistory.current.rounds} rounds
+              </Typography>
+            )}
+            <HandicapHistoryChart history={handicapHistory.history} />
           </View>
           
+          {/* Club bag and distances */}
+          <ClubBagSection />
+          
           {/* Subscription Management Section */}
           <SubscriptionManagementSection />
           
@@ -521,6 +813,43 @@ const styles = StyleSheet.create({
     color: theme.colors.secondary,
     fontStyle: 'italic',
   },
+  bagHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.medium,
+  },
+  bagCount: {
+    color: theme.colors.secondary,
+  },
+  clubChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  clubChip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedClubChip: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  clubDistances: {
+    marginTop: theme.spacing.small,
+  },
+  sourceChips: {
+    flexDirection: "row",
+    marginBottom: theme.spacing.small,
+  },
+  historyTitle: {
+    marginTop: theme.spacing.medium,
+  },
   spacer: {
     height: 32,
   },
@@ -1,13 +1,20 @@
 // src/screens/RoundScreen.js
 
 import React, { useState, useEffect, useContext } from "react";
-import { View, StyleSheet, FlatList, ActivityIndicator } from "react-native";
+import { View, StyleSheet, FlatList, ActivityIndicator, TouchableOpacity, Alert } from "react-native";
 import { useNavigation } from "@react-navigation/native";
 import { AuthContext } from "../context/AuthContext";
 import { supabase } from "../services/supabase";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import RoundSummaryCard from "../components/RoundSummaryCard";
+import usePendingRounds from "../hook/usePendingRounds";
+import {
+  getIncompleteRoundInfo,
+  deleteRound,
+  setRoundArchived,
+  setRoundExcludedFromStats
+} from "../services/roundservice";
 import Typography from "../ui/components/Typography";
 
 /**
@@ -15,12 +22,21 @@ import Typography from "../ui/components/Typography";
  * 
  * Displays a list of all completed rounds with detailed information.
  * Each round card is touchable and navigates to the ScorecardScreen.
+ * Rounds waiting to sync are listed first with a pending-sync badge.
+ * Rounds with holes left unplayed are flagged on their card.
+ * Swiping a card reveals actions to delete the round, archive it, or
+ * exclude it from stats and insights. Archived rounds are hidden until
+ * "Show archived" is turned on.
  */
 export default function RoundsScreen() {
   const navigation = useNavigation();
   const { user } = useContext(AuthContext);
   const [rounds, setRounds] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [showArchived, setShowArchived] = useState(false);
+  
+  // Rounds finished offline that are waiting to sync
+  const { pendingRounds, syncVersion, handlePendingRoundPress } = usePendingRounds(user);
 
   useEffect(() => {
     async function fetchRounds() {
@@ -40,7 +56,14 @@ export default function RoundsScreen() {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            stats,
+            total_holes,
+            hole_order,
+            holes_played,
+            exclude_from_stats,
+            is_archived,
+            shots(hole_number, total_score)
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
@@ -78,7 +101,11 @@ export default function RoundsScreen() {
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            isComplete: round.is_complete,
+            stats: round.stats,
+            incomplete: getIncompleteRoundInfo(round, round.shots),
+            excludeFromStats: !!round.exclude_from_stats,
+            isArchived: !!round.is_archived
           }));
           
           setRounds(formattedRounds);
@@ -93,7 +120,7 @@ export default function RoundsScreen() {
     }
     
     fetchRounds();
-  }, [user]);
+  }, [user, syncVersion]);
 
   // Navigate to the scorecard
   const handleRoundPress = (roundId) => {
@@ -102,19 +129,89 @@ export default function RoundsScreen() {
     navigation.navigate("ScorecardScreen", { roundId });
   };
 
+  // Swipe actions - the list is updated in place so the card doesn't jump
+  const updateRound = (roundId, changes) => {
+    setRounds(prev => prev.map(round => (round.id === roundId ? { ...round, ...changes } : round)));
+  };
+
+  const handleToggleExclude = async (round) => {
+    const excludeFromStats = !round.excludeFromStats;
+    updateRound(round.id, { excludeFromStats });
+    try {
+      await setRoundExcludedFromStats(round.id, excludeFromStats, user.id);
+    } catch (error) {
+      console.error("Error updating round:", error);
+      updateRound(round.id, { excludeFromStats: !excludeFromStats });
+      Alert.alert("Couldn't Update Round", "Please try again.");
+    }
+  };
+
+  const handleToggleArchive = async (round) => {
+    const isArchived = !round.isArchived;
+    updateRound(round.id, { isArchived });
+    try {
+      await setRoundArchived(round.id, isArchived);
+    } catch (error) {
+      console.error("Error updating round:", error);
+      updateRound(round.id, { isArchived: !isArchived });
+      Alert.alert("Couldn't Update Round", "Please try again.");
+    }
+  };
+
+  const handleDelete = (round) => {
+    Alert.alert(
+      "Delete Round?",
+      `Your round at ${round.courseName} and all of its shots will be deleted. This can't be undone.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteRound(round.id, user.id);
+              setRounds(prev => prev.filter(candidate => candidate.id !== round.id));
+            } catch (error) {
+              console.error("Error deleting round:", error);
+              Alert.alert("Couldn't Delete Round", "Please try again.");
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const archivedCount = rounds.filter(round => round.isArchived).length;
+  const visibleRounds = showArchived ? rounds : rounds.filter(round => !round.isArchived);
+
   return (
     <Layout>
       <View style={styles.container}>
+        {archivedCount > 0 && (
+          <TouchableOpacity style={styles.archivedToggle} onPress={() => setShowArchived(show => !show)}>
+            <Typography variant="caption" color={theme.colors.primary}>
+              {showArchived ? "Hide archived" : `Show archived (${archivedCount})`}
+            </Typography>
+          </TouchableOpacity>
+        )}
+        
         {loading ? (
           <ActivityIndicator size="large" color={theme.colors.primary} />
-        ) : rounds.length > 0 ? (
+        ) : pendingRounds.length > 0 || visibleRounds.length > 0 ? (
           <FlatList
-            data={rounds}
+            data={[...pendingRounds, ...visibleRounds]}
             renderItem={({ item }) => (
-              <RoundSummaryCard 
-                round={item} 
-                onPress={() => handleRoundPress(item.id)}
-              />
+              item.pendingSync ? (
+                <RoundSummaryCard round={item} onPress={handlePendingRoundPress} />
+              ) : (
+                <RoundSummaryCard 
+                  round={item} 
+                  onPress={() => handleRoundPress(item.id)}
+                  onDelete={handleDelete}
+                  onToggleArchive={handleToggleArchive}
+                  onToggleExclude={handleToggleExclude}
+                />
+              )
             )}
             keyExtractor={item => item.id}
             contentContainerStyle={styles.listContainer}
@@ -141,6 +238,11 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: theme.spacing.medium,
   },
+  archivedToggle: {
+    alignSelf: "flex-end",
+    paddingVertical: 4,
+    marginBottom: theme.spacing.small,
+  },
   listContainer: {
     paddingBottom: 20,
   },
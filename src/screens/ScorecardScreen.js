@@ -1,13 +1,30 @@
 // src/screens/ScorecardScreen.js
 
 import React, { useEffect, useState } from "react";
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Alert } from "react-native";
 import { useNavigation, useRoute, StackActions } from '@react-navigation/native';
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "../services/supabase";
+import { getHoleSequence, getRoundHoleOrder, editCompletedRoundHole } from "../services/roundservice";
+import { getHoleStrokes, countPenaltyStrokes, getPuttingSummary } from "../services/shotService";
+import { calculateRoundStats } from "../services/statsService";
+import { calculateRoundStrokesGained, calculateRollingStrokesGained } from "../services/strokesGainedService";
+import { getHandicapStrokesByHole, getHolePar, getHoleStrokeIndex } from "../services/scoringFormatService";
+import RoundStatsPanel from "../components/RoundStatsPanel";
+import StrokesGainedPanel from "../components/StrokesGainedPanel";
+import GroupScorecard from "../components/GroupScorecard";
+import FormatResultPanel from "../components/FormatResultPanel";
+import HoleEditPanel from "../components/HoleEditPanel";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 
+// Strokes gained baseline picked on the scorecard, kept between rounds
+const SG_BASELINE_KEY = "sgBaselineLevel";
+
+// Number of rounds in the rolling strokes gained average
+const ROLLING_SG_ROUNDS = 5;
+
 /**
  * ScorecardScreen Component
  * 
@@ -15,6 +32,12 @@ import theme from "../ui/theme";
  * Shows hole-by-hole scores and outcome breakdowns.
  * Updated to work with the new shots data structure.
  * Enhanced navigation to provide cleaner flow back to home screen.
+ * Only the holes in the round are shown, grouped by nine, so 9-hole and
+ * custom-length rounds total correctly.
+ * Rounds started with a playing handicap get a net column, with strokes
+ * spread by stroke index from the player's tees.
+ * Edit mode lets a hole be corrected after the round; the round's totals
+ * are worked out again and the change is kept in its edit history.
  */
 export default function ScorecardScreen() {
   const navigation = useNavigation();
@@ -26,11 +49,34 @@ export default function ScorecardScreen() {
   const [roundData, setRoundData] = useState(null);
   const [courseData, setCourseData] = useState(null);
   const [holesData, setHolesData] = useState([]);
+  const [holeSequence, setHoleSequence] = useState(() => getHoleSequence(1, 18));
+  const [handicapStrokes, setHandicapStrokes] = useState(null);  // Strokes received per hole, null without a playing handicap
   const [loading, setLoading] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);     // Edit mode - hole rows can be tapped to correct them
+  const [editingHole, setEditingHole] = useState(null);  // Hole number open in the edit panel
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [reloadVersion, setReloadVersion] = useState(0); // Bumped to reload the card after an edit
+  const [recentRounds, setRecentRounds] = useState([]);      // Recent rounds' stored strokes gained, for the rolling average
+  const [sgHandicapLevel, setSgHandicapLevel] = useState(0);  // Strokes gained baseline (0 = scratch)
 
   // Define the outcome categories - used throughout the component
   const outcomes = ["On Target", "Slightly Off", "Recovery Needed"];
 
+  // Load the strokes gained baseline the player last picked
+  useEffect(() => {
+    AsyncStorage.getItem(SG_BASELINE_KEY)
+      .then(value => {
+        if (value !== null) setSgHandicapLevel(Number(value));
+      })
+      .catch(error => console.error("Error loading strokes gained baseline:", error));
+  }, []);
+
+  const handleChangeSgHandicapLevel = (level) => {
+    setSgHandicapLevel(level);
+    AsyncStorage.setItem(SG_BASELINE_KEY, String(level))
+      .catch(error => console.error("Error saving strokes gained baseline:", error));
+  };
+
   // Fetch all data for this round when component mounts
   useEffect(() => {
     async function fetchRoundData() {
@@ -54,7 +100,17 @@ export default function ScorecardScreen() {
             gross_shots,
             created_at,
             is_complete,
-            selected_tee_name
+            selected_tee_name,
+            start_hole,
+            total_holes,
+            hole_order,
+            tracking_mode,
+            partners,
+            scoring_format,
+            format_result,
+            playing_handicap,
+            tee_gender,
+            edit_history
           `)
           .eq("id", roundId)
           .single();
@@ -96,10 +152,43 @@ export default function ScorecardScreen() {
           throw holesError;
         }
         
+        // Holes that belong to this round, listed in card order even after a shotgun start
+        const sequence = [...getRoundHoleOrder(round)].sort((a, b) => a - b);
+        setHoleSequence(sequence);
+        
         // Process the holes data to get outcome breakdowns for display
-        const processedHoles = processHolesData(holes, round.selected_tee_name?.toLowerCase());
+        const processedHoles = processHolesData(holes, sequence, course, round.tee_gender);
         setHolesData(processedHoles);
         
+        // Handicap strokes per hole for the net column
+        if (round.playing_handicap !== null && round.playing_handicap !== undefined) {
+          setHandicapStrokes(getHandicapStrokesByHole(
+            sequence.map(holeNum => ({
+              number: holeNum,
+              index: getHoleStrokeIndex(course.holes?.find(h => h.number === holeNum), round.tee_gender)
+            })),
+            round.playing_handicap
+          ));
+        }
+        
+        // 4. Recent completed rounds up to this one, for rolling strokes gained
+        const { data: recent, error: recentError } = await supabase
+          .from("rounds")
+          .select("id, strokes_gained")
+          .eq("profile_id", round.profile_id)
+          .eq("is_complete", true)
+          .not("exclude_from_stats", "is", true)
+          .lte("created_at", round.created_at)
+          .order("created_at", { ascending: false })
+          .limit(ROLLING_SG_ROUNDS);
+        
+        if (recentError) {
+          // Rolling strokes gained is optional - the scorecard still renders without it
+          console.error("Error fetching recent rounds:", recentError);
+        } else {
+          setRecentRounds(recent || []);
+        }
+        
       } catch (error) {
         console.error("Error fetching scorecard data:", error);
       } finally {
@@ -108,35 +197,40 @@ export default function ScorecardScreen() {
     }
     
     fetchRoundData();
-  }, [roundId]);
+  }, [roundId, reloadVersion]);
 
   /**
    * Process the holes data to get outcome breakdowns
    * This converts the JSONB hole_data into a format for display
    */
-  const processHolesData = (holes, selectedTee) => {
-    const processed = [];
+  const processHolesData = (holes, sequence, course, teeGender) => {
+    const processed = {};
     
-    // Default empty data for all 18 holes
-    for (let i = 1; i <= 18; i++) {
-      processed[i] = {
-        number: i,
+    // Default empty data for every hole in the round
+    sequence.forEach(holeNum => {
+      processed[holeNum] = {
+        number: holeNum,
         score: 0,
+        par: getCourseHolePar(course, holeNum, teeGender),
+        penaltyStrokes: 0,
+        putts: 0,
+        threePutt: false,
+        detail: null,
         outcomes: {
           "On Target": 0,
           "Slightly Off": 0,
           "Recovery Needed": 0
         }
       };
-    }
+    });
     
     // Process each hole with data
     holes.forEach(hole => {
       const holeNum = hole.hole_number;
       const holeData = hole.hole_data;
       
-      // Skip if missing data
-      if (!holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
+      // Skip if missing data or not part of this round
+      if (!processed[holeNum] || !holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
         return;
       }
       
@@ -154,24 +248,40 @@ export default function ScorecardScreen() {
         }
       });
       
+      // Putts and 3-putts
+      const putting = getPuttingSummary(holeData);
+      
       // Update processed data
       processed[holeNum] = {
         number: holeNum,
-        score: hole.total_score || holeData.shots.length,
-        par: holeData.par,
+        score: hole.total_score || getHoleStrokes(holeData),
+        par: holeData.par || processed[holeNum].par,
         distance: holeData.distance,
+        penaltyStrokes: countPenaltyStrokes(holeData.penalties),
+        putts: putting.putts,
+        threePutt: putting.threePutt,
+        // Full hole data for the stats engine
+        detail: { ...holeData, par: holeData.par || processed[holeNum].par },
         outcomes: outcomes
       };
     });
     
-    // Return only valid holes (1-18)
-    return processed.filter((_, index) => index > 0 && index <= 18);
+    // Return holes in playing order
+    return sequence.map(holeNum => processed[holeNum]);
   };
 
-  // Calculate front nine, back nine, and total scores with outcome breakdowns
+  // Net score for a hole, 0 when it wasn't scored
+  const getNetScore = (hole) => (
+    hole.score ? hole.score - (handicapStrokes?.[hole.number] || 0) : 0
+  );
+
+  // Calculate per-nine and total scores with outcome breakdowns
   const calculateTotals = () => {
-    let frontNine = 0;
-    let backNine = 0;
+    let total = 0;
+    let totalPar = 0;
+    let totalPenaltyStrokes = 0;
+    let totalPutts = 0;
+    let threePutts = 0;
     
     // Initialize outcome totals
     let totalOnTarget = 0;
@@ -179,15 +289,11 @@ export default function ScorecardScreen() {
     let totalRecoveryNeeded = 0;
     
     holesData.forEach(hole => {
-      const holeNum = hole.number;
-      const score = hole.score || 0;
-      
-      // Add to front or back nine
-      if (holeNum <= 9) {
-        frontNine += score;
-      } else {
-        backNine += score;
-      }
+      total += hole.score || 0;
+      totalPar += hole.par || 0;
+      totalPenaltyStrokes += hole.penaltyStrokes || 0;
+      totalPutts += hole.putts || 0;
+      if (hole.threePutt) threePutts++;
       
       // Count outcomes
       totalOnTarget += hole.outcomes["On Target"] || 0;
@@ -195,10 +301,46 @@ export default function ScorecardScreen() {
       totalRecoveryNeeded += hole.outcomes["Recovery Needed"] || 0;
     });
     
+    // Subtotals for each nine in the round (Out, In, ...)
+    const nines = groupHolesByNine(holeSequence).map(group => {
+      const groupHoles = holesData.filter(hole => group.holes.includes(hole.number));
+      return {
+        ...group,
+        score: groupHoles.reduce((sum, hole) => sum + (hole.score || 0), 0),
+        net: groupHoles.reduce((sum, hole) => sum + getNetScore(hole), 0),
+        par: groupHoles.reduce((sum, hole) => sum + (hole.par || 0), 0),
+        penaltyStrokes: groupHoles.reduce((sum, hole) => sum + (hole.penaltyStrokes || 0), 0),
+        putts: groupHoles.reduce((sum, hole) => sum + (hole.putts || 0), 0)
+      };
+    });
+    
+    // Fairways, greens, scrambling and sand saves from the shot sequence
+    const holeDetails = holesData.filter(hole => hole.detail).map(hole => hole.detail);
+    const stats = calculateRoundStats(holeDetails);
+    
+    // Strokes gained for this round, worked out from the shots so older rounds show it too.
+    // Other rounds use the values stored when they were completed.
+    const strokesGained = calculateRoundStrokesGained(holeDetails, sgHandicapLevel);
+    const rollingStrokesGained = calculateRollingStrokesGained(
+      recentRounds.map(recent => (
+        recent.id === roundId ? strokesGained : recent.strokes_gained?.[sgHandicapLevel]
+      ))
+    );
+    
     return {
-      frontNine,
-      backNine,
-      total: frontNine + backNine,
+      nines,
+      stats,
+      net: nines.reduce((sum, nine) => sum + nine.net, 0),
+      strokesGained,
+      rollingStrokesGained,
+      total,
+      par: totalPar,
+      penaltyStrokes: totalPenaltyStrokes,
+      putting: {
+        putts: totalPutts,
+        threePutts,
+        puttsPerGir: stats.puttsPerGir
+      },
       outcomes: {
         "On Target": totalOnTarget,
         "Slightly Off": totalSlightlyOff,
@@ -221,6 +363,39 @@ export default function ScorecardScreen() {
     }
   };
 
+  /**
+   * Save a corrected hole, optionally refreshing the round's insights
+   */
+  const saveHoleEdit = async (holeData, reanalyze) => {
+    setSavingEdit(true);
+    try {
+      await editCompletedRoundHole(roundId, editingHole, holeData, { reanalyze });
+      setEditingHole(null);
+      setReloadVersion(version => version + 1);
+    } catch (error) {
+      console.error("Error saving hole edit:", error);
+      Alert.alert("Couldn't Save", "The hole couldn't be updated. Please try again.");
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  const handleSaveHoleEdit = (holeData) => {
+    Alert.alert(
+      "Update Insights?",
+      "Your score and stats will be updated. Do you also want fresh insights for this round?",
+      [
+        { text: "Not Now", onPress: () => saveHoleEdit(holeData, false) },
+        { text: "Update Insights", onPress: () => saveHoleEdit(holeData, true) }
+      ]
+    );
+  };
+
+  const toggleEditMode = () => {
+    setIsEditing(editing => !editing);
+    setEditingHole(null);
+  };
+
   /**
    * Navigate directly to home screen
    * Enhanced to clear the navigation stack for a clean return
@@ -250,13 +425,25 @@ export default function ScorecardScreen() {
     <Layout>
       <View style={styles.container}>
         {/* Course info */}
-        <View style={styles.courseInfo}>
-          <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
-          <Text style={styles.roundDate}>
-            {roundData?.created_at ? new Date(roundData.created_at).toLocaleDateString() : ""}
-          </Text>
+        <View style={[styles.courseInfo, styles.courseInfoRow]}>
+          <View style={styles.courseInfoText}>
+            <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
+            <Text style={styles.roundDate}>
+              {roundData?.created_at ? new Date(roundData.created_at).toLocaleDateString() : ""}
+            </Text>
+          </View>
+          {roundData?.is_complete && (
+            <TouchableOpacity style={styles.editButton} onPress={toggleEditMode}>
+              <Ionicons name={isEditing ? "checkmark" : "create-outline"} size={18} color={theme.colors.primary} />
+              <Text style={styles.editButtonText}>{isEditing ? "Done" : "Edit"}</Text>
+            </TouchableOpacity>
+          )}
         </View>
         
+        {isEditing && !editingHole && (
+          <Text style={styles.editHint}>Tap a hole to correct it.</Text>
+        )}
+        
         {/* Scorecard */}
         <ScrollView style={styles.scorecard}>
           {/* Header row - updated with new outcome categories */}
@@ -264,6 +451,9 @@ export default function ScorecardScreen() {
             <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
             <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
             <Text style={[styles.scoreColumn, styles.headerText]}>Score</Text>
+            {handicapStrokes && <Text style={[styles.scoreColumn, styles.headerText]}>Net</Text>}
+            <Text style={[styles.penaltyColumn, styles.headerText]}>Pen</Text>
+            <Text style={[styles.puttsColumn, styles.headerText]}>Putts</Text>
             {/* Outcome columns with new categories */}
             <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("On Target")}]}>
               On Target
@@ -276,81 +466,122 @@ export default function ScorecardScreen() {
             </Text>
           </View>
           
-          {/* Hole rows - Front Nine */}
-          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
-          
-          {/* Out (Front Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 1, 9)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
-          
-          {/* Hole rows - Back Nine */}
-          {[10, 11, 12, 13, 14, 15, 16, 17, 18].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
+          {/* Hole rows and subtotal for each nine played */}
+          {totals.nines.map(nine => (
+            <React.Fragment key={`nine-${nine.label}`}>
+              {nine.holes.map(holeNum => {
+                // Find this hole's data
+                const holeData = holesData.find(h => h.number === holeNum) || {
+                  number: holeNum,
+                  score: 0,
+                  par: getCourseHolePar(courseData, holeNum, roundData?.tee_gender),
+                  penaltyStrokes: 0,
+                  outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+                };
+                
+                return (
+                  <TouchableOpacity
+                    key={`hole-${holeNum}`}
+                    style={[styles.holeRow, editingHole === holeNum && styles.editingRow]}
+                    disabled={!isEditing}
+                    onPress={() => setEditingHole(holeNum)}
+                  >
+                    <Text style={styles.holeColumn}>{holeNum}</Text>
+                    <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
+                    <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
+                    {handicapStrokes && (
+                      <Text style={styles.scoreColumn}>
+                        {holeData.score ? getNetScore(holeData) : "-"}
+                        {handicapStrokes[holeNum] > 0 ? "*".repeat(handicapStrokes[holeNum]) : ""}
+                      </Text>
+                    )}
+                    <Text style={[styles.penaltyColumn, holeData.penaltyStrokes > 0 && styles.highlightText]}>
+                      {holeData.penaltyStrokes || "-"}
+                    </Text>
+                    <Text style={[styles.puttsColumn, holeData.threePutt && styles.highlightText]}>
+                      {holeData.putts || "-"}
+                    </Text>
+                    {/* Outcome values */}
+                    <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
+                    <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
+                    <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+              
+              {/* Subtotal for this nine */}
+              <View style={[styles.holeRow, styles.totalRow]}>
+                <Text style={[styles.holeColumn, styles.totalText]}>{nine.label}</Text>
+                <Text style={[styles.parColumn, styles.totalText]}>{nine.par || "-"}</Text>
+                <Text style={[styles.scoreColumn, styles.totalText]}>{nine.score}</Text>
+                {handicapStrokes && <Text style={[styles.scoreColumn, styles.totalText]}>{nine.net}</Text>}
+                <Text style={[styles.penaltyColumn, styles.totalText]}>{nine.penaltyStrokes || "-"}</Text>
+                <Text style={[styles.puttsColumn, styles.totalText]}>{nine.putts || "-"}</Text>
+                <Text style={styles.outcomeColumn}></Text>
+                <Text style={styles.outcomeColumn}></Text>
+                <Text style={styles.outcomeColumn}></Text>
               </View>
-            );
-          })}
-          
-          {/* In (Back Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 10, 18)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+            </React.Fragment>
+          ))}
           
           {/* Total row - updated with new outcome totals */}
           <View style={[styles.holeRow, styles.totalRow]}>
             <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{courseData?.par || "-"}</Text>
+            <Text style={[styles.parColumn, styles.totalText]}>{totals.par || courseData?.par || "-"}</Text>
             <Text style={[styles.scoreColumn, styles.totalText]}>{totals.total}</Text>
+            {handicapStrokes && <Text style={[styles.scoreColumn, styles.totalText]}>{totals.net}</Text>}
+            <Text style={[styles.penaltyColumn, styles.totalText]}>{totals.penaltyStrokes || "-"}</Text>
+            <Text style={[styles.puttsColumn, styles.totalText]}>{totals.putting.putts || "-"}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["On Target"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Slightly Off"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Recovery Needed"]}</Text>
           </View>
+          
+          {/* Correct the selected hole */}
+          {editingHole && (
+            <HoleEditPanel
+              key={`edit-${editingHole}`}
+              hole={holesData.find(hole => hole.number === editingHole) || {
+                number: editingHole,
+                par: getCourseHolePar(courseData, editingHole, roundData?.tee_gender),
+                detail: null
+              }}
+              quickScore={roundData?.tracking_mode === "quick"}
+              saving={savingEdit}
+              onSave={handleSaveHoleEdit}
+              onCancel={() => setEditingHole(null)}
+            />
+          )}
+          
+          {roundData?.edit_history?.length > 0 && (
+            <Text style={styles.quickScoreNote}>
+              Edited {roundData.edit_history.length} {roundData.edit_history.length === 1 ? "time" : "times"} since
+              the round was completed, last on {new Date(roundData.edit_history[roundData.edit_history.length - 1].edited_at).toLocaleDateString()}.
+            </Text>
+          )}
+          
+          {roundData?.tracking_mode === "quick" && (
+            <Text style={styles.quickScoreNote}>
+              Quick score round - only score, putts, fairways and greens were recorded.
+            </Text>
+          )}
+          
+          {/* Stableford points, match standing or skins */}
+          <FormatResultPanel result={roundData?.format_result} />
+          
+          {/* Playing partners scored on the same phone */}
+          <GroupScorecard holes={holesData} partners={roundData?.partners || []} />
+          
+          {/* Fairways, greens in regulation, scrambling and sand saves */}
+          <RoundStatsPanel stats={totals.stats} />
+          
+          {/* Strokes gained by category, with the rolling average over recent rounds */}
+          <StrokesGainedPanel
+            round={totals.strokesGained}
+            rolling={totals.rollingStrokesGained}
+            handicapLevel={sgHandicapLevel}
+            onChangeHandicapLevel={handleChangeSgHandicapLevel}
+          />
         </ScrollView>
         
         {/* Round summary - updated label to match new categories */}
@@ -372,6 +603,22 @@ export default function ScorecardScreen() {
           </View>
         </View>
         
+        {/* Putting summary - 3-putts are highlighted in the Putts column */}
+        <View style={[styles.summary, styles.puttingSummary]}>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryLabel}>Putts</Text>
+            <Text style={styles.summaryValue}>{totals.putting.putts}</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryLabel}>3-Putts</Text>
+            <Text style={styles.summaryValue}>{totals.putting.threePutts}</Text>
+          </View>
+          <View style={styles.summaryItem}>
+            <Text style={styles.summaryLabel}>Putts per GIR</Text>
+            <Text style={styles.summaryValue}>{totals.putting.puttsPerGir ?? "N/A"}</Text>
+          </View>
+        </View>
+        
         {/* Return to Home button - only shown when coming from tracker */}
         {fromTracker && (
           <TouchableOpacity 
@@ -388,33 +635,38 @@ export default function ScorecardScreen() {
 
 /**
  * Helper function to get par for a specific hole from course data
+ * for the tee set the round was played from
  */
-function getCourseHolePar(courseData, holeNumber) {
+function getCourseHolePar(courseData, holeNumber, teeGender) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   const holeData = courseData.holes.find(h => h.number === holeNumber);
-  return holeData ? holeData.par_men : null;
+  return getHolePar(holeData, teeGender);
 }
 
 /**
- * Helper function to calculate par for a range of holes
+ * Helper function to split the holes of a round into nines for subtotals
+ * Holes 1-9 are "Out", 10-18 "In" and 19-27 the third nine of a 27-hole course
  */
-function calculateCoursePar(courseData, startHole, endHole) {
-  if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
-    return null;
-  }
+function groupHolesByNine(holeNumbers) {
+  const labels = ["Out", "In", "3rd"];
+  const groups = [];
   
-  let totalPar = 0;
-  for (let i = startHole; i <= endHole; i++) {
-    const holePar = getCourseHolePar(courseData, i);
-    if (holePar) {
-      totalPar += holePar;
+  holeNumbers.forEach(holeNum => {
+    const nineIndex = Math.floor((holeNum - 1) / 9);
+    const label = labels[nineIndex] || `Holes ${nineIndex * 9 + 1}-${nineIndex * 9 + 9}`;
+    let group = groups.find(g => g.label === label);
+    
+    if (!group) {
+      group = { label, holes: [] };
+      groups.push(group);
     }
-  }
+    group.holes.push(holeNum);
+  });
   
-  return totalPar || null;
+  return groups;
 }
 
 // Styles with Material Design guidelines
@@ -438,6 +690,33 @@ const styles = StyleSheet.create({
     padding: 16,
     marginBottom: 8,
   },
+  courseInfoRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  courseInfoText: {
+    flex: 1,
+  },
+  editButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  editButtonText: {
+    marginLeft: 4,
+    color: theme.colors.primary,
+    fontWeight: "500",
+  },
+  editHint: {
+    fontSize: 12,
+    color: "#666",
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  editingRow: {
+    backgroundColor: "#eef5ff",
+  },
   courseName: {
     fontSize: 18,
     fontWeight: "bold",
@@ -481,6 +760,18 @@ const styles = StyleSheet.create({
     width: 50,
     textAlign: "center",
   },
+  penaltyColumn: {
+    width: 36,
+    textAlign: "center",
+  },
+  puttsColumn: {
+    width: 40,
+    textAlign: "center",
+  },
+  highlightText: {
+    color: "#d32f2f",
+    fontWeight: "600",
+  },
   outcomeColumn: {
     flex: 1,
     textAlign: "center",
@@ -493,6 +784,13 @@ const styles = StyleSheet.create({
   totalText: {
     fontWeight: "bold",
   },
+  quickScoreNote: {
+    fontSize: 12,
+    color: "#666",
+    fontStyle: "italic",
+    paddingHorizontal: 12,
+    paddingTop: 8,
+  },
   summary: {
     flexDirection: "row",
     backgroundColor: "#fff",
@@ -501,6 +799,10 @@ const styles = StyleSheet.create({
     borderTopWidth: 1,
     borderTopColor: "#e0e0e0",
   },
+  puttingSummary: {
+    paddingTop: 0,
+    borderTopWidth: 0,
+  },
   summaryItem: {
     alignItems: "center",
   },
@@ -1,6 +1,6 @@
 // src/screens/TrackerScreen.js
 
-import React, { useState, useEffect, useContext, useCallback } from "react";
+import React, { useState, useEffect, useContext, useCallback, useRef, useMemo } from "react";
 import { 
   View, 
   StyleSheet, 
@@ -9,19 +9,107 @@ import {
   ScrollView, 
   SafeAreaView,
   BackHandler,
-  TouchableOpacity
+  TouchableOpacity,
+  Switch
 } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from "@expo/vector-icons";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { createRound, completeRound, deleteAbandonedRound } from "../services/roundservice";
+import { createRound, completeRound, getHoleSequence, getRoundHoleOrder } from "../services/roundservice";
+import {
+  saveRoundCourse,
+  saveLastViewedHole,
+  getLastViewedHole,
+  clearInProgressRound,
+  discardInProgressRound
+} from "../services/roundRecoveryService";
+import { createOfflineRound, enqueueRoundCompletion, isLocalRoundId, processOutbox } from "../services/roundSyncService";
 import ShotTable from "../components/ShotTable";
 import HoleNavigator from "../components/HoleNavigator";
 import { AuthContext } from "../context/AuthContext";
 import Typography from "../ui/components/Typography";
 import Button from "../ui/components/Button";
 import DistanceIndicator from '../components/DistanceIndicator';
+import HoleMap from '../components/HoleMap';
+import ShotListEditor from "../components/ShotListEditor";
+import PuttingPanel from "../components/PuttingPanel";
+import ClubPicker from "../components/ClubPicker";
+import QuickScoreGrid from "../components/QuickScoreGrid";
+import PlayerSwitcher, { ME } from "../components/PlayerSwitcher";
+import { getShotDistances } from "../services/geoService";
+import { getBag, fetchClubStats } from "../services/clubService";
+import {
+  HOLE_DETECTION_MODES,
+  getHoleDetectionMode,
+  createHoleDetectionState,
+  updateHoleDetection,
+  buildHolePoiLookup
+} from "../services/holeDetectionService";
+import {
+  getRoundPartners,
+  saveRoundPartners,
+  createGuestPartner,
+  createRegisteredPartner,
+  findRegisteredPlayer,
+  setPartnerScore,
+  setPartnerHandicap
+} from "../services/partnerService";
+import { getHolePar, getHoleStrokeIndex } from "../services/scoringFormatService";
+import {
+  createEmptyShotCounts,
+  buildShotCounts,
+  createShot,
+  insertShot,
+  updateShot,
+  deleteShot,
+  removeLastShot,
+  createPenalty,
+  removePenaltiesForShot,
+  getHoleStrokes
+} from "../services/shotService";
+
+// GPS fixes older than this aren't attached to new shots
+const MAX_POSITION_AGE_MS = 30 * 1000;
+
+// How long after the last shot change the hole is saved
+const SHOT_SAVE_DELAY_MS = 1000;
+
+/**
+ * Create the empty tracking state for a single hole
+ */
+const createEmptyHoleState = () => ({
+  // Hole characteristics (will be filled from course data)
+  par: null,
+  distance: null,
+  index: null,
+  features: [],
+  
+  // Shot data
+  shots: [], // Array of { id, type, result, timestamp, position?, distanceToHole? }
+  penalties: [], // Array of { kind, strokes, shotId, timestamp } - linked to the shot that caused them
+  
+  // Shot counts for ShotTable compatibility - always rebuilt from shots
+  shotCounts: createEmptyShotCounts(),
+  
+  // POI data for this hole
+  poi: null
+});
+
+/**
+ * Build the initial hole data structure for the holes in a round
+ * 
+ * @param {Array<number>} holeNumbers - Hole numbers played in the round
+ * @returns {Object} Hole state keyed by hole number
+ */
+const buildInitialHoleState = (holeNumbers) => {
+  const holeState = {};
+  holeNumbers.forEach(holeNum => {
+    holeState[holeNum] = createEmptyHoleState();
+  });
+  return holeState;
+};
 
 /**
  * TrackerScreen Component
@@ -32,6 +120,10 @@ import DistanceIndicator from '../components/DistanceIndicator';
  * 
  * Enhanced with proper iOS and Android exit handling that deletes abandoned rounds.
  * Enhanced with retry mechanism for failed round submissions.
+ * Supports 9-hole, 27-hole and custom-length rounds starting on any hole,
+ * including shotgun starts that wrap from the last hole back to hole 1.
+ * Resumes an in-progress round on the hole that was last viewed.
+ * Works offline - rounds that can't reach the server are queued for sync.
  */
 export default function TrackerScreen({ navigation }) {
   // Get the authenticated user from context
@@ -39,45 +131,52 @@ export default function TrackerScreen({ navigation }) {
   
   // Local state for tracking current hole and shots
   const [currentHole, setCurrentHole] = useState(1);
-  const [totalHoles] = useState(18); // Standard golf round is 18 holes
+  const [holeSequence, setHoleSequence] = useState(() => getHoleSequence(1, 18)); // Holes in playing order
   
-  // Initialize hole data structure for all holes
-  const initialHoleState = {};
-  for (let i = 1; i <= 18; i++) {
-    initialHoleState[i] = {
-      // Hole characteristics (will be filled from course data)
-      par: null,
-      distance: null,
-      index: null,
-      features: [],
-      
-      // Shot data
-      shots: [], // Array of { type, result, timestamp }
-      
-      // Shot counts for ShotTable compatibility
-      shotCounts: {
-        "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-      },
-      
-      // POI data for this hole
-      poi: null
-    };
-  }
+  // Derived navigation values - position is 1-based within the round
+  const totalHoles = holeSequence.length;
+  const holePosition = holeSequence.indexOf(currentHole) + 1;
+  const isLastHole = holePosition === totalHoles;
   
   // Main state variables for the component
-  const [holeData, setHoleData] = useState(initialHoleState); // Tracks all data for all holes
+  const [holeData, setHoleData] = useState(() => buildInitialHoleState(holeSequence)); // Tracks all data for all holes
   const [round, setRound] = useState(null);                    // Current round data
   const [activeColumn, setActiveColumn] = useState("On Target"); // Currently selected outcome column
   const [loading, setLoading] = useState(false);                // Loading state for async operations
   const [course, setCourse] = useState(null);                   // Current course data
   const [courseDetails, setCourseDetails] = useState(null);     // Detailed course data from database
   const [isCompleting, setIsCompleting] = useState(false);     // New state variable for completion tracking
+  const [shotHistory, setShotHistory] = useState({});           // Undo/redo stacks of { shots, penalties }, keyed by hole
+  const [shotEdits, setShotEdits] = useState(0);                // Counts shot changes, to save the hole after each
+  const [puttingMode, setPuttingMode] = useState(false);       // Capture putt distance and result
+  const [clubMode, setClubMode] = useState(false);             // Tag shots with the club used
+  const [mapMode, setMapMode] = useState(false);               // Show the hole map
+  const [mapPosition, setMapPosition] = useState(null);         // Player's position drawn on the hole map
+  const [batterySaver, setBatterySaver] = useState(false);     // Poll GPS slowly for the whole round
+  const [bag, setBag] = useState([]);                           // Club ids in the player's bag
+  const [clubStats, setClubStats] = useState(null);             // Per-club average distances
+  const [selectedClub, setSelectedClub] = useState(null);       // Club for the next shot logged
+  const [suggestedClub, setSuggestedClub] = useState(null);     // Club suggested for the current distance
+  const [partners, setPartners] = useState([]);                 // Playing partners scored on this phone
+  const [activePlayerId, setActivePlayerId] = useState(ME);     // Player whose score is being entered
+  const gpsPositionRef = useRef(null);                          // Latest GPS fix, attached to shots as they're logged
+  const mapModeRef = useRef(false);                             // Read by the location callback
+  const [detectedHole, setDetectedHole] = useState(null);       // Hole GPS says the player has moved on to
+  const [autoMove, setAutoMove] = useState(null);               // { from, to } when GPS changed hole, for undo
+  const [holeDetectionMode, setHoleDetectionMode] = useState(HOLE_DETECTION_MODES.SUGGEST); // Auto, suggest or manual, from the profile setting
+  const holeDetectionModeRef = useRef(holeDetectionMode);       // Read by the location callback
+  const holeDetectionStateRef = useRef(createHoleDetectionState());
+  const dismissedHoleRef = useRef(null);                        // Detected hole the player said they aren't on
+  
+  // Tee and green positions for every hole in the round, not just those reached so far
+  const holePoiLookup = useMemo(
+    () => buildHolePoiLookup(course?.poi, holeSequence),
+    [course, holeSequence]
+  );
+  
+  // The location callback reads the hole being tracked through a ref
+  const holeTrackingRef = useRef(null);
+  holeTrackingRef.current = { holePoiLookup, holeSequence, currentHole };
 
   // iOS Navigation Interception - Enhanced with delete logic
   useFocusEffect(
@@ -102,9 +201,7 @@ export default function TrackerScreen({ navigation }) {
                 onPress: async () => {
                   try {
                     setLoading(true);
-                    await deleteAbandonedRound(round.id);
-                    await AsyncStorage.removeItem(`round_${round.id}_holes`);
-                    await AsyncStorage.removeItem("currentRound");
+                    await discardInProgressRound(round.id);
                     navigation.dispatch(e.data.action);
                   } catch (error) {
                     console.error("Error abandoning round:", error);
@@ -144,9 +241,7 @@ export default function TrackerScreen({ navigation }) {
                 onPress: async () => {
                   try {
                     setLoading(true);
-                    await deleteAbandonedRound(round.id);
-                    await AsyncStorage.removeItem(`round_${round.id}_holes`);
-                    await AsyncStorage.removeItem("currentRound");
+                    await discardInProgressRound(round.id);
                     navigation.goBack();
                   } catch (error) {
                     console.error("Error abandoning round:", error);
@@ -190,6 +285,14 @@ export default function TrackerScreen({ navigation }) {
     }
   }, [round, currentHole, holeData]);
 
+  // Save the hole shortly after its shots change, so a round resumed after
+  // the app was closed mid-hole still has them
+  useEffect(() => {
+    if (shotEdits === 0) return;
+    const timer = setTimeout(saveCurrentHoleToStorage, SHOT_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [shotEdits]);
+
   /**
    * Load hole data from AsyncStorage
    * Will now include POI data if it was previously saved
@@ -226,12 +329,12 @@ export default function TrackerScreen({ navigation }) {
    * Saves current hole data before moving
    */
   const handleNextHole = useCallback(async () => {
-    if (currentHole < totalHoles) {
+    if (holePosition < totalHoles) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
-      // Move to the next hole
-      setCurrentHole(prev => prev + 1);
+      // Move to the next hole in the round
+      setCurrentHole(holeSequence[holePosition]);
     } else {
       // If on the last hole, prompt to finish the round
       Alert.alert(
@@ -247,21 +350,103 @@ export default function TrackerScreen({ navigation }) {
         ]
       );
     }
-  }, [currentHole, totalHoles, saveCurrentHoleToStorage]);
+  }, [holePosition, totalHoles, holeSequence, saveCurrentHoleToStorage]);
 
   /**
    * Function to navigate to the previous hole
    * Saves current hole data before moving
    */
   const handlePreviousHole = useCallback(async () => {
-    if (currentHole > 1) {
+    if (holePosition > 1) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
-      // Move to the previous hole
-      setCurrentHole(prev => prev - 1);
+      // Move to the previous hole in the round
+      setCurrentHole(holeSequence[holePosition - 2]);
     }
-  }, [currentHole, saveCurrentHoleToStorage]);
+  }, [holePosition, holeSequence, saveCurrentHoleToStorage]);
+
+  /**
+   * Restore the player's putting mode preference
+   */
+  useEffect(() => {
+    AsyncStorage.getItem("puttingMode")
+      .then(value => setPuttingMode(value === "true"))
+      .catch(error => console.error("Error loading putting mode:", error));
+  }, []);
+
+  const togglePuttingMode = useCallback((enabled) => {
+    setPuttingMode(enabled);
+    AsyncStorage.setItem("puttingMode", String(enabled))
+      .catch(error => console.error("Error saving putting mode:", error));
+  }, []);
+
+  /**
+   * Restore the club picker preference and load the bag and club distances
+   */
+  useEffect(() => {
+    AsyncStorage.getItem("clubMode")
+      .then(value => setClubMode(value === "true"))
+      .catch(error => console.error("Error loading club mode:", error));
+  }, []);
+
+  useEffect(() => {
+    if (!clubMode || !user) return;
+    
+    getBag(user.id).then(setBag);
+    fetchClubStats(user.id).then(setClubStats);
+  }, [clubMode, user]);
+
+  const toggleClubMode = useCallback((enabled) => {
+    setClubMode(enabled);
+    setSelectedClub(null);
+    AsyncStorage.setItem("clubMode", String(enabled))
+      .catch(error => console.error("Error saving club mode:", error));
+  }, []);
+
+  /**
+   * Restore the battery saver preference
+   */
+  useEffect(() => {
+    AsyncStorage.getItem("batterySaver")
+      .then(value => setBatterySaver(value === "true"))
+      .catch(error => console.error("Error loading battery saver:", error));
+  }, []);
+
+  const toggleBatterySaver = useCallback((enabled) => {
+    setBatterySaver(enabled);
+    AsyncStorage.setItem("batterySaver", String(enabled))
+      .catch(error => console.error("Error saving battery saver:", error));
+  }, []);
+
+  /**
+   * Restore the hole map preference
+   */
+  useEffect(() => {
+    AsyncStorage.getItem("mapMode")
+      .then(value => {
+        mapModeRef.current = value === "true";
+        setMapMode(value === "true");
+      })
+      .catch(error => console.error("Error loading map mode:", error));
+  }, []);
+
+  const toggleMapMode = useCallback((enabled) => {
+    mapModeRef.current = enabled;
+    setMapMode(enabled);
+    setMapPosition(enabled ? gpsPositionRef.current : null);
+    AsyncStorage.setItem("mapMode", String(enabled))
+      .catch(error => console.error("Error saving map mode:", error));
+  }, []);
+
+  /**
+   * Remember the hole being viewed so a resumed round reopens on it
+   */
+  useEffect(() => {
+    if (round?.id) {
+      saveLastViewedHole(round.id, currentHole);
+    }
+  }, [round, currentHole]);
 
   /**
    * Update hole information when courseDetails or currentHole changes
@@ -311,12 +496,13 @@ export default function TrackerScreen({ navigation }) {
           const newData = { ...prevData };
           
           // Only update if not already set
-          if (!newData[currentHole].par) {
+          if (newData[currentHole] && !newData[currentHole].par) {
             newData[currentHole] = {
               ...newData[currentHole],
-              par: currentHoleInfo.par_men || null,
+              // Par and stroke index for the player's tee set
+              par: getHolePar(currentHoleInfo, course?.teeGender),
               distance: distance || null,
-              index: currentHoleInfo.index_men || null,
+              index: getHoleStrokeIndex(currentHoleInfo, course?.teeGender),
               features: currentHoleInfo.features || [],
               poi: holePoi // Add POI data to hole
             };
@@ -362,29 +548,78 @@ export default function TrackerScreen({ navigation }) {
         
         // Check if there's an in-progress round in AsyncStorage
         const existingRoundStr = await AsyncStorage.getItem("currentRound");
-        let roundData;
+        let roundData = existingRoundStr ? JSON.parse(existingRoundStr) : null;
+        let lastViewedHole = null;
+        
+        // A stored round for another course or user is stale - discard it rather than reuse it
+        if (roundData && (roundData.course_id !== courseData.id || roundData.profile_id !== user.id)) {
+          console.warn("Discarding stale in-progress round:", roundData.id);
+          await discardInProgressRound(roundData.id);
+          roundData = null;
+        }
         
-        if (existingRoundStr) {
+        if (roundData) {
           // Use existing round
-          roundData = JSON.parse(existingRoundStr);
           console.log("Resuming existing round:", roundData);
           setRound(roundData);
+          
+          lastViewedHole = await getLastViewedHole(roundData.id);
         } else {
-          // Create a new round
-          roundData = await createRound(
-            user.id,
-            courseData.id,
-            courseData.teeId,
-            courseData.teeName
-          );
+          // Create a new round covering the holes chosen in the course selector
+          const startHole = courseData.startHole || 1;
+          const holesToPlay = courseData.holesToPlay || courseData.numHoles || 18;
+          
+          const roundOptions = {
+            startHole,
+            totalHoles: holesToPlay,
+            holeOrder: getHoleSequence(startHole, holesToPlay, courseData.numHoles || 18),
+            trackingMode: courseData.trackingMode || "shots",
+            scoringFormat: courseData.scoringFormat,
+            teeGender: courseData.teeGender || "men",
+            courseHandicap: courseData.courseHandicap ?? null,
+            playingHandicap: courseData.playingHandicap ?? null
+          };
+          
+          try {
+            roundData = await createRound(
+              user.id,
+              courseData.id,
+              courseData.teeId,
+              courseData.teeName,
+              roundOptions
+            );
+          } catch (createError) {
+            // No connection on the course - track against a local round and sync it later
+            console.warn("Could not create round online, starting offline:", createError.message);
+            roundData = createOfflineRound(
+              user.id,
+              courseData.id,
+              courseData.teeId,
+              courseData.teeName,
+              roundOptions
+            );
+          }
           
           console.log("New round created:", roundData);
           setRound(roundData);
           
-          // Store the round in AsyncStorage
+          // Store the round in AsyncStorage, along with the course and tee it was started with
           await AsyncStorage.setItem("currentRound", JSON.stringify(roundData));
+          await saveRoundCourse(roundData.id, courseData);
         }
         
+        // Set up the holes for this round - the round record wins over the selection
+        const sequence = roundData?.hole_order || roundData?.start_hole
+          ? getRoundHoleOrder(roundData)
+          : getHoleSequence(
+              courseData.startHole || 1,
+              courseData.holesToPlay || courseData.numHoles || 18,
+              courseData.numHoles || 18
+            );
+        setHoleSequence(sequence);
+        setCurrentHole(sequence.includes(lastViewedHole) ? lastViewedHole : sequence[0]);
+        setHoleData(prevData => ({ ...buildInitialHoleState(sequence), ...prevData }));
+        
         // Get supabase from the service
         const { supabase } = require("../services/supabase");
         
@@ -426,6 +661,8 @@ export default function TrackerScreen({ navigation }) {
             
             console.log("Loaded hole data from storage");
           }
+          
+          setPartners(await getRoundPartners(roundData.id));
         }
       } catch (error) {
         console.error("Error initializing round:", error);
@@ -440,69 +677,359 @@ export default function TrackerScreen({ navigation }) {
   }, [user, navigation]);
 
   /**
-   * Function to add a shot of a specific type and outcome
+   * Keep the latest GPS fix so new shots can record where they were played from
+   * Held in a ref - location updates arrive every second and don't need a re-render,
+   * unless the hole map is open and has to move the player's dot.
    */
-  const addShot = useCallback((type, outcome) => {
-    console.log(`Adding ${outcome} ${type} shot for hole ${currentHole}`);
+  const handleLocationUpdate = useCallback((position) => {
+    gpsPositionRef.current = position;
+    if (mapModeRef.current) {
+      setMapPosition(position);
+    }
     
-    setHoleData(prevData => {
-      const newData = { ...prevData };
-      const currentHoleInfo = { ...newData[currentHole] };
+    // Work out whether the player has walked on to another hole
+    if (holeDetectionModeRef.current !== HOLE_DETECTION_MODES.MANUAL) {
+      const tracking = holeTrackingRef.current;
+      const { state, detectedHole: nextHole } = updateHoleDetection(
+        holeDetectionStateRef.current,
+        position,
+        tracking.holePoiLookup,
+        tracking.holeSequence,
+        tracking.currentHole
+      );
+      holeDetectionStateRef.current = state;
       
-      // Add to shots array
-      currentHoleInfo.shots.push({
-        type,
-        result: outcome,
-        timestamp: new Date().toISOString()
+      // Back on the current hole - a dismissed hole can be offered again later
+      if (!state.candidate) {
+        dismissedHoleRef.current = null;
+      }
+      if (nextHole && nextHole !== dismissedHoleRef.current) {
+        setDetectedHole(nextHole);
+      }
+    }
+  }, []);
+
+  /**
+   * Save the current hole and move to any hole in the round
+   */
+  const goToHole = useCallback(async (holeNumber) => {
+    await saveCurrentHoleToStorage();
+    setCurrentHole(holeNumber);
+  }, [saveCurrentHoleToStorage]);
+
+  /**
+   * Restore the hole detection setting each time the tracker is shown,
+   * since it's changed from the profile
+   */
+  useFocusEffect(
+    useCallback(() => {
+      getHoleDetectionMode().then(mode => {
+        holeDetectionModeRef.current = mode;
+        setHoleDetectionMode(mode);
       });
-      
-      // Update shot counts for ShotTable compatibility
-      currentHoleInfo.shotCounts[type][outcome] += 1;
-      
-      // Update hole data
-      newData[currentHole] = currentHoleInfo;
-      
-      return newData;
-    });
+    }, [])
+  );
+
+  // Start detection afresh on each new hole
+  useEffect(() => {
+    holeDetectionStateRef.current = createHoleDetectionState();
+    setDetectedHole(null);
   }, [currentHole]);
 
+  // Move straight to the detected hole when detection is automatic
+  useEffect(() => {
+    if (!detectedHole || holeDetectionMode !== HOLE_DETECTION_MODES.AUTO) return;
+    
+    console.log(`[holeDetection] Moving from hole ${currentHole} to hole ${detectedHole}`);
+    setAutoMove({ from: currentHole, to: detectedHole });
+    goToHole(detectedHole);
+  }, [detectedHole]);
+
+  const handleDismissDetectedHole = () => {
+    dismissedHoleRef.current = detectedHole;
+    setDetectedHole(null);
+  };
+
+  const handleUndoAutoMove = () => {
+    dismissedHoleRef.current = autoMove.to;
+    setAutoMove(null);
+    goToHole(autoMove.from);
+  };
+
+  /**
+   * Replace the shots and penalties on the current hole, recording the change for undo
+   * shotCounts is rebuilt from the new shots so the two always agree.
+   */
+  const commitShots = useCallback((nextShots, nextPenalties) => {
+    const previous = {
+      shots: holeData[currentHole]?.shots || [],
+      penalties: holeData[currentHole]?.penalties || []
+    };
+    const next = {
+      shots: nextShots,
+      penalties: nextPenalties || previous.penalties
+    };
+    if (next.shots === previous.shots && next.penalties === previous.penalties) return;
+    
+    setShotHistory(prevHistory => {
+      const holeHistory = prevHistory[currentHole] || { past: [], future: [] };
+      return {
+        ...prevHistory,
+        [currentHole]: {
+          past: [...holeHistory.past, previous],
+          future: [] // A new change invalidates anything that was undone
+        }
+      };
+    });
+    
+    setHoleData(prevData => ({
+      ...prevData,
+      [currentHole]: {
+        ...prevData[currentHole],
+        shots: next.shots,
+        penalties: next.penalties,
+        shotCounts: buildShotCounts(next.shots)
+      }
+    }));
+    setShotEdits(count => count + 1);
+  }, [holeData, currentHole]);
+
+  /**
+   * Step backwards or forwards through the current hole's shot history
+   */
+  const moveThroughHistory = useCallback((direction) => {
+    const holeHistory = shotHistory[currentHole];
+    const current = {
+      shots: holeData[currentHole]?.shots || [],
+      penalties: holeData[currentHole]?.penalties || []
+    };
+    
+    let restored;
+    let nextHistory;
+    
+    if (direction === "undo") {
+      if (!holeHistory?.past.length) return;
+      restored = holeHistory.past[holeHistory.past.length - 1];
+      nextHistory = {
+        past: holeHistory.past.slice(0, -1),
+        future: [current, ...holeHistory.future]
+      };
+    } else {
+      if (!holeHistory?.future.length) return;
+      restored = holeHistory.future[0];
+      nextHistory = {
+        past: [...holeHistory.past, current],
+        future: holeHistory.future.slice(1)
+      };
+    }
+    
+    console.log(`${direction === "undo" ? "Undoing" : "Redoing"} shot change on hole ${currentHole}`);
+    
+    setShotHistory(prevHistory => ({ ...prevHistory, [currentHole]: nextHistory }));
+    setHoleData(prevData => ({
+      ...prevData,
+      [currentHole]: {
+        ...prevData[currentHole],
+        shots: restored.shots,
+        penalties: restored.penalties,
+        shotCounts: buildShotCounts(restored.shots)
+      }
+    }));
+    setShotEdits(count => count + 1);
+  }, [shotHistory, holeData, currentHole]);
+
+  const handleUndo = useCallback(() => moveThroughHistory("undo"), [moveThroughHistory]);
+  const handleRedo = useCallback(() => moveThroughHistory("redo"), [moveThroughHistory]);
+
+  /**
+   * Function to add a shot of a specific type and outcome
+   */
+  const addShot = useCallback((type, outcome) => {
+    console.log(`Adding ${outcome} ${type} shot for hole ${currentHole}`);
+    
+    const shots = holeData[currentHole]?.shots || [];
+    const shot = createShot(type, outcome);
+    
+    if (clubMode && selectedClub) {
+      shot.club = selectedClub;
+    }
+    
+    // Record where the shot was played from, unless the last fix is too old to trust
+    const position = gpsPositionRef.current;
+    if (position && Date.now() - position.timestamp <= MAX_POSITION_AGE_MS) {
+      shot.position = { lat: position.lat, lng: position.lng, accuracy: position.accuracy };
+      if (position.distanceToGreen !== null) {
+        shot.distanceToHole = position.distanceToGreen;
+        shot.distanceSource = "gps";
+      }
+    }
+    
+    commitShots([...shots, shot]);
+    
+    // Each shot is tagged on its own - the next shot usually needs a different club
+    setSelectedClub(null);
+  }, [holeData, currentHole, commitShots, clubMode, selectedClub]);
+
   /**
    * Function to remove a shot of a specific type and outcome
+   * Removes the most recent matching shot, along with any penalties it caused.
    */
   const removeShot = useCallback((type, outcome) => {
     console.log(`Removing ${outcome} ${type} shot for hole ${currentHole}`);
     
-    setHoleData(prevData => {
-      const newData = { ...prevData };
-      const currentHoleInfo = { ...newData[currentHole] };
-      
-      // Only proceed if there are shots to remove
-      if (currentHoleInfo.shotCounts[type][outcome] <= 0) {
-        return prevData;
-      }
-      
-      // Find the index of the last shot of this type and outcome
-      const shotIndex = [...currentHoleInfo.shots].reverse().findIndex(
-        shot => shot.type === type && shot.result === outcome
-      );
-      
-      if (shotIndex !== -1) {
-        // Convert the reversed index to the actual index
-        const actualIndex = currentHoleInfo.shots.length - 1 - shotIndex;
-        
-        // Remove the shot from the shots array
-        currentHoleInfo.shots.splice(actualIndex, 1);
-        
-        // Update the shot counts for ShotTable compatibility
-        currentHoleInfo.shotCounts[type][outcome] -= 1;
-        
-        // Update the hole data
-        newData[currentHole] = currentHoleInfo;
+    const shots = holeData[currentHole]?.shots || [];
+    const nextShots = removeLastShot(shots, type, outcome);
+    const removedShot = shots.find(shot => !nextShots.includes(shot));
+    
+    commitShots(
+      nextShots,
+      removedShot ? removePenaltiesForShot(holeData[currentHole]?.penalties, removedShot) : undefined
+    );
+  }, [holeData, currentHole, commitShots]);
+
+  /**
+   * Shot list editor actions - reclassify, insert and delete individual shots
+   */
+  const handleUpdateShot = useCallback((index, changes) => {
+    const shots = holeData[currentHole]?.shots || [];
+    commitShots(updateShot(shots, index, changes));
+  }, [holeData, currentHole, commitShots]);
+
+  const handleUpdatePutt = useCallback((index, putt) => {
+    handleUpdateShot(index, { putt });
+  }, [handleUpdateShot]);
+
+  const handleInsertShot = useCallback((index) => {
+    const shots = holeData[currentHole]?.shots || [];
+    // Start from the neighbouring shot so only what differs needs changing
+    const template = shots[Math.min(index, shots.length - 1)] || { type: "Tee Shot", result: activeColumn };
+    commitShots(insertShot(shots, index, createShot(template.type, template.result)));
+  }, [holeData, currentHole, activeColumn, commitShots]);
+
+  const handleDeleteShot = useCallback((index) => {
+    const shots = holeData[currentHole]?.shots || [];
+    if (!shots[index]) return;
+    
+    commitShots(
+      deleteShot(shots, index),
+      removePenaltiesForShot(holeData[currentHole]?.penalties, shots[index])
+    );
+  }, [holeData, currentHole, commitShots]);
+
+  /**
+   * Penalty actions - penalties are linked to the shot that caused them
+   */
+  const handleAddPenalty = useCallback((shotIndex, kind) => {
+    const hole = holeData[currentHole];
+    const shot = hole?.shots?.[shotIndex];
+    if (!shot) return;
+    
+    console.log(`Adding ${kind} penalty to shot ${shotIndex + 1} on hole ${currentHole}`);
+    commitShots(hole.shots, [...(hole.penalties || []), createPenalty(kind, shot)]);
+  }, [holeData, currentHole, commitShots]);
+
+  const handleRemovePenalty = useCallback((penaltyIndex) => {
+    const hole = holeData[currentHole];
+    const penalties = hole?.penalties || [];
+    commitShots(hole?.shots || [], penalties.filter((_, i) => i !== penaltyIndex));
+  }, [holeData, currentHole, commitShots]);
+
+  /**
+   * Quick score rounds - update a hole's score, putts, fairway and GIR
+   * Any hole can be edited from the grid, so it's saved straight away.
+   */
+  const handleUpdateQuickScore = useCallback(async (holeNum, quickScore) => {
+    const updatedHole = { ...holeData[holeNum], quickScore };
+    setHoleData(prev => ({ ...prev, [holeNum]: updatedHole }));
+    
+    if (!round) return;
+    
+    try {
+      const existingDataStr = await AsyncStorage.getItem(`round_${round.id}_holes`);
+      const existingData = existingDataStr ? JSON.parse(existingDataStr) : {};
+      existingData[holeNum] = updatedHole;
+      await AsyncStorage.setItem(`round_${round.id}_holes`, JSON.stringify(existingData));
+    } catch (error) {
+      console.error("Error saving quick score to AsyncStorage:", error);
+    }
+  }, [holeData, round]);
+
+  /**
+   * Update the playing partners and save them straight away
+   */
+  const updatePartners = useCallback(async (nextPartners) => {
+    setPartners(nextPartners);
+    
+    if (!round) return;
+    
+    try {
+      await saveRoundPartners(round.id, nextPartners);
+    } catch (error) {
+      console.error("Error saving partners to AsyncStorage:", error);
+    }
+  }, [round]);
+
+  /**
+   * Add a playing partner - an email looks up a registered player, anything else is a guest
+   */
+  const handleAddPartner = useCallback(async (nameOrEmail) => {
+    let partner;
+    
+    if (nameOrEmail.includes("@")) {
+      try {
+        const profile = await findRegisteredPlayer(nameOrEmail);
+        if (!profile) {
+          Alert.alert("Player Not Found", "No player is registered with that email. Add them as a guest by name instead.");
+          return;
+        }
+        if (profile.id === user?.id || partners.some(existing => existing.profile_id === profile.id)) {
+          Alert.alert("Already Added", "That player is already in this round.");
+          return;
+        }
+        partner = createRegisteredPartner(profile, nameOrEmail.split("@")[0]);
+      } catch (error) {
+        console.error("Error looking up player:", error);
+        Alert.alert("Error", "Couldn't look up that player. Check your connection or add them as a guest.");
+        return;
       }
-      
-      return newData;
-    });
-  }, [currentHole]);
+    } else {
+      partner = createGuestPartner(nameOrEmail);
+    }
+    
+    await updatePartners([...partners, partner]);
+    setActivePlayerId(partner.id);
+  }, [partners, updatePartners, user]);
+
+  /**
+   * Remove a playing partner and their scores
+   */
+  const handleRemovePartner = useCallback((partnerId) => {
+    const partner = partners.find(existing => existing.id === partnerId);
+    
+    Alert.alert(
+      "Remove Partner",
+      `Remove ${partner?.name || "this player"} and their scores from the round?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            await updatePartners(partners.filter(existing => existing.id !== partnerId));
+            if (activePlayerId === partnerId) setActivePlayerId(ME);
+          }
+        }
+      ]
+    );
+  }, [partners, activePlayerId, updatePartners]);
+
+  const handleUpdatePartnerScore = useCallback((partnerId, holeNum, score) => {
+    updatePartners(setPartnerScore(partners, partnerId, holeNum, score));
+  }, [partners, updatePartners]);
+
+  const handleUpdatePartnerHandicap = useCallback((partnerId, handicap) => {
+    updatePartners(setPartnerHandicap(partners, partnerId, handicap));
+  }, [partners, updatePartners]);
 
   /**
    * Complete a hole and save data to AsyncStorage
@@ -515,8 +1042,8 @@ export default function TrackerScreen({ navigation }) {
       await saveCurrentHoleToStorage();
       
       // Move to next hole if not on last hole
-      if (currentHole < totalHoles) {
-        setCurrentHole(prev => prev + 1);
+      if (holePosition < totalHoles) {
+        setCurrentHole(holeSequence[holePosition]);
       }
       
       setLoading(false);
@@ -549,14 +1076,19 @@ export default function TrackerScreen({ navigation }) {
       
       const storedHoleData = JSON.parse(storedDataStr);
       
+      // Rounds started offline can only be saved once the outbox has created them
+      if (isLocalRoundId(round.id)) {
+        await queueRoundForSync(storedHoleData);
+        return;
+      }
+      
       // Call completeRound with hole data - it will handle all database operations
-      await completeRound(round.id, storedHoleData, totalHoles);
+      await completeRound(round.id, storedHoleData, totalHoles, partners);
       
       console.log("Round completed successfully");
       
       // Clear AsyncStorage data for this round
-      await AsyncStorage.removeItem(`round_${round.id}_holes`);
-      await AsyncStorage.removeItem("currentRound");
+      await clearInProgressRound(round.id);
       
       // Set loading to false BEFORE navigation
       setLoading(false);
@@ -576,6 +1108,28 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
+  /**
+   * Hand the finished round to the sync outbox and return home
+   * Used when the round can't be saved right now, e.g. with no connection.
+   */
+  const queueRoundForSync = async (storedHoleData) => {
+    setIsCompleting(true);
+    
+    await enqueueRoundCompletion(round, storedHoleData, totalHoles, course, partners);
+    await clearInProgressRound(round.id);
+    
+    // Try straight away in case the connection is already back
+    processOutbox({ force: true });
+    
+    setLoading(false);
+    
+    Alert.alert(
+      "Round Saved",
+      "Your round is saved on this device and will sync automatically when you're back online."
+    );
+    navigation.popToTop();
+  };
+
   /**
    * Show retry alert with specific error message
    * Enhanced to provide granular error feedback and retry capability
@@ -585,6 +1139,22 @@ export default function TrackerScreen({ navigation }) {
       "Round Submission Failed",
       `${errorMessage}\n\nWould you like to try again? Your round data is safely stored locally.`,
       [
+        {
+          text: "Sync Later",
+          onPress: async () => {
+            // Queue the round so it syncs once the connection is back
+            console.log("User chose to sync round later");
+            try {
+              setLoading(true);
+              const storedDataStr = await AsyncStorage.getItem(`round_${round.id}_holes`);
+              await queueRoundForSync(storedDataStr ? JSON.parse(storedDataStr) : {});
+            } catch (error) {
+              console.error("Error queueing round for sync:", error);
+              setIsCompleting(false);
+              setLoading(false);
+            }
+          }
+        },
         { 
           text: "Cancel", 
           style: "cancel",
@@ -606,11 +1176,20 @@ export default function TrackerScreen({ navigation }) {
     );
   };
 
-  // Calculate total score for current hole
-  const currentHoleScore = holeData[currentHole]?.shots?.length || 0;
+  // Quick score rounds record a score per hole instead of every shot
+  const isQuickScore = round?.tracking_mode === "quick";
+
+  // Calculate total score for current hole - shots plus penalty strokes
+  const currentHoleScore = getHoleStrokes(holeData[currentHole]);
   const currentHolePar = holeData[currentHole]?.par || 0;
   const scoreRelativeToPar = currentHoleScore - currentHolePar;
   
+  // Handicap strokes on this hole, worked out from the playing handicap at tee selection
+  const currentHoleStrokes = course?.handicapStrokes?.[currentHole] ?? null;
+  const currentHoleNet = currentHoleStrokes !== null && currentHoleScore > 0
+    ? currentHoleScore - currentHoleStrokes
+    : null;
+  
   // Add color-coding helper function for score display
   const getScoreColor = () => {
     if (scoreRelativeToPar < 0) return theme.colors.success; // Under par (good)
@@ -625,17 +1204,54 @@ export default function TrackerScreen({ navigation }) {
         <View style={styles.navigatorContainer}>
           <HoleNavigator
             currentHole={currentHole}
+            holePosition={holePosition}
             onPreviousHole={handlePreviousHole}
             onNextHole={handleNextHole}
             totalHoles={totalHoles}
           />
         </View>
 
+        {/* Hole detected from GPS - offered, or already moved to with undo */}
+        {detectedHole && holeDetectionMode === HOLE_DETECTION_MODES.SUGGEST && (
+          <View style={styles.detectionBanner}>
+            <Ionicons name="locate" size={16} color={theme.colors.primary} />
+            <Typography variant="caption" style={styles.detectionText}>
+              Looks like you're on hole {detectedHole}
+            </Typography>
+            <TouchableOpacity onPress={() => goToHole(detectedHole)} style={styles.detectionAction}>
+              <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+                Go
+              </Typography>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleDismissDetectedHole} accessibilityLabel="Dismiss">
+              <Ionicons name="close" size={18} color="#999" />
+            </TouchableOpacity>
+          </View>
+        )}
+        {autoMove && autoMove.to === currentHole && (
+          <View style={styles.detectionBanner}>
+            <Ionicons name="locate" size={16} color={theme.colors.primary} />
+            <Typography variant="caption" style={styles.detectionText}>
+              Moved to hole {autoMove.to} from your position
+            </Typography>
+            <TouchableOpacity onPress={handleUndoAutoMove} style={styles.detectionAction}>
+              <Typography variant="caption" weight="semibold" color={theme.colors.primary}>
+                Undo
+              </Typography>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setAutoMove(null)} accessibilityLabel="Dismiss">
+              <Ionicons name="close" size={18} color="#999" />
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* 2. Integrated Hole Info + Score - NEW COMPONENT */}
         <View style={styles.holeInfoContainer}>
           <View style={styles.holeDetailsSection}>
             <Typography variant="body" style={styles.holeInfoText}>
               Hole {currentHole} • Par {holeData[currentHole]?.par || "?"} • {holeData[currentHole]?.distance || "?"} yds
+              {currentHoleStrokes > 0 ? ` • ${currentHoleStrokes} ${currentHoleStrokes === 1 ? "stroke" : "strokes"}` : ""}
+              {currentHoleStrokes < 0 ? ` • gives ${-currentHoleStrokes} back` : ""}
             </Typography>
             
             <View style={styles.scoreIndicator}>
@@ -647,6 +1263,11 @@ export default function TrackerScreen({ navigation }) {
               >
                 {currentHoleScore}
               </Typography>
+              {currentHoleNet !== null && (
+                <Typography variant="caption" style={styles.netScoreText}>
+                  Net {currentHoleNet}
+                </Typography>
+              )}
             </View>
           </View>
         </View>
@@ -665,18 +1286,130 @@ export default function TrackerScreen({ navigation }) {
             <DistanceIndicator 
               holeData={holeData[currentHole]} 
               active={true} // Always keep GPS active regardless of loading state
+              onLocationUpdate={handleLocationUpdate}
+              clubStats={clubMode ? clubStats : null}
+              bag={clubMode ? bag : null}
+              onClubSuggestion={setSuggestedClub}
+              batterySaver={batterySaver}
             />
             
-            {/* 4. Shot Table - MAINTAINED POSITION BUT EXPANDED HEIGHT */}
-            <View style={styles.tableContainer}>
-              <ShotTable
-                shotCounts={holeData[currentHole].shotCounts}
-                activeColumn={activeColumn}
-                setActiveColumn={setActiveColumn}
-                addShot={addShot}
-                removeShot={removeShot}
+            {/* Slower GPS updates to last the round */}
+            <View style={styles.toggleRow}>
+              <Typography variant="body">Battery saver</Typography>
+              <Switch
+                value={batterySaver}
+                onValueChange={toggleBatterySaver}
+                trackColor={{ true: theme.colors.primary }}
+              />
+            </View>
+            
+            {/* Optional drawn map of the hole */}
+            <View style={styles.toggleRow}>
+              <Typography variant="body">Hole map</Typography>
+              <Switch
+                value={mapMode}
+                onValueChange={toggleMapMode}
+                trackColor={{ true: theme.colors.primary }}
               />
             </View>
+            {mapMode && (
+              <HoleMap
+                holeData={holeData[currentHole]}
+                position={mapPosition}
+              />
+            )}
+            
+            {/* Playing partners scored on this phone */}
+            <PlayerSwitcher
+              partners={partners}
+              activePlayerId={activePlayerId}
+              currentHole={currentHole}
+              currentPar={holeData[currentHole]?.par}
+              onSelectPlayer={setActivePlayerId}
+              onAddPartner={handleAddPartner}
+              onRemovePartner={handleRemovePartner}
+              onUpdateScore={handleUpdatePartnerScore}
+              onUpdateHandicap={handleUpdatePartnerHandicap}
+            />
+            
+            {activePlayerId !== ME ? null : isQuickScore ? (
+              <QuickScoreGrid
+                holes={holeSequence.map(holeNum => ({
+                  number: holeNum,
+                  par: holeData[holeNum]?.par,
+                  quickScore: holeData[holeNum]?.quickScore
+                }))}
+                currentHole={currentHole}
+                onSelectHole={setCurrentHole}
+                onUpdateHole={handleUpdateQuickScore}
+              />
+            ) : (
+              <>
+                {/* Optional club picker for the next shot */}
+                {clubMode && (
+                  <ClubPicker
+                    bag={bag}
+                    selectedClub={selectedClub}
+                    suggestedClub={suggestedClub}
+                    onSelectClub={setSelectedClub}
+                  />
+                )}
+
+                {/* 4. Shot Table - MAINTAINED POSITION BUT EXPANDED HEIGHT */}
+                <View style={styles.tableContainer}>
+                  <ShotTable
+                    shotCounts={holeData[currentHole]?.shotCounts}
+                    activeColumn={activeColumn}
+                    setActiveColumn={setActiveColumn}
+                    addShot={addShot}
+                    removeShot={removeShot}
+                  />
+                </View>
+
+                {/* Optional club tagging */}
+                <View style={styles.toggleRow}>
+                  <Typography variant="body">Club selection</Typography>
+                  <Switch
+                    value={clubMode}
+                    onValueChange={toggleClubMode}
+                    trackColor={{ true: theme.colors.primary }}
+                  />
+                </View>
+
+                {/* Optional putting detail */}
+                <View style={styles.toggleRow}>
+                  <Typography variant="body">Putting detail</Typography>
+                  <Switch
+                    value={puttingMode}
+                    onValueChange={togglePuttingMode}
+                    trackColor={{ true: theme.colors.primary }}
+                  />
+                </View>
+                {puttingMode && (
+                  <PuttingPanel
+                    shots={holeData[currentHole]?.shots}
+                    onUpdatePutt={handleUpdatePutt}
+                  />
+                )}
+
+                {/* Shot list editor with undo/redo */}
+                <ShotListEditor
+                  shots={holeData[currentHole]?.shots}
+                  penalties={holeData[currentHole]?.penalties}
+                  shotDistances={getShotDistances(holeData[currentHole])}
+                  bag={clubMode ? bag : null}
+                  onUpdateShot={handleUpdateShot}
+                  onInsertShot={handleInsertShot}
+                  onDeleteShot={handleDeleteShot}
+                  onAddPenalty={handleAddPenalty}
+                  onRemovePenalty={handleRemovePenalty}
+                  onUndo={handleUndo}
+                  onRedo={handleRedo}
+                  canUndo={shotHistory[currentHole]?.past.length > 0}
+                  canRedo={shotHistory[currentHole]?.future.length > 0}
+                />
+              </>
+            )}
             
             {/* 5. Action Button - MAINTAINED POSITION */}
             <View style={styles.buttonContainer}>
@@ -684,10 +1417,10 @@ export default function TrackerScreen({ navigation }) {
                 variant="primary"
                 size="large"
                 fullWidth
-                onPress={currentHole === totalHoles ? finishRound : completeHole}
+                onPress={isLastHole || isQuickScore ? finishRound : completeHole}
                 loading={loading}
               >
-                {currentHole === totalHoles ? "Complete Round" : "Complete Hole"}
+                {isLastHole || isQuickScore ? "Complete Round" : "Complete Hole"}
               </Button>
             </View>
           </View>
@@ -712,6 +1445,24 @@ const styles = StyleSheet.create({
     marginBottom: 6,
     alignItems: 'center',
   },
+  detectionBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#eef5ff',
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 6,
+  },
+  detectionText: {
+    flex: 1,
+    marginLeft: 6,
+    color: '#444',
+  },
+  detectionAction: {
+    paddingHorizontal: 10,
+    paddingVertical: 2,
+  },
   holeInfoContainer: {
     marginBottom: 12,
     backgroundColor: '#f8f8f8',
@@ -735,6 +1486,9 @@ const styles = StyleSheet.create({
   scoreText: {
     fontSize: 18,
   },
+  netScoreText: {
+    color: '#666',
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: "center",
@@ -754,6 +1508,13 @@ const styles = StyleSheet.create({
     width: '100%',
     marginBottom: 12,
   },
+  toggleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    marginBottom: 8,
+  },
   buttonContainer: {
     marginBottom: theme.spacing.medium,
     paddingHorizontal: theme.spacing.medium,
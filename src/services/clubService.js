@@ -0,0 +1,271 @@
+// src/services/clubService.js
+//
+// The player's bag and per-club distances.
+// The bag (up to 14 clubs) is stored on the profile and cached on the device
+// so the tracker can offer it without a connection. Shots record the club
+// used, and completed rounds build each club's average distance and
+// dispersion, which the tracker uses to suggest a club for a yardage.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+
+const BAG_CACHE_KEY = "clubBag";
+const CLUB_STATS_CACHE_KEY = "clubStats";
+
+// Rules of golf limit - a player may carry at most 14 clubs
+export const MAX_BAG_SIZE = 14;
+
+// A club needs this many measured shots before its average is used for suggestions
+const MIN_SHOTS_FOR_SUGGESTION = 3;
+
+// Completed rounds used to build club distances
+const CLUB_STATS_ROUNDS = 20;
+
+/**
+ * Every club the player can put in their bag, longest first
+ */
+export const CLUBS = [
+  { id: "driver", label: "Driver", shortLabel: "Dr" },
+  { id: "3w", label: "3 Wood", shortLabel: "3W" },
+  { id: "5w", label: "5 Wood", shortLabel: "5W" },
+  { id: "7w", label: "7 Wood", shortLabel: "7W" },
+  { id: "2h", label: "2 Hybrid", shortLabel: "2H" },
+  { id: "3h", label: "3 Hybrid", shortLabel: "3H" },
+  { id: "4h", label: "4 Hybrid", shortLabel: "4H" },
+  { id: "5h", label: "5 Hybrid", shortLabel: "5H" },
+  { id: "2i", label: "2 Iron", shortLabel: "2i" },
+  { id: "3i", label: "3 Iron", shortLabel: "3i" },
+  { id: "4i", label: "4 Iron", shortLabel: "4i" },
+  { id: "5i", label: "5 Iron", shortLabel: "5i" },
+  { id: "6i", label: "6 Iron", shortLabel: "6i" },
+  { id: "7i", label: "7 Iron", shortLabel: "7i" },
+  { id: "8i", label: "8 Iron", shortLabel: "8i" },
+  { id: "9i", label: "9 Iron", shortLabel: "9i" },
+  { id: "pw", label: "Pitching Wedge", shortLabel: "PW" },
+  { id: "gw", label: "Gap Wedge", shortLabel: "GW" },
+  { id: "sw", label: "Sand Wedge", shortLabel: "SW" },
+  { id: "lw", label: "Lob Wedge", shortLabel: "LW" },
+  { id: "putter", label: "Putter", shortLabel: "Pt" }
+];
+
+const CLUBS_BY_ID = CLUBS.reduce((byId, club) => ({ ...byId, [club.id]: club }), {});
+
+/**
+ * A typical set for players who haven't set up their bag
+ */
+export const DEFAULT_BAG = ["driver", "3w", "5h", "5i", "6i", "7i", "8i", "9i", "pw", "gw", "sw", "lw", "putter"];
+
+/**
+ * Look up a club by id
+ *
+ * @param {string} clubId - Club id, e.g. "7i"
+ * @returns {Object|null} { id, label, shortLabel }
+ */
+export const getClub = (clubId) => CLUBS_BY_ID[clubId] || null;
+
+/**
+ * Put club ids in bag order (longest first) and drop unknown ids
+ */
+const sortBag = (clubIds) =>
+  CLUBS.map(club => club.id).filter(id => clubIds.includes(id));
+
+/**
+ * Get the player's bag
+ * Falls back to the cached bag when offline, then to the default set.
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<Array>} Club ids, longest first
+ */
+export const getBag = async (profile_id) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("bag")
+      .eq("id", profile_id)
+      .single();
+
+    if (error) throw error;
+
+    const bag = Array.isArray(data?.bag) && data.bag.length > 0 ? sortBag(data.bag) : DEFAULT_BAG;
+    await AsyncStorage.setItem(BAG_CACHE_KEY, JSON.stringify(bag));
+    return bag;
+  } catch (error) {
+    console.warn("[clubService] Could not load bag, using cached bag:", error.message);
+    const cached = await AsyncStorage.getItem(BAG_CACHE_KEY);
+    return cached ? JSON.parse(cached) : DEFAULT_BAG;
+  }
+};
+
+/**
+ * Save the player's bag
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @param {Array} clubIds - Club ids in the bag
+ * @returns {Promise<Array>} The saved bag, longest first
+ */
+export const saveBag = async (profile_id, clubIds) => {
+  const bag = sortBag(clubIds);
+  if (bag.length > MAX_BAG_SIZE) {
+    throw new Error(`A bag can hold at most ${MAX_BAG_SIZE} clubs`);
+  }
+
+  const { error } = await supabase
+    .from("profiles")
+    .update({
+      bag,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", profile_id);
+
+  if (error) {
+    throw new Error(`Failed to save bag: ${error.message}`);
+  }
+
+  await AsyncStorage.setItem(BAG_CACHE_KEY, JSON.stringify(bag));
+  return bag;
+};
+
+/**
+ * Get how far a shot travelled, in yards
+ *
+ * Uses the GPS-measured distance when there is one. Otherwise, when the
+ * shot and the next one both have a distance to the hole (GPS or entered
+ * manually), the difference between them is used.
+ *
+ * @param {Object} hole - Hole data with shots
+ * @param {number} index - Index of the shot
+ * @returns {number|null} Yards, or null when it can't be worked out
+ */
+export const getShotLength = (hole, index) => {
+  const shot = hole?.shots?.[index];
+  if (!shot || shot.type === "Putts") return null;
+  if (shot.distance) return shot.distance;
+
+  const nextShot = hole.shots[index + 1];
+  if (!shot.distanceToHole || !nextShot) return null;
+
+  // A putt's distance is in feet
+  const nextDistance = nextShot.type === "Putts"
+    ? (nextShot.putt?.distance ? nextShot.putt.distance / 3 : null)
+    : nextShot.distanceToHole;
+
+  if (nextDistance === null || nextDistance === undefined) return null;
+
+  const length = Math.round(shot.distanceToHole - nextDistance);
+  return length > 0 ? length : null;
+};
+
+/**
+ * Build per-club distances from hole data
+ *
+ * Dispersion is the standard deviation of the club's measured distances -
+ * how consistent its distance is from shot to shot.
+ *
+ * @param {Array} holes - Hole data from one or more rounds
+ * @returns {Object} Keyed by club id: { shots, measured, averageDistance, dispersion, onTargetRate }
+ */
+export const calculateClubStats = (holes) => {
+  const byClub = {};
+
+  (holes || []).forEach(hole => {
+    (hole?.shots || []).forEach((shot, index) => {
+      if (!shot.club) return;
+
+      const club = byClub[shot.club] || (byClub[shot.club] = { shots: 0, onTarget: 0, distances: [] });
+      club.shots++;
+      if (shot.result === "On Target") club.onTarget++;
+
+      const length = getShotLength(hole, index);
+      if (length !== null) club.distances.push(length);
+    });
+  });
+
+  const stats = {};
+  Object.entries(byClub).forEach(([clubId, club]) => {
+    const measured = club.distances.length;
+    const average = measured > 0
+      ? club.distances.reduce((sum, distance) => sum + distance, 0) / measured
+      : null;
+    const variance = measured > 1
+      ? club.distances.reduce((sum, distance) => sum + Math.pow(distance - average, 2), 0) / (measured - 1)
+      : null;
+
+    stats[clubId] = {
+      shots: club.shots,
+      measured,
+      averageDistance: average !== null ? Math.round(average) : null,
+      dispersion: variance !== null ? Math.round(Math.sqrt(variance)) : null,
+      onTargetRate: Math.round((club.onTarget / club.shots) * 100)
+    };
+  });
+
+  return stats;
+};
+
+/**
+ * Fetch per-club distances from the player's recent completed rounds,
+ * leaving out rounds excluded from stats
+ * Falls back to the last cached result when offline.
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<Object>} Result of calculateClubStats
+ */
+export const fetchClubStats = async (profile_id) => {
+  try {
+    const { data: rounds, error: roundsError } = await supabase
+      .from("rounds")
+      .select("id")
+      .eq("profile_id", profile_id)
+      .eq("is_complete", true)
+      .not("exclude_from_stats", "is", true)
+      .order("created_at", { ascending: false })
+      .limit(CLUB_STATS_ROUNDS);
+
+    if (roundsError) throw roundsError;
+    if (!rounds || rounds.length === 0) return {};
+
+    const { data: holes, error: holesError } = await supabase
+      .from("shots")
+      .select("hole_data")
+      .in("round_id", rounds.map(round => round.id));
+
+    if (holesError) throw holesError;
+
+    const stats = calculateClubStats((holes || []).map(hole => hole.hole_data));
+    await AsyncStorage.setItem(CLUB_STATS_CACHE_KEY, JSON.stringify(stats));
+    return stats;
+  } catch (error) {
+    console.warn("[clubService] Could not load club stats, using cached stats:", error.message);
+    const cached = await AsyncStorage.getItem(CLUB_STATS_CACHE_KEY);
+    return cached ? JSON.parse(cached) : {};
+  }
+};
+
+/**
+ * Suggest the club whose average distance is closest to a yardage
+ * Only clubs in the bag with enough measured shots are considered.
+ *
+ * @param {number} distance - Yards to the target
+ * @param {Object} clubStats - Result of calculateClubStats
+ * @param {Array} bag - Club ids in the bag
+ * @returns {Object|null} { club, averageDistance, dispersion } or null when no club qualifies
+ */
+export const suggestClub = (distance, clubStats, bag) => {
+  if (!distance || !clubStats) return null;
+
+  let best = null;
+  (bag || []).forEach(clubId => {
+    const stats = clubStats[clubId];
+    if (clubId === "putter" || !stats || stats.measured < MIN_SHOTS_FOR_SUGGESTION) return;
+
+    const gap = Math.abs(stats.averageDistance - distance);
+    if (!best || gap < best.gap) {
+      best = { club: getClub(clubId), averageDistance: stats.averageDistance, dispersion: stats.dispersion, gap };
+    }
+  });
+
+  if (!best) return null;
+
+  const { gap, ...suggestion } = best;
+  return suggestion;
+};
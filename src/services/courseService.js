@@ -176,6 +176,7 @@ export const getRecentCourses = async (userId, limit = 5) => {
         .select('course_id, created_at')
         .eq('profile_id', userId)
         .eq('is_complete', true)
+        .not('exclude_from_stats', 'is', true) // Rounds excluded from stats don't count as recent play
         .order('created_at', { ascending: false });
       
       if (roundsError) {
@@ -0,0 +1,327 @@
+// src/services/geoService.js
+//
+// Distance helpers for GPS positions and course POI data.
+// Used by DistanceIndicator for live distances to the green and hazards, and
+// by the tracker to measure how far each shot went from the positions
+// recorded when shots were logged. Hole detection measures how far the
+// player is from each hole, and HoleMap draws holes with the projection at
+// the bottom of the file.
+
+// Earth's radius in km converted to yards
+const EARTH_RADIUS_YARDS = 6371 * 1093.61;
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Calculate the distance between two coordinates using the Haversine formula
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in yards, rounded to the nearest yard
+ */
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return Math.round(EARTH_RADIUS_YARDS * c);
+};
+
+/**
+ * Calculate the distance between two { lat, lng } positions
+ *
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number|null} Distance in yards, or null when either position is missing
+ */
+export const getDistanceBetween = (from, to) => {
+  if (!from || !to) return null;
+  return calculateDistance(from.lat, from.lng, to.lat, to.lng);
+};
+
+// A POI point's position, with its elevation in metres when the course data has one
+const toCoordinate = (point) => (typeof point.elevation === "number"
+  ? { lat: point.lat, lng: point.lng, elevation: point.elevation }
+  : { lat: point.lat, lng: point.lng });
+
+/**
+ * Find the front, centre and back of the green from a hole's POI data
+ *
+ * @param {Object} hole - Hole data with poi.greens
+ * @returns {Object} { center, front, back } - each { lat, lng, elevation? } or null
+ */
+export const getGreenCoordinates = (hole) => {
+  let center = null;
+  let front = null;
+  let back = null;
+
+  if (hole?.poi?.greens && Array.isArray(hole.poi.greens)) {
+    hole.poi.greens.forEach(greenPoi => {
+      if (greenPoi.location === "center" || greenPoi.location === "middle") {
+        center = toCoordinate(greenPoi);
+      } else if (greenPoi.location === "front") {
+        front = toCoordinate(greenPoi);
+      } else if (greenPoi.location === "back") {
+        back = toCoordinate(greenPoi);
+      }
+    });
+
+    // If we only have one coordinate, use it for all positions
+    if (center && !front && !back) {
+      front = center;
+      back = center;
+    } else if (!center && front && back) {
+      // If we have front and back but no center, estimate center
+      center = toCoordinate({
+        lat: (front.lat + back.lat) / 2,
+        lng: (front.lng + back.lng) / 2,
+        elevation: front.elevation !== undefined && back.elevation !== undefined
+          ? (front.elevation + back.elevation) / 2
+          : undefined
+      });
+    }
+  }
+
+  return { center, front, back };
+};
+
+/**
+ * Measure how far each shot on a hole travelled
+ *
+ * A shot's distance is from where it was played to where the next shot was
+ * played. When the next shot is a putt, or there is no next shot, the ball is
+ * taken to have finished on the green, so the distance is to the centre of the
+ * green. Putts aren't measured here - their length is in putt.distance.
+ *
+ * @param {Object} hole - Hole data with shots (each with an optional position) and poi
+ * @returns {Array} Yards for each shot, or null when a position is missing
+ */
+export const getShotDistances = (hole) => {
+  const shots = hole?.shots || [];
+  const { center } = getGreenCoordinates(hole);
+
+  return shots.map((shot, index) => {
+    if (shot.type === "Putts" || !shot.position) {
+      return null;
+    }
+
+    const nextShot = shots[index + 1];
+    const endsOnGreen = !nextShot || nextShot.type === "Putts";
+
+    return endsOnGreen
+      ? getDistanceBetween(shot.position, center)
+      : getDistanceBetween(shot.position, nextShot.position);
+  });
+};
+
+/**
+ * Distance from a position to the nearest point of the line between two others
+ *
+ * Worked on a flat plane around the position, which is close enough over the
+ * length of a golf hole.
+ *
+ * @param {Object} position - { lat, lng }
+ * @param {Object} start - { lat, lng } at one end of the line
+ * @param {Object} end - { lat, lng } at the other end
+ * @returns {number|null} Distance in yards, or null when a position is missing
+ */
+export const getDistanceToLine = (position, start, end) => {
+  if (!position || !start) return null;
+  if (!end) return getDistanceBetween(position, start);
+
+  // Offsets from the position in yards
+  const lngScale = Math.cos(toRadians(position.lat));
+  const toYards = (point) => ({
+    x: toRadians(point.lng - position.lng) * EARTH_RADIUS_YARDS * lngScale,
+    y: toRadians(point.lat - position.lat) * EARTH_RADIUS_YARDS
+  });
+  const a = toYards(start);
+  const b = toYards(end);
+
+  // Nearest point on the line, kept between its ends
+  const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(a.x * (b.x - a.x) + a.y * (b.y - a.y)) / lengthSquared));
+
+  return Math.round(Math.hypot(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y)));
+};
+
+// Hazards more than this far behind the player (relative to the green) are left off the list
+const HAZARD_BEHIND_MARGIN_YARDS = 10;
+
+/**
+ * Describe a hazard for the hazard list
+ *
+ * @param {string} kind - "bunker" or "water"
+ * @param {Object} point - POI entry with optional side and type
+ * @returns {string} e.g. "Left fairway bunker", "Greenside bunker", "Water"
+ */
+const getHazardLabel = (kind, point) => {
+  if (kind === "water") return "Water";
+
+  const side = point.side && point.side !== "center"
+    ? `${point.side.charAt(0).toUpperCase()}${point.side.slice(1)} `
+    : "";
+  const label = point.type === "green" ? "greenside bunker" : "fairway bunker";
+  return side ? `${side}${label}` : `${label.charAt(0).toUpperCase()}${label.slice(1)}`;
+};
+
+/**
+ * Distances to the bunkers and water on a hole
+ *
+ * POI points for the same bunker (same type and side) are grouped, as are
+ * all the water points on the hole. Reach is the distance to the nearest
+ * point of the hazard and carry to the furthest. Points behind the player
+ * are left out.
+ *
+ * @param {Object} hole - Hole data with poi.bunkers, poi.hazards and poi.greens
+ * @param {Object} position - Player's { lat, lng }
+ * @returns {Array} { id, label, kind, reach, carry } sorted by reach
+ */
+export const getHoleHazards = (hole, position) => {
+  if (!hole?.poi || !position) return [];
+
+  const { center } = getGreenCoordinates(hole);
+  const playerToGreen = getDistanceBetween(position, center);
+  // Keep points between the player and the back of the green
+  const isAhead = (point) => playerToGreen === null
+    || getDistanceBetween(point, center) <= playerToGreen + HAZARD_BEHIND_MARGIN_YARDS;
+
+  const groups = new Map();
+  const addPoint = (kind, point) => {
+    if (!isAhead(point)) return;
+
+    const id = kind === "water" ? "water" : `bunker-${point.type || "fairway"}-${point.side || "center"}`;
+    if (!groups.has(id)) {
+      groups.set(id, { id, kind, label: getHazardLabel(kind, point), distances: [] });
+    }
+    groups.get(id).distances.push(getDistanceBetween(position, point));
+  };
+
+  (hole.poi.bunkers || []).forEach(point => addPoint("bunker", point));
+  (hole.poi.hazards || [])
+    .filter(point => point.type === "water")
+    .forEach(point => addPoint("water", point));
+
+  return [...groups.values()]
+    .map(group => ({
+      id: group.id,
+      label: group.label,
+      kind: group.kind,
+      reach: Math.min(...group.distances),
+      carry: Math.max(...group.distances)
+    }))
+    .sort((a, b) => a.reach - b.reach);
+};
+
+/**
+ * Where the player measures from when there's no GPS fix - the back tee, or
+ * the front tee when that's all the course has
+ *
+ * @param {Object} hole - Hole data with poi.tees
+ * @returns {Object|null} { lat, lng, elevation? }
+ */
+export const getTeePosition = (hole) => {
+  const tees = hole?.poi?.tees || [];
+  const tee = tees.find(point => point.location === "back") || tees[0];
+  return tee ? toCoordinate(tee) : null;
+};
+
+// Yards per degree of latitude
+const YARDS_PER_DEGREE = EARTH_RADIUS_YARDS * Math.PI / 180;
+
+// Smallest area a hole map covers, so a hole with few POI points isn't drawn huge
+const MIN_MAP_SPAN_YARDS = 60;
+
+/**
+ * Project a hole onto a width x height drawing, tee at the bottom and green at the top
+ *
+ * Positions are laid out in yards around the tee (flat-earth, which is close
+ * enough over a golf hole), rotated so the line from the tee to the centre of
+ * the green points up, then scaled to fit every POI point and any extra
+ * positions given.
+ *
+ * @param {Object} hole - Hole data with poi
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @param {Array} extraPositions - Other { lat, lng } to fit, e.g. shot positions
+ * @param {number} padding - Space kept clear around the edge
+ * @returns {Object|null} { toPoint(position) => { x, y }, toPosition({ x, y }) => { lat, lng }, yardsToPixels },
+ *   or null when the hole has no POI data
+ */
+export const createHoleProjection = (hole, width, height, extraPositions = [], padding = 16) => {
+  const poi = hole?.poi || {};
+  const positions = [
+    ...(poi.tees || []),
+    ...(poi.greens || []),
+    ...(poi.bunkers || []),
+    ...(poi.hazards || []),
+    ...extraPositions
+  ].filter(point => point && typeof point.lat === "number" && typeof point.lng === "number");
+
+  if (positions.length === 0) return null;
+
+  const origin = getTeePosition(hole) || positions[0];
+  const { center } = getGreenCoordinates(hole);
+  const lngScale = Math.cos(toRadians(origin.lat));
+
+  // Offsets from the tee in yards
+  const toYards = (position) => ({
+    east: (position.lng - origin.lng) * YARDS_PER_DEGREE * lngScale,
+    north: (position.lat - origin.lat) * YARDS_PER_DEGREE
+  });
+
+  // Bearing of the green from the tee, clockwise from north
+  const greenOffset = center ? toYards(center) : { east: 0, north: 1 };
+  const bearing = Math.atan2(greenOffset.east, greenOffset.north);
+  const sin = Math.sin(bearing);
+  const cos = Math.cos(bearing);
+
+  // across is yards right of the tee-green line, along is yards towards the green
+  const toHoleAxes = (position) => {
+    const { east, north } = toYards(position);
+    return { across: east * cos - north * sin, along: east * sin + north * cos };
+  };
+
+  const axes = positions.map(toHoleAxes);
+  const acrossValues = axes.map(point => point.across);
+  const alongValues = axes.map(point => point.along);
+  const midAcross = (Math.min(...acrossValues) + Math.max(...acrossValues)) / 2;
+  const midAlong = (Math.min(...alongValues) + Math.max(...alongValues)) / 2;
+  const acrossSpan = Math.max(Math.max(...acrossValues) - Math.min(...acrossValues), MIN_MAP_SPAN_YARDS);
+  const alongSpan = Math.max(Math.max(...alongValues) - Math.min(...alongValues), MIN_MAP_SPAN_YARDS);
+  const yardsToPixels = Math.min(
+    Math.max(width - padding * 2, 1) / acrossSpan,
+    Math.max(height - padding * 2, 1) / alongSpan
+  );
+
+  const toPoint = (position) => {
+    const { across, along } = toHoleAxes(position);
+    return {
+      x: width / 2 + (across - midAcross) * yardsToPixels,
+      y: height / 2 - (along - midAlong) * yardsToPixels
+    };
+  };
+
+  const toPosition = ({ x, y }) => {
+    const across = (x - width / 2) / yardsToPixels + midAcross;
+    const along = midAlong - (y - height / 2) / yardsToPixels;
+    const east = across * cos + along * sin;
+    const north = along * cos - across * sin;
+    return {
+      lat: origin.lat + north / YARDS_PER_DEGREE,
+      lng: origin.lng + east / (YARDS_PER_DEGREE * lngScale)
+    };
+  };
+
+  return { toPoint, toPosition, yardsToPixels };
+};
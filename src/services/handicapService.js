@@ -0,0 +1,413 @@
+// src/services/handicapService.js
+//
+// World Handicap System index from the player's completed rounds.
+//
+// Each 18-hole round gets a score differential:
+//   (113 / slope) x (adjusted gross score - course rating)
+// where the adjusted gross caps every hole at net double bogey - par + 2 +
+// the handicap strokes received on the hole. Players without an index yet
+// are capped at par + 5. The handicap index is the average of the lowest
+// differentials among the most recent 20 (the best 8 of 20 once there are
+// enough rounds), with the WHS adjustments for short records.
+//
+// Ratings and slopes come from the tee played in courses.tees, for the tee
+// set (men's or women's) the round was played from. Rounds with
+// fewer than 18 holes, no tee rating or a hole without a score are left out,
+// as are rounds the player has excluded from stats.
+// The playing conditions calculation is not applied.
+//
+// Before a round, the index becomes a course handicap for the tee, and a
+// playing handicap after the format's allowance. Rounds shorter than 18
+// holes use the matching share of the course handicap. The playing handicap
+// is spread over the holes played by stroke index.
+
+import { supabase } from "./supabase";
+import {
+  SCORING_FORMATS,
+  getHandicapStrokesByHole,
+  getHolePar,
+  getHoleStrokeIndex
+} from "./scoringFormatService";
+
+// Handicap index when the player chooses to enter it themselves
+export const HANDICAP_SOURCES = {
+  CALCULATED: "calculated",
+  MANUAL: "manual"
+};
+
+// Tee set on profiles.tee_gender - picks the par, stroke index and rating used
+export const TEE_GENDERS = {
+  MEN: "men",
+  WOMEN: "women"
+};
+
+// Most recent rounds the index is calculated from
+export const DIFFERENTIALS_WINDOW = 20;
+
+// Rounds needed before an index can be calculated
+export const MIN_ROUNDS_FOR_INDEX = 3;
+
+const MAX_HANDICAP_INDEX = 54;
+const STANDARD_SLOPE = 113;
+
+// Share of the course handicap used in each format (WHS recommended allowances)
+export const HANDICAP_ALLOWANCES = {
+  [SCORING_FORMATS.STROKE_PLAY]: 0.95,
+  [SCORING_FORMATS.STABLEFORD_NET]: 0.95,
+  [SCORING_FORMATS.STABLEFORD_GROSS]: 0,
+  [SCORING_FORMATS.MATCH_PLAY]: 1,
+  [SCORING_FORMATS.SKINS]: 1
+};
+
+// Rounds fetched for the history - enough for a full window behind each point
+const HISTORY_ROUNDS = DIFFERENTIALS_WINDOW * 2;
+
+// Differentials used and adjustment, by number of rounds on record
+const DIFFERENTIALS_USED = [
+  { rounds: 3, used: 1, adjustment: -2 },
+  { rounds: 4, used: 1, adjustment: -1 },
+  { rounds: 5, used: 1, adjustment: 0 },
+  { rounds: 6, used: 2, adjustment: -1 },
+  { rounds: 8, used: 2, adjustment: 0 },
+  { rounds: 11, used: 3, adjustment: 0 },
+  { rounds: 14, used: 4, adjustment: 0 },
+  { rounds: 16, used: 5, adjustment: 0 },
+  { rounds: 18, used: 6, adjustment: 0 },
+  { rounds: 19, used: 7, adjustment: 0 },
+  { rounds: 20, used: 8, adjustment: 0 }
+];
+
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Get the rating and slope for a tee
+ *
+ * @param {Object} course - Course record with tees
+ * @param {string} teeId - Selected tee id
+ * @param {string} teeName - Selected tee name, used when the id doesn't match
+ * @param {string} gender - "men" or "women"
+ * @returns {Object|null} { courseRating, slope } or null when the tee isn't rated for that tee set
+ */
+export const getTeeRating = (course, teeId, teeName, gender = "men") => {
+  const tees = course?.tees || [];
+  const tee = tees.find(candidate => String(candidate.id) === String(teeId))
+    || tees.find(candidate => candidate.name === teeName);
+  if (!tee) return null;
+
+  // Another tee set's rating would give the wrong course handicap
+  const courseRating = tee[`course_rating_${gender}`];
+  const slope = tee[`slope_${gender}`];
+  if (!courseRating || !slope) return null;
+
+  return { courseRating, slope };
+};
+
+/**
+ * Course handicap - the strokes a player receives from a tee
+ *
+ * @param {number} handicapIndex - The player's handicap index
+ * @param {number} slope - Slope rating of the tee
+ * @param {number} courseRating - Course rating of the tee
+ * @param {number} par - Par for the full course
+ * @param {number} holeShare - Share of the course being played, e.g. 0.5 for nine holes
+ * @returns {number|null} Whole strokes, or null without an index
+ */
+export const getCourseHandicap = (handicapIndex, slope, courseRating, par, holeShare = 1) => {
+  if (handicapIndex === null || handicapIndex === undefined || !slope) return null;
+  return Math.round((handicapIndex * (slope / STANDARD_SLOPE) + ((courseRating || par) - par)) * holeShare);
+};
+
+/**
+ * Playing handicap - the course handicap after the format's allowance
+ *
+ * @param {number} courseHandicap - Result of getCourseHandicap
+ * @param {string} scoringFormat - One of SCORING_FORMATS
+ * @returns {number|null} Whole strokes
+ */
+export const getPlayingHandicap = (courseHandicap, scoringFormat = SCORING_FORMATS.STROKE_PLAY) => {
+  if (courseHandicap === null || courseHandicap === undefined) return null;
+  const allowance = HANDICAP_ALLOWANCES[scoringFormat] ?? 1;
+  return Math.round(courseHandicap * allowance);
+};
+
+/**
+ * Work out the handicap for a round before teeing off
+ *
+ * @param {Object} course - Course record with tees, holes and par
+ * @param {Object} tee - The tee being played
+ * @param {number} handicapIndex - The player's handicap index
+ * @param {Object} options
+ * @param {Array<number>} options.holeNumbers - Holes to be played
+ * @param {string} options.gender - "men" or "women" for par, stroke index and rating
+ * @param {string} options.scoringFormat - One of SCORING_FORMATS
+ * @returns {Object|null} { courseRating, slope, courseHandicap, playingHandicap, allowance, strokesByHole }
+ *                        or null when the tee isn't rated or there's no index
+ */
+export const calculateRoundHandicap = (course, tee, handicapIndex, options = {}) => {
+  const { holeNumbers = [], gender = "men", scoringFormat = SCORING_FORMATS.STROKE_PLAY } = options;
+  const rating = getTeeRating(course, tee?.id, tee?.name, gender);
+  if (!rating || handicapIndex === null || handicapIndex === undefined) return null;
+
+  const courseHoles = course?.holes || [];
+  const holeCount = courseHoles.length || 18;
+  // Ratings cover one 18-hole layout - a 27-hole course falls back to its listed par
+  const coursePar = courseHoles.length > 0 && courseHoles.length <= 18
+    ? courseHoles.reduce((sum, hole) => sum + (getHolePar(hole, gender) || 0), 0)
+    : (course?.par || 72);
+
+  const holeShare = holeNumbers.length > 0 ? Math.min(1, holeNumbers.length / Math.min(holeCount, 18)) : 1;
+  const courseHandicap = getCourseHandicap(handicapIndex, rating.slope, rating.courseRating, coursePar, holeShare);
+  const playingHandicap = getPlayingHandicap(courseHandicap, scoringFormat);
+
+  const holes = holeNumbers.map(number => ({
+    number,
+    index: getHoleStrokeIndex(courseHoles.find(hole => hole.number === number), gender)
+  }));
+
+  return {
+    ...rating,
+    courseHandicap,
+    playingHandicap,
+    allowance: HANDICAP_ALLOWANCES[scoringFormat] ?? 1,
+    strokesByHole: getHandicapStrokesByHole(holes, playingHandicap)
+  };
+};
+
+/**
+ * Cap a hole score at net double bogey
+ *
+ * @param {number} score - Gross strokes on the hole
+ * @param {number} par - Par for the hole
+ * @param {number|null} strokesReceived - Handicap strokes on the hole, null for a player without an index
+ * @returns {number} Adjusted hole score
+ */
+export const getAdjustedHoleScore = (score, par, strokesReceived) => {
+  const maximum = strokesReceived === null ? par + 5 : par + 2 + strokesReceived;
+  return Math.min(score, maximum);
+};
+
+/**
+ * Score differential for a round
+ *
+ * @param {number} adjustedGross - Gross score after net double bogey adjustment
+ * @param {number} courseRating - Course rating of the tee
+ * @param {number} slope - Slope rating of the tee
+ * @returns {number} Differential to one decimal place
+ */
+export const calculateScoreDifferential = (adjustedGross, courseRating, slope) =>
+  roundToTenth((STANDARD_SLOPE / slope) * (adjustedGross - courseRating));
+
+/**
+ * Work out a round's adjusted gross score and differential
+ *
+ * @param {Array} holes - { number, par, index, score } for every hole played
+ * @param {Object} rating - { courseRating, slope }
+ * @param {number|null} handicapIndex - The player's index before the round
+ * @returns {Object|null} { adjustedGross, grossScore, differential } or null when the round can't count
+ */
+export const calculateRoundDifferential = (holes, rating, handicapIndex) => {
+  if (!rating || holes.length < 18 || holes.some(hole => !hole.score || !hole.par)) {
+    return null;
+  }
+
+  const par = holes.reduce((sum, hole) => sum + hole.par, 0);
+  const courseHandicap = getCourseHandicap(handicapIndex, rating.slope, rating.courseRating, par);
+
+  const strokesByHole = courseHandicap === null ? null : getHandicapStrokesByHole(holes, courseHandicap);
+
+  let grossScore = 0;
+  let adjustedGross = 0;
+  holes.forEach(hole => {
+    const strokesReceived = strokesByHole ? strokesByHole[hole.number] : null;
+    grossScore += hole.score;
+    adjustedGross += getAdjustedHoleScore(hole.score, hole.par, strokesReceived);
+  });
+
+  return {
+    grossScore,
+    adjustedGross,
+    differential: calculateScoreDifferential(adjustedGross, rating.courseRating, rating.slope)
+  };
+};
+
+/**
+ * Handicap index from score differentials
+ *
+ * @param {Array} differentials - Differentials, most recent last
+ * @returns {Object|null} { index, used, rounds } or null with fewer than 3 rounds
+ */
+export const calculateHandicapIndex = (differentials) => {
+  const recent = differentials.slice(-DIFFERENTIALS_WINDOW);
+  if (recent.length < MIN_ROUNDS_FOR_INDEX) return null;
+
+  const rule = DIFFERENTIALS_USED.find(entry => recent.length <= entry.rounds);
+  const lowest = [...recent].sort((a, b) => a - b).slice(0, rule.used);
+  const average = lowest.reduce((sum, differential) => sum + differential, 0) / lowest.length;
+
+  return {
+    index: Math.min(MAX_HANDICAP_INDEX, roundToTenth(average + rule.adjustment)),
+    used: rule.used,
+    rounds: recent.length
+  };
+};
+
+/**
+ * Build the handicap history, oldest round first
+ *
+ * Each round's net double bogey cap uses the index from the rounds before it.
+ *
+ * @param {Array} rounds - { id, date, holes, rating } oldest first
+ * @returns {Array} [{ roundId, date, grossScore, adjustedGross, differential, index }]
+ */
+export const buildHandicapHistory = (rounds) => {
+  const history = [];
+  const differentials = [];
+  let currentIndex = null;
+
+  rounds.forEach(round => {
+    const result = calculateRoundDifferential(round.holes, round.rating, currentIndex);
+    if (!result) return;
+
+    differentials.push(result.differential);
+    currentIndex = calculateHandicapIndex(differentials)?.index ?? null;
+
+    history.push({
+      roundId: round.id,
+      date: round.date,
+      ...result,
+      index: currentIndex
+    });
+  });
+
+  return history;
+};
+
+/**
+ * Fetch the player's handicap history from their completed rounds
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<Object>} { history, current } where current is the result of calculateHandicapIndex
+ */
+export const fetchHandicapHistory = async (profile_id) => {
+  const { data: rounds, error: roundsError } = await supabase
+    .from("rounds")
+    .select(`
+      id,
+      created_at,
+      selected_tee_id,
+      selected_tee_name,
+      tee_gender,
+      courses:course_id (tees, holes)
+    `)
+    .eq("profile_id", profile_id)
+    .eq("is_complete", true)
+    .not("exclude_from_stats", "is", true)
+    .order("created_at", { ascending: false })
+    .limit(HISTORY_ROUNDS);
+
+  if (roundsError) {
+    throw new Error(`Failed to fetch rounds: ${roundsError.message}`);
+  }
+  if (!rounds || rounds.length === 0) {
+    return { history: [], current: null };
+  }
+
+  const { data: holes, error: holesError } = await supabase
+    .from("shots")
+    .select("round_id, hole_number, hole_data, total_score")
+    .in("round_id", rounds.map(round => round.id));
+
+  if (holesError) {
+    throw new Error(`Failed to fetch round holes: ${holesError.message}`);
+  }
+
+  const holesByRound = {};
+  (holes || []).forEach(hole => {
+    (holesByRound[hole.round_id] = holesByRound[hole.round_id] || []).push(hole);
+  });
+
+  const scoredRounds = [...rounds].reverse().map(round => {
+    const courseHoles = round.courses?.holes || [];
+    const gender = round.tee_gender || TEE_GENDERS.MEN;
+    return {
+      id: round.id,
+      date: round.created_at,
+      rating: getTeeRating(round.courses, round.selected_tee_id, round.selected_tee_name, gender),
+      holes: (holesByRound[round.id] || []).map(hole => {
+        const courseHole = courseHoles.find(candidate => candidate.number === hole.hole_number);
+        return {
+          number: hole.hole_number,
+          par: hole.hole_data?.par || getHolePar(courseHole, gender),
+          index: hole.hole_data?.index || getHoleStrokeIndex(courseHole, gender),
+          score: hole.total_score
+        };
+      })
+    };
+  });
+
+  const history = buildHandicapHistory(scoredRounds);
+  const current = calculateHandicapIndex(history.map(entry => entry.differential));
+
+  return { history, current };
+};
+
+/**
+ * Get the handicap details used before a round
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<Object>} { handicap, gender } - gender is "men" or "women"
+ */
+export const fetchPlayerHandicap = async (profile_id) => {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("handicap, tee_gender")
+    .eq("id", profile_id)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load handicap: ${error.message}`);
+  }
+
+  return {
+    handicap: data?.handicap ?? null,
+    gender: data?.tee_gender === TEE_GENDERS.WOMEN ? TEE_GENDERS.WOMEN : TEE_GENDERS.MEN
+  };
+};
+
+/**
+ * Recalculate the index and save it as the player's handicap
+ * Only applies when the player has chosen the calculated index.
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<number|null>} The saved index, or null when nothing changed
+ */
+export const refreshCalculatedHandicap = async (profile_id) => {
+  const { data: profile, error: profileError } = await supabase
+    .from("profiles")
+    .select("handicap_source")
+    .eq("id", profile_id)
+    .single();
+
+  if (profileError) {
+    throw new Error(`Failed to load profile: ${profileError.message}`);
+  }
+  if (profile?.handicap_source !== HANDICAP_SOURCES.CALCULATED) return null;
+
+  const { current } = await fetchHandicapHistory(profile_id);
+  if (!current) return null;
+
+  const { error } = await supabase
+    .from("profiles")
+    .update({
+      handicap: current.index,
+      updated_at: new Date().toISOString()
+    })
+    .eq("id", profile_id);
+
+  if (error) {
+    throw new Error(`Failed to save handicap: ${error.message}`);
+  }
+
+  console.log("[handicapService] Handicap index updated:", current.index);
+  return current.index;
+};
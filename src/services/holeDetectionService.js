@@ -0,0 +1,148 @@
+// src/services/holeDetectionService.js
+//
+// Works out which hole the player is on from GPS fixes and each hole's tee
+// and green POI coordinates, so TrackerScreen can suggest or move to the
+// hole being played. A different hole is only reported once the player has
+// stayed on it for a while and is clearly nearer to it than to the hole
+// being tracked, so walking past a neighbouring tee doesn't trigger it.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getDistanceToLine, getGreenCoordinates, getTeePosition } from "./geoService";
+
+const HOLE_DETECTION_MODE_KEY = "holeDetectionMode";
+
+export const HOLE_DETECTION_MODES = {
+  AUTO: "auto",       // Move to the detected hole
+  SUGGEST: "suggest", // Offer to move to the detected hole
+  MANUAL: "manual"    // Only the hole navigator changes holes
+};
+
+// Fixes less accurate than this (in metres, as reported by expo-location) are ignored
+const MAX_FIX_ACCURACY_METERS = 30;
+
+// A player further than this from every hole's tee-to-green line is between holes
+const MAX_DISTANCE_FROM_HOLE_YARDS = 40;
+
+// How much nearer the player must be to another hole than to the current one
+const SWITCH_MARGIN_YARDS = 25;
+
+// How long, and for how many fixes, the player must stay on another hole
+const CONFIRM_FIXES = 5;
+const CONFIRM_MS = 30000;
+
+/**
+ * Get the player's hole detection setting
+ *
+ * @returns {Promise<string>} One of HOLE_DETECTION_MODES, suggesting by default
+ */
+export const getHoleDetectionMode = async () => {
+  try {
+    const mode = await AsyncStorage.getItem(HOLE_DETECTION_MODE_KEY);
+    return Object.values(HOLE_DETECTION_MODES).includes(mode) ? mode : HOLE_DETECTION_MODES.SUGGEST;
+  } catch (error) {
+    console.error("[holeDetection] Error loading detection mode:", error);
+    return HOLE_DETECTION_MODES.SUGGEST;
+  }
+};
+
+/**
+ * Save the player's hole detection setting
+ *
+ * @param {string} mode - One of HOLE_DETECTION_MODES
+ */
+export const saveHoleDetectionMode = async (mode) => {
+  try {
+    await AsyncStorage.setItem(HOLE_DETECTION_MODE_KEY, mode);
+  } catch (error) {
+    console.error("[holeDetection] Error saving detection mode:", error);
+  }
+};
+
+/**
+ * How far a position is from a hole - the distance to the line from its tee
+ * to the centre of its green
+ *
+ * @param {Object} hole - Hole data with poi
+ * @param {Object} position - { lat, lng }
+ * @returns {number|null} Yards, or null when the hole has no tee or green coordinates
+ */
+export const getDistanceFromHole = (hole, position) => {
+  const tee = getTeePosition(hole);
+  const { center } = getGreenCoordinates(hole);
+  return getDistanceToLine(position, tee || center, tee ? center : null);
+};
+
+/**
+ * Tee and green POI for every hole in the round, from the course's POI data
+ *
+ * The tracker only fills in a hole's poi once the player reaches it, so
+ * detection needs its own lookup to find holes not played yet.
+ *
+ * @param {Array} coursePoi - The course's poi array, one entry per hole
+ * @param {Array} holeSequence - Hole numbers in the round
+ * @returns {Object} { poi: { tees, greens } } keyed by hole number
+ */
+export const buildHolePoiLookup = (coursePoi, holeSequence) => {
+  const lookup = {};
+  if (!Array.isArray(coursePoi)) return lookup;
+
+  holeSequence.forEach(holeNumber => {
+    const holePoi = coursePoi.find(poi => poi.hole === holeNumber);
+    if (holePoi) {
+      lookup[holeNumber] = { poi: { tees: holePoi.tees || [], greens: holePoi.greens || [] } };
+    }
+  });
+  return lookup;
+};
+
+/**
+ * Fresh detection state, used at the start of a round and whenever the
+ * player changes hole themselves
+ *
+ * @returns {Object} { candidate, fixes, since }
+ */
+export const createHoleDetectionState = () => ({ candidate: null, fixes: 0, since: null });
+
+/**
+ * Feed a GPS fix into hole detection
+ *
+ * @param {Object} state - Previous detection state, from createHoleDetectionState
+ * @param {Object} position - GPS fix { lat, lng, accuracy, timestamp }
+ * @param {Object} holes - Hole POI keyed by hole number, from buildHolePoiLookup
+ * @param {Array} holeSequence - Hole numbers in the round
+ * @param {number} currentHole - Hole being tracked
+ * @returns {Object} { state, detectedHole } - detectedHole is set once the player is confirmed on another hole
+ */
+export const updateHoleDetection = (state, position, holes, holeSequence, currentHole) => {
+  if (!position || (position.accuracy !== null && position.accuracy > MAX_FIX_ACCURACY_METERS)) {
+    return { state, detectedHole: null };
+  }
+
+  let nearestHole = null;
+  let nearestDistance = Infinity;
+  holeSequence.forEach(holeNumber => {
+    const distance = getDistanceFromHole(holes[holeNumber], position);
+    if (distance !== null && distance < nearestDistance) {
+      nearestHole = holeNumber;
+      nearestDistance = distance;
+    }
+  });
+
+  const currentDistance = getDistanceFromHole(holes[currentHole], position) ?? Infinity;
+  const isOtherHole = nearestHole !== null
+    && nearestHole !== currentHole
+    && nearestDistance <= MAX_DISTANCE_FROM_HOLE_YARDS
+    && currentDistance - nearestDistance >= SWITCH_MARGIN_YARDS;
+
+  if (!isOtherHole) {
+    return { state: createHoleDetectionState(), detectedHole: null };
+  }
+
+  const timestamp = position.timestamp || Date.now();
+  const nextState = state.candidate === nearestHole
+    ? { ...state, fixes: state.fixes + 1 }
+    : { candidate: nearestHole, fixes: 1, since: timestamp };
+
+  const confirmed = nextState.fixes >= CONFIRM_FIXES && timestamp - nextState.since >= CONFIRM_MS;
+  return { state: nextState, detectedHole: confirmed ? nearestHole : null };
+};
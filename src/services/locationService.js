@@ -0,0 +1,139 @@
+// src/services/locationService.js
+//
+// Turns raw GPS fixes into steady positions for the distance readouts.
+// Fixes with poor accuracy are dropped, the rest are smoothed with a simple
+// Kalman filter weighted by each fix's reported accuracy, and the player is
+// marked as walking or standing so DistanceIndicator can poll quickly while
+// they move and back off while they stand over the ball. Battery saver
+// polls slowly all round.
+
+import * as Location from "expo-location";
+import { calculateDistance } from "./geoService";
+
+// Fixes less accurate than this (in metres) are dropped
+const MAX_ACCURACY_METERS = 25;
+
+// How fast the filter lets the true position drift between fixes, in metres per second
+const PROCESS_NOISE_METERS_PER_SECOND = 2;
+
+// The player counts as standing once they've stayed within this distance of
+// one spot for this long - further than the jitter left after smoothing
+const STATIONARY_RADIUS_METERS = 8;
+const STATIONARY_AFTER_MS = 20000;
+
+const YARDS_TO_METERS = 0.9144;
+
+export const MOTION_STATES = {
+  MOVING: "moving",
+  STATIONARY: "stationary"
+};
+
+// Accuracy bands for the indicator, in metres
+export const ACCURACY_LEVELS = {
+  GOOD: { label: "good", maxMeters: 8 },
+  FAIR: { label: "fair", maxMeters: 15 },
+  POOR: { label: "poor", maxMeters: Infinity }
+};
+
+/**
+ * Options for Location.watchPositionAsync
+ *
+ * @param {string} motion - One of MOTION_STATES
+ * @param {boolean} batterySaver - Whether the player has battery saver on for the round
+ * @returns {Object} { accuracy, timeInterval, distanceInterval }
+ */
+export const getLocationOptions = (motion, batterySaver = false) => {
+  if (batterySaver) {
+    return { accuracy: Location.Accuracy.High, timeInterval: 10000, distanceInterval: 10 };
+  }
+  if (motion === MOTION_STATES.STATIONARY) {
+    return { accuracy: Location.Accuracy.High, timeInterval: 5000, distanceInterval: 3 };
+  }
+  return { accuracy: Location.Accuracy.BestForNavigation, timeInterval: 1000, distanceInterval: 1 };
+};
+
+/**
+ * Band a fix's accuracy for the indicator
+ *
+ * @param {number} accuracy - Accuracy radius in metres
+ * @returns {Object|null} One of ACCURACY_LEVELS, or null when unknown
+ */
+export const getAccuracyLevel = (accuracy) => {
+  if (typeof accuracy !== "number") return null;
+  return Object.values(ACCURACY_LEVELS).find(level => accuracy <= level.maxMeters);
+};
+
+/**
+ * Fresh filter state, used whenever tracking starts
+ *
+ * @returns {Object} { position, variance, timestamp, motion, anchor }
+ */
+export const createLocationFilterState = () => ({
+  position: null,
+  variance: null,
+  timestamp: null,
+  motion: MOTION_STATES.MOVING,
+  anchor: null // Where the player last stopped: { lat, lng, timestamp }
+});
+
+/**
+ * Feed a raw expo-location fix through the filter
+ *
+ * @param {Object} state - Previous filter state, from createLocationFilterState
+ * @param {Object} location - Fix from Location.watchPositionAsync
+ * @returns {Object} { state, position, rejected } - position is the smoothed
+ *   { lat, lng, accuracy, altitude, altitudeAccuracy, timestamp }, or null when the fix was dropped
+ */
+export const filterLocation = (state, location) => {
+  const coords = location?.coords;
+  if (!coords || typeof coords.latitude !== "number" || typeof coords.longitude !== "number") {
+    return { state, position: null, rejected: true };
+  }
+
+  const accuracy = typeof coords.accuracy === "number" ? Math.max(coords.accuracy, 1) : MAX_ACCURACY_METERS;
+  if (accuracy > MAX_ACCURACY_METERS) {
+    return { state, position: null, rejected: true };
+  }
+
+  const timestamp = location.timestamp || Date.now();
+  let lat = coords.latitude;
+  let lng = coords.longitude;
+  let variance = accuracy * accuracy;
+
+  if (state.position) {
+    // Uncertainty grows with the time since the last fix, then the new fix
+    // pulls the estimate towards it by how much more it can be trusted
+    const seconds = Math.max(0, (timestamp - state.timestamp) / 1000);
+    const predicted = state.variance + seconds * PROCESS_NOISE_METERS_PER_SECOND ** 2;
+    const gain = predicted / (predicted + accuracy * accuracy);
+
+    lat = state.position.lat + gain * (coords.latitude - state.position.lat);
+    lng = state.position.lng + gain * (coords.longitude - state.position.lng);
+    variance = (1 - gain) * predicted;
+  }
+
+  // Moving as soon as the player leaves the spot they stopped at, but only
+  // standing once they've stayed there for a while
+  const movedMeters = state.anchor
+    ? calculateDistance(state.anchor.lat, state.anchor.lng, lat, lng) * YARDS_TO_METERS
+    : Infinity;
+  const anchor = movedMeters > STATIONARY_RADIUS_METERS ? { lat, lng, timestamp } : state.anchor;
+  const motion = timestamp - anchor.timestamp >= STATIONARY_AFTER_MS
+    ? MOTION_STATES.STATIONARY
+    : MOTION_STATES.MOVING;
+
+  const position = {
+    lat,
+    lng,
+    accuracy: Math.round(Math.sqrt(variance)),
+    altitude: coords.altitude ?? null,
+    altitudeAccuracy: coords.altitudeAccuracy ?? null,
+    timestamp
+  };
+
+  return {
+    state: { position, variance, timestamp, motion, anchor },
+    position,
+    rejected: false
+  };
+};
@@ -0,0 +1,298 @@
+// src/services/partnerService.js
+//
+// Playing partners tracked on the scorer's phone.
+// A round can carry up to 3 partners - registered players found by email, or
+// guests by name - each with their own score per hole. Partners live in
+// AsyncStorage while the round is tracked and are saved on the round's
+// `partners` column when it completes. Registered partners can then claim
+// the round, which creates a quick score round in their own history.
+//
+// Finding and claiming rounds reads other players' rows - see
+// supabase/docs/access_rules.md for the access these queries rely on.
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+import { createRound, completeRound } from "./roundservice";
+
+// A fourball - the scorer plus three partners
+export const MAX_PARTNERS = 3;
+
+const partnersKey = (round_id) => `round_${round_id}_partners`;
+
+/**
+ * Create a guest partner
+ *
+ * @param {string} name - The guest's name
+ * @returns {Object} { id, name, profile_id: null, handicap: null, scores: {} }
+ */
+export const createGuestPartner = (name) => ({
+  id: `guest_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim(),
+  profile_id: null,
+  handicap: null,
+  scores: {}
+});
+
+/**
+ * Create a partner for a registered player
+ * Their handicap isn't shared, so the scorer enters it like a guest's.
+ *
+ * @param {Object} profile - { id, first_name } from findRegisteredPlayer
+ * @param {string} fallbackName - Name to show when the profile has no first name
+ * @returns {Object} { id, name, profile_id, handicap: null, scores: {} }
+ */
+export const createRegisteredPartner = (profile, fallbackName) => ({
+  id: `player_${profile.id}`,
+  name: profile.first_name || fallbackName,
+  profile_id: profile.id,
+  handicap: null,
+  scores: {}
+});
+
+/**
+ * Look up a registered player by email
+ * Goes through the find_player_by_email function, which only returns the
+ * id and first name of an exact match, so other players' profiles stay private.
+ *
+ * @param {string} email - The player's email address
+ * @returns {Promise<Object|null>} { id, first_name } or null when no player matches
+ */
+export const findRegisteredPlayer = async (email) => {
+  const { data, error } = await supabase
+    .rpc("find_player_by_email", { player_email: email.trim().toLowerCase() })
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up player: ${error.message}`);
+  }
+
+  return data || null;
+};
+
+/**
+ * Get the partners on a round being tracked
+ *
+ * @param {string} round_id - The round ID
+ * @returns {Promise<Array>} Partners, in the order they were added
+ */
+export const getRoundPartners = async (round_id) => {
+  try {
+    const partnersStr = await AsyncStorage.getItem(partnersKey(round_id));
+    return partnersStr ? JSON.parse(partnersStr) : [];
+  } catch (error) {
+    console.error("[partnerService] Error reading partners:", error);
+    return [];
+  }
+};
+
+/**
+ * Save the partners on a round being tracked
+ *
+ * @param {string} round_id - The round ID
+ * @param {Array} partners - Partners with their scores
+ */
+export const saveRoundPartners = async (round_id, partners) => {
+  if (partners.length > MAX_PARTNERS) {
+    throw new Error(`A round can have at most ${MAX_PARTNERS} partners`);
+  }
+  await AsyncStorage.setItem(partnersKey(round_id), JSON.stringify(partners));
+};
+
+/**
+ * Set a partner's score on a hole
+ *
+ * @param {Array} partners - Current partners
+ * @param {string} partnerId - Partner to update
+ * @param {number} holeNum - Hole number
+ * @param {number|null} score - Gross score, or null to clear it
+ * @returns {Array} New partners array
+ */
+export const setPartnerScore = (partners, partnerId, holeNum, score) =>
+  partners.map(partner => {
+    if (partner.id !== partnerId) return partner;
+
+    const scores = { ...partner.scores };
+    if (score === null) {
+      delete scores[holeNum];
+    } else {
+      scores[holeNum] = score;
+    }
+    return { ...partner, scores };
+  });
+
+/**
+ * Set a partner's handicap index, used by the net scoring formats
+ * It's converted to a playing handicap for the tee when the round completes.
+ *
+ * @param {Array} partners - Current partners
+ * @param {string} partnerId - Partner to update
+ * @param {number|null} handicap - Handicap index, or null when unknown
+ * @returns {Array} New partners array
+ */
+export const setPartnerHandicap = (partners, partnerId, handicap) =>
+  partners.map(partner => (partner.id === partnerId ? { ...partner, handicap } : partner));
+
+/**
+ * Total a partner's scores
+ *
+ * @param {Object} partner - Partner with scores keyed by hole number
+ * @returns {number} Gross strokes
+ */
+export const getPartnerTotal = (partner) =>
+  Object.values(partner?.scores || {}).reduce((sum, score) => sum + (score || 0), 0);
+
+/**
+ * Get completed rounds other players scored for this player that haven't been claimed yet
+ *
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<Array>} Rounds with course name, the scorer's name and this player's partner entry
+ */
+export const getClaimableRounds = async (profile_id) => {
+  try {
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select(`
+        id,
+        profile_id,
+        course_id,
+        created_at,
+        selected_tee_id,
+        selected_tee_name,
+        start_hole,
+        total_holes,
+        hole_order,
+        partners,
+        courses:course_id (name),
+        profiles:profile_id (first_name)
+      `)
+      .eq("is_complete", true)
+      .contains("partners", [{ profile_id }])
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    if (!rounds || rounds.length === 0) return [];
+
+    // Leave out rounds this player has already claimed
+    const { data: claimed, error: claimedError } = await supabase
+      .from("rounds")
+      .select("claimed_from_round_id")
+      .eq("profile_id", profile_id)
+      .eq("is_complete", true)
+      .in("claimed_from_round_id", rounds.map(round => round.id));
+
+    if (claimedError) throw claimedError;
+
+    const claimedIds = new Set((claimed || []).map(round => round.claimed_from_round_id));
+
+    return rounds
+      .filter(round => !claimedIds.has(round.id))
+      .map(round => ({
+        ...round,
+        courseName: round.courses?.name || "Unknown Course",
+        scorerName: round.profiles?.first_name || "A playing partner",
+        partner: round.partners.find(partner => partner.profile_id === profile_id)
+      }));
+  } catch (error) {
+    console.error("[partnerService] Error fetching claimable rounds:", error);
+    return [];
+  }
+};
+
+/**
+ * Remove a claimed round that couldn't be completed, along with any holes
+ * saved before it failed
+ *
+ * @param {string} round_id - The claimed round
+ * @param {string} profile_id - The claiming player
+ */
+const removeUnfinishedClaim = async (round_id, profile_id) => {
+  const { error: holesError } = await supabase
+    .from("shots")
+    .delete()
+    .eq("round_id", round_id);
+  if (holesError) throw holesError;
+
+  const { error } = await supabase
+    .from("rounds")
+    .delete()
+    .eq("id", round_id)
+    .eq("profile_id", profile_id)
+    .eq("is_complete", false);
+  if (error) throw error;
+};
+
+/**
+ * Claim a round a playing partner scored into this player's history
+ *
+ * Creates a quick score round for this player with the scores the partner
+ * entered. Par and hole details come from the scorer's hole data. If the
+ * round can't be completed it is deleted again.
+ *
+ * @param {Object} claimableRound - Entry from getClaimableRounds
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<Object>} The new round record
+ */
+export const claimRound = async (claimableRound, profile_id) => {
+  const { partner } = claimableRound;
+  if (!partner || Object.keys(partner.scores || {}).length === 0) {
+    throw new Error("There are no scores for you on this round");
+  }
+
+  // Hole details from the scorer's card
+  const { data: scorerHoles, error: holesError } = await supabase
+    .from("shots")
+    .select("hole_number, hole_data")
+    .eq("round_id", claimableRound.id);
+
+  if (holesError) {
+    throw new Error(`Failed to load round holes: ${holesError.message}`);
+  }
+
+  const holeDetails = {};
+  (scorerHoles || []).forEach(hole => {
+    holeDetails[hole.hole_number] = hole.hole_data || {};
+  });
+
+  const holeData = {};
+  Object.entries(partner.scores).forEach(([holeNum, score]) => {
+    const details = holeDetails[holeNum] || {};
+    holeData[holeNum] = {
+      par: details.par || null,
+      distance: details.distance || null,
+      index: details.index || null,
+      features: details.features || [],
+      shots: [],
+      penalties: [],
+      poi: details.poi || null,
+      quickScore: { score, putts: null, fairway: null, gir: null }
+    };
+  });
+
+  const round = await createRound(
+    profile_id,
+    claimableRound.course_id,
+    claimableRound.selected_tee_id,
+    claimableRound.selected_tee_name,
+    {
+      startHole: claimableRound.start_hole || 1,
+      totalHoles: claimableRound.total_holes || 18,
+      holeOrder: claimableRound.hole_order,
+      trackingMode: "quick",
+      claimedFromRoundId: claimableRound.id
+    }
+  );
+
+  // A half-claimed round would hide the round from getClaimableRounds, so
+  // remove it and let the player try again
+  try {
+    await completeRound(round.id, holeData, claimableRound.total_holes || 18);
+  } catch (error) {
+    await removeUnfinishedClaim(round.id, profile_id).catch(deleteError => {
+      console.error("[partnerService] Error removing unfinished claim:", deleteError);
+    });
+    throw error;
+  }
+  console.log("[partnerService] Round claimed:", claimableRound.id, "->", round.id);
+
+  return round;
+};
@@ -0,0 +1,136 @@
+// src/services/playsLikeService.js
+//
+// "Plays like" distances to the green - the flat GPS distance adjusted for
+// how far the green sits above or below the player, and for the wind and
+// temperature the player enters for the hole. The adjustments are the usual
+// on-course rules of thumb rather than a ball flight model.
+//
+// Course elevations are heights above sea level, while the phone reports
+// altitude above the GPS ellipsoid - tens of metres apart in most places. So
+// the green is measured against the tee's stored elevation, and the phone's
+// altitude only moves the player from there: by how far it has changed since
+// a fix taken on the tee.
+
+import { getDistanceBetween } from "./geoService";
+
+const METERS_TO_YARDS = 1.09361;
+
+// Altitude readings less accurate than this (in metres) aren't used
+const MAX_ALTITUDE_ACCURACY_METERS = 10;
+
+// A fix within this many yards of the tee is taken as being on it
+const TEE_FIX_RADIUS_YARDS = 15;
+
+// Temperature yardages are taken to be at, and the carry lost or gained per degree away from it
+const BASELINE_TEMPERATURE_F = 70;
+const TEMPERATURE_EFFECT_PER_DEGREE_F = 0.001;
+
+// Share of the distance added per mph into the wind, and taken off per mph downwind
+const HEADWIND_EFFECT_PER_MPH = 0.01;
+const TAILWIND_EFFECT_PER_MPH = 0.005;
+
+export const WIND_DIRECTIONS = {
+  INTO: "into",
+  HELPING: "helping",
+  CROSS: "cross"
+};
+
+/**
+ * Conditions entered for a hole - no wind and no temperature adjustment
+ *
+ * @returns {Object} { windSpeed, windDirection, temperature }
+ */
+export const createConditions = () => ({
+  windSpeed: 0,
+  windDirection: WIND_DIRECTIONS.INTO,
+  temperature: null
+});
+
+// Whether a fix has an altitude good enough to compare with another
+const hasUsableAltitude = (position) => typeof position?.altitude === "number"
+  && !(typeof position.altitudeAccuracy === "number" && position.altitudeAccuracy > MAX_ALTITUDE_ACCURACY_METERS);
+
+/**
+ * Whether a fix was taken on the tee and can anchor later altitude readings
+ *
+ * @param {Object} position - Player's fix { lat, lng, altitude, altitudeAccuracy }
+ * @param {Object} tee - Tee position, from getTeePosition
+ * @returns {boolean}
+ */
+export const isTeeFix = (position, tee) => {
+  if (!tee || !hasUsableAltitude(position)) return false;
+  const distance = getDistanceBetween(position, tee);
+  return distance !== null && distance <= TEE_FIX_RADIUS_YARDS;
+};
+
+/**
+ * Height of the green above the player
+ *
+ * Without a GPS position the player is taken to be on the tee. With one, the
+ * change in phone altitude since the tee fix is added to the tee's height;
+ * without a usable tee fix the tee's height is used and the figure is
+ * flagged as unreliable.
+ *
+ * @param {Object} target - Green POI point with elevation in metres
+ * @param {Object} tee - Tee position with elevation in metres, from getTeePosition
+ * @param {Object} position - Player's latest fix, or null without GPS
+ * @param {Object} teeFix - Fix taken on this hole's tee, or null
+ * @returns {Object|null} { yards, reliable } - yards uphill (negative downhill),
+ *   or null when the course has no elevation for the tee or green
+ */
+export const getElevationChange = (target, tee, position = null, teeFix = null) => {
+  if (typeof target?.elevation !== "number" || typeof tee?.elevation !== "number") {
+    return null;
+  }
+
+  const fromTee = (target.elevation - tee.elevation) * METERS_TO_YARDS;
+  if (!position) {
+    return { yards: fromTee, reliable: true };
+  }
+  if (!hasUsableAltitude(position) || !hasUsableAltitude(teeFix)) {
+    return { yards: fromTee, reliable: false };
+  }
+
+  const climbed = position.altitude - teeFix.altitude;
+  return { yards: fromTee - climbed * METERS_TO_YARDS, reliable: true };
+};
+
+/**
+ * Adjust a distance for elevation, wind and temperature
+ *
+ * Uphill plays a yard longer for every yard of rise. Wind into the player
+ * adds 1% per mph and wind behind takes off half that; crosswind is left
+ * alone. Each degree below 70°F adds 0.1%, each degree above takes it off.
+ *
+ * @param {number} distance - Flat distance in yards
+ * @param {Object} options
+ * @param {number} options.elevationChange - Yards the target is above the player, from getElevationChange's yards
+ * @param {Object} options.conditions - Wind and temperature, from createConditions
+ * @returns {Object|null} { raw, playsLike, adjustments: { elevation, wind, temperature } }, or null without a distance
+ */
+export const getPlaysLikeDistance = (distance, { elevationChange = null, conditions = null } = {}) => {
+  if (!distance) return null;
+
+  const { windSpeed = 0, windDirection = null, temperature = null } = conditions || {};
+
+  const elevation = elevationChange ?? 0;
+  let wind = 0;
+  if (windSpeed > 0 && windDirection === WIND_DIRECTIONS.INTO) {
+    wind = distance * windSpeed * HEADWIND_EFFECT_PER_MPH;
+  } else if (windSpeed > 0 && windDirection === WIND_DIRECTIONS.HELPING) {
+    wind = -distance * windSpeed * TAILWIND_EFFECT_PER_MPH;
+  }
+  const temperatureEffect = temperature === null
+    ? 0
+    : distance * (BASELINE_TEMPERATURE_F - temperature) * TEMPERATURE_EFFECT_PER_DEGREE_F;
+
+  return {
+    raw: distance,
+    playsLike: Math.max(0, Math.round(distance + elevation + wind + temperatureEffect)),
+    adjustments: {
+      elevation: Math.round(elevation),
+      wind: Math.round(wind),
+      temperature: Math.round(temperatureEffect)
+    }
+  };
+};
@@ -0,0 +1,159 @@
+// src/services/roundRecoveryService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { deleteAbandonedRound } from "./roundservice";
+import { isLocalRoundId } from "./roundSyncService";
+import { hasHoleData, getHoleStrokes } from "./shotService";
+
+// AsyncStorage keys used while a round is being tracked
+const CURRENT_ROUND_KEY = "currentRound";
+const SELECTED_COURSE_KEY = "selectedCourse";
+const holesKey = (round_id) => `round_${round_id}_holes`;
+const courseKey = (round_id) => `round_${round_id}_course`;
+const lastHoleKey = (round_id) => `round_${round_id}_lastHole`;
+const partnersKey = (round_id) => `round_${round_id}_partners`;
+
+/**
+ * Get the round that is currently being tracked, if any
+ *
+ * Reads everything TrackerScreen leaves in AsyncStorage so a round can be
+ * resumed after the OS kills the app. Rounds belonging to another user are
+ * ignored.
+ *
+ * @param {string} profile_id - The signed-in user's profile ID
+ * @returns {Promise<object|null>} { round, course, lastHole, holesTracked, shotsTracked } or null
+ */
+export const getInProgressRound = async (profile_id) => {
+  try {
+    const roundStr = await AsyncStorage.getItem(CURRENT_ROUND_KEY);
+    if (!roundStr) {
+      return null;
+    }
+
+    const round = JSON.parse(roundStr);
+    if (!round || !round.id) {
+      return null;
+    }
+
+    if (profile_id && round.profile_id && round.profile_id !== profile_id) {
+      console.log("[roundRecovery] In-progress round belongs to another user, ignoring");
+      return null;
+    }
+
+    // Prefer the course snapshot taken when the round started, since the
+    // selected course can change if the user browses the course selector
+    const courseStr = await AsyncStorage.getItem(courseKey(round.id))
+      || await AsyncStorage.getItem(SELECTED_COURSE_KEY);
+    const course = courseStr ? JSON.parse(courseStr) : null;
+
+    const holesStr = await AsyncStorage.getItem(holesKey(round.id));
+    const holes = holesStr ? JSON.parse(holesStr) : {};
+
+    // Only count holes that actually have shots or a quick score recorded
+    const trackedHoles = Object.values(holes).filter(hasHoleData);
+    const shotsTracked = trackedHoles.reduce((sum, hole) => sum + getHoleStrokes(hole), 0);
+
+    return {
+      round,
+      course,
+      lastHole: await getLastViewedHole(round.id),
+      holesTracked: trackedHoles.length,
+      shotsTracked
+    };
+  } catch (error) {
+    console.error("[roundRecovery] Error reading in-progress round:", error);
+    return null;
+  }
+};
+
+/**
+ * Remember the course and tee a round was started with
+ *
+ * @param {string} round_id - The round ID
+ * @param {object} course - The selectedCourse object from CourseSelectorScreen
+ */
+export const saveRoundCourse = async (round_id, course) => {
+  try {
+    await AsyncStorage.setItem(courseKey(round_id), JSON.stringify(course));
+  } catch (error) {
+    console.error("[roundRecovery] Error saving round course:", error);
+  }
+};
+
+/**
+ * Remember the hole the player was last looking at
+ *
+ * @param {string} round_id - The round ID
+ * @param {number} hole_number - The hole number being viewed
+ */
+export const saveLastViewedHole = async (round_id, hole_number) => {
+  try {
+    await AsyncStorage.setItem(lastHoleKey(round_id), String(hole_number));
+  } catch (error) {
+    console.error("[roundRecovery] Error saving last viewed hole:", error);
+  }
+};
+
+/**
+ * Get the hole the player was last looking at
+ *
+ * @param {string} round_id - The round ID
+ * @returns {Promise<number|null>} - The hole number, or null if none was saved
+ */
+export const getLastViewedHole = async (round_id) => {
+  try {
+    const lastHoleStr = await AsyncStorage.getItem(lastHoleKey(round_id));
+    return lastHoleStr ? parseInt(lastHoleStr, 10) : null;
+  } catch (error) {
+    console.error("[roundRecovery] Error reading last viewed hole:", error);
+    return null;
+  }
+};
+
+/**
+ * Prepare AsyncStorage so TrackerScreen picks the round back up
+ *
+ * Restores the course and tee the round was started with as the selected
+ * course before navigating to the tracker.
+ *
+ * @param {object} inProgress - Result of getInProgressRound
+ */
+export const prepareRoundResume = async (inProgress) => {
+  if (inProgress?.course) {
+    await AsyncStorage.setItem(SELECTED_COURSE_KEY, JSON.stringify(inProgress.course));
+  }
+};
+
+/**
+ * Clear the local tracking data for a round
+ * Used once a round is completed, or after it has been discarded.
+ *
+ * @param {string} round_id - The round ID
+ */
+export const clearInProgressRound = async (round_id) => {
+  try {
+    await AsyncStorage.multiRemove([
+      holesKey(round_id),
+      courseKey(round_id),
+      lastHoleKey(round_id),
+      partnersKey(round_id),
+      CURRENT_ROUND_KEY
+    ]);
+  } catch (error) {
+    console.error("[roundRecovery] Error clearing in-progress round:", error);
+  }
+};
+
+/**
+ * Discard an unfinished round
+ * Deletes the incomplete round record and clears its local tracking data.
+ *
+ * @param {string} round_id - The round ID
+ * @returns {Promise<boolean>} - Whether the round record was deleted
+ */
+export const discardInProgressRound = async (round_id) => {
+  // Rounds started offline were never saved, so there is nothing to delete remotely
+  const deleted = isLocalRoundId(round_id) ? true : await deleteAbandonedRound(round_id);
+  await clearInProgressRound(round_id);
+  return deleted;
+};
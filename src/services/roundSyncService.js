@@ -0,0 +1,325 @@
+// src/services/roundSyncService.js
+//
+// Durable outbox for rounds that could not reach Supabase.
+// Rounds started without a connection get a local id, and finished rounds
+// are queued in AsyncStorage and replayed once the connection is back,
+// which NetInfo reports.
+
+import { AppState } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import { createRound, completeRound, getHoleSequence } from "./roundservice";
+import { SCORING_FORMATS } from "./scoringFormatService";
+import { getHoleStrokes } from "./shotService";
+import { calculateRoundStats } from "./statsService";
+
+const OUTBOX_KEY = "roundSyncOutbox";
+const LOCAL_ID_PREFIX = "local_";
+
+// Retry backoff: 30s, 1m, 2m, 4m ... capped at 1 hour
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+let isProcessing = false;
+let retryTimer = null;
+const listeners = new Set();
+
+/**
+ * Check whether a round id was generated on the device
+ *
+ * @param {string} round_id - The round ID
+ * @returns {boolean} - True when the round has never been saved to Supabase
+ */
+export const isLocalRoundId = (round_id) =>
+  typeof round_id === "string" && round_id.startsWith(LOCAL_ID_PREFIX);
+
+/**
+ * Create a round record on the device when Supabase can't be reached
+ *
+ * Mirrors the record returned by createRound so TrackerScreen can track
+ * shots against it. The round is created for real when the outbox replays.
+ *
+ * @param {string} profile_id - The current user's profile ID.
+ * @param {string} course_id - The ID of the course.
+ * @param {string} tee_id - The ID of the selected tee.
+ * @param {string} tee_name - The name of the selected tee.
+ * @param {object} roundOptions - Same options as createRound.
+ * @returns {object} The local round record.
+ */
+export const createOfflineRound = (profile_id, course_id, tee_id, tee_name, roundOptions = {}) => {
+  const {
+    startHole = 1,
+    totalHoles = 18,
+    trackingMode = "shots",
+    scoringFormat = SCORING_FORMATS.STROKE_PLAY,
+    teeGender = "men",
+    courseHandicap = null,
+    playingHandicap = null
+  } = roundOptions;
+  const holeOrder = roundOptions.holeOrder || getHoleSequence(startHole, totalHoles);
+
+  const round = {
+    id: `${LOCAL_ID_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 10)}`,
+    profile_id,
+    course_id,
+    is_complete: false,
+    selected_tee_id: tee_id,
+    selected_tee_name: tee_name,
+    start_hole: startHole,
+    total_holes: totalHoles,
+    hole_order: holeOrder,
+    tracking_mode: trackingMode,
+    scoring_format: scoringFormat,
+    tee_gender: teeGender,
+    course_handicap: courseHandicap,
+    playing_handicap: playingHandicap,
+    created_at: new Date().toISOString()
+  };
+
+  console.log("[roundSync] Created offline round:", round.id);
+  return round;
+};
+
+const readOutbox = async () => {
+  try {
+    const outboxStr = await AsyncStorage.getItem(OUTBOX_KEY);
+    return outboxStr ? JSON.parse(outboxStr) : [];
+  } catch (error) {
+    console.error("[roundSync] Error reading outbox:", error);
+    return [];
+  }
+};
+
+const writeOutbox = async (entries) => {
+  await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+  listeners.forEach(listener => listener(entries));
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY_MS);
+
+/**
+ * Queue a finished round for syncing
+ *
+ * @param {object} round - The round record (local or already on Supabase)
+ * @param {object} storedHoleData - All hole data from AsyncStorage
+ * @param {number} totalHoles - Total number of holes in the round
+ * @param {object} course - The selectedCourse object, used for display while pending
+ * @param {Array} partners - Playing partners scored on the round (optional)
+ */
+export const enqueueRoundCompletion = async (round, storedHoleData, totalHoles, course = null, partners = null) => {
+  const entries = await readOutbox();
+
+  const entry = {
+    id: round.id,
+    round,
+    // Set once createRound has been replayed, so a retry never creates it twice
+    server_round_id: isLocalRoundId(round.id) ? null : round.id,
+    hole_data: storedHoleData,
+    total_holes: totalHoles,
+    partners,
+    course_name: course?.name || null,
+    queued_at: new Date().toISOString(),
+    attempts: 0,
+    next_attempt_at: 0,
+    last_error: null
+  };
+
+  await writeOutbox([...entries.filter(existing => existing.id !== round.id), entry]);
+  console.log("[roundSync] Round queued for sync:", round.id);
+};
+
+/**
+ * Get the rounds still waiting to be synced
+ *
+ * @param {string} profile_id - Only return rounds for this user (optional)
+ * @returns {Promise<Array>} Outbox entries
+ */
+export const getPendingRounds = async (profile_id = null) => {
+  const entries = await readOutbox();
+  return profile_id
+    ? entries.filter(entry => entry.round?.profile_id === profile_id)
+    : entries;
+};
+
+/**
+ * Format pending rounds for RoundSummaryCard
+ *
+ * @param {Array} entries - Outbox entries
+ * @returns {Array} Round summaries flagged with pendingSync
+ */
+export const formatPendingRounds = (entries) =>
+  entries.map(entry => ({
+    id: entry.id,
+    date: entry.round?.created_at || entry.queued_at,
+    courseName: entry.course_name || "Unknown Course",
+    score: null,
+    grossShots: Object.values(entry.hole_data || {})
+      .reduce((sum, hole) => sum + getHoleStrokes(hole), 0),
+    isComplete: true,
+    stats: calculateRoundStats(entry.hole_data),
+    pendingSync: true
+  }));
+
+/**
+ * Subscribe to outbox changes
+ *
+ * @param {Function} listener - Called with the outbox entries after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Replay a single outbox entry against Supabase
+ * Creates the round if it only exists locally, then saves shots and completes it.
+ */
+const syncEntry = async (entry) => {
+  if (!entry.server_round_id) {
+    const { round } = entry;
+    const created = await createRound(
+      round.profile_id,
+      round.course_id,
+      round.selected_tee_id,
+      round.selected_tee_name,
+      {
+        startHole: round.start_hole,
+        totalHoles: round.total_holes,
+        holeOrder: round.hole_order,
+        trackingMode: round.tracking_mode,
+        scoringFormat: round.scoring_format,
+        teeGender: round.tee_gender,
+        courseHandicap: round.course_handicap,
+        playingHandicap: round.playing_handicap
+      }
+    );
+    entry.server_round_id = created.id;
+  }
+
+  await completeRound(entry.server_round_id, entry.hole_data, entry.total_holes, entry.partners);
+};
+
+/**
+ * Replay every due outbox entry
+ *
+ * Failed entries are retried with exponential backoff. Safe to call often -
+ * concurrent calls are ignored while a replay is running.
+ *
+ * @param {object} options
+ * @param {boolean} options.force - Ignore backoff and retry everything now
+ * @returns {Promise<number>} Number of rounds synced
+ */
+export const processOutbox = async ({ force = false } = {}) => {
+  if (isProcessing) {
+    return 0;
+  }
+
+  isProcessing = true;
+  let synced = 0;
+
+  try {
+    const entries = await readOutbox();
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const remaining = [];
+
+    for (const entry of entries) {
+      if (!force && entry.next_attempt_at > now) {
+        remaining.push(entry);
+        continue;
+      }
+
+      try {
+        console.log("[roundSync] Syncing round:", entry.id);
+        await syncEntry(entry);
+        synced++;
+        console.log("[roundSync] Round synced:", entry.id, "->", entry.server_round_id);
+      } catch (error) {
+        const attempts = entry.attempts + 1;
+        console.warn(`[roundSync] Sync failed for round ${entry.id} (attempt ${attempts}):`, error.message);
+        remaining.push({
+          ...entry,
+          attempts,
+          next_attempt_at: Date.now() + getRetryDelay(attempts),
+          last_error: error.message
+        });
+      }
+    }
+
+    // Keep anything queued while this replay was running
+    const processedIds = new Set(entries.map(entry => entry.id));
+    const queuedMeanwhile = (await readOutbox()).filter(entry => !processedIds.has(entry.id));
+    const outbox = [...remaining, ...queuedMeanwhile];
+
+    await writeOutbox(outbox);
+    scheduleRetry(outbox);
+  } catch (error) {
+    console.error("[roundSync] Error processing outbox:", error);
+  } finally {
+    isProcessing = false;
+  }
+
+  return synced;
+};
+
+/**
+ * Schedule the next replay for the earliest entry that is waiting on backoff
+ */
+const scheduleRetry = (entries) => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  const nextAttemptAt = Math.min(...entries.map(entry => entry.next_attempt_at));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processOutbox();
+  }, Math.max(0, nextAttemptAt - Date.now()));
+};
+
+/**
+ * Start replaying the outbox
+ *
+ * Replays immediately, then again whenever the device comes back online -
+ * skipping any backoff, since the failures were most likely the lost
+ * connection - and whenever the app returns to the foreground.
+ *
+ * @returns {Function} Cleanup function
+ */
+export const startOutboxSync = () => {
+  processOutbox();
+
+  const subscription = AppState.addEventListener("change", (state) => {
+    if (state === "active") {
+      processOutbox();
+    }
+  });
+
+  let wasOnline = null;
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    const isOnline = Boolean(state.isConnected) && state.isInternetReachable !== false;
+    if (isOnline && wasOnline === false) {
+      processOutbox({ force: true });
+    }
+    wasOnline = isOnline;
+  });
+
+  return () => {
+    subscription.remove();
+    unsubscribeNetInfo();
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  };
+};
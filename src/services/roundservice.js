@@ -1,6 +1,12 @@
 // src/services/roundservice.js
 
 import { supabase } from "./supabase";
+import { getHoleStrokes, hasHoleData, isQuickScoreHole } from "./shotService";
+import { calculateRoundStats } from "./statsService";
+import { calculateStrokesGainedByLevel } from "./strokesGainedService";
+import { getShotDistances } from "./geoService";
+import { SCORING_FORMATS, calculateFormatResult, getHolePar, getHoleStrokeIndex } from "./scoringFormatService";
+import { calculateRoundHandicap, refreshCalculatedHandicap } from "./handicapService";
 
 // Track events for analytics (assuming this exists in your app)
 // If you have a different analytics service, adjust accordingly
@@ -14,6 +20,53 @@ const EVENTS = {
   ROUND_ABANDONED: 'round_abandoned',
 };
 
+// Par used for a played hole when neither the hole data nor the course layout has one
+const DEFAULT_HOLE_PAR = 4;
+
+/**
+ * Build the ordered list of hole numbers played in a round.
+ * 
+ * Holes run sequentially from the start hole, so a back nine on an
+ * 18-hole course is [10..18] and a 9-hole course is [1..9]. When the
+ * course hole count is known, play wraps around after the last hole -
+ * a shotgun start on hole 7 of 18 plays [7..18, 1..6].
+ * 
+ * @param {number} startHole - The first hole played (1-based).
+ * @param {number} holeCount - How many holes are played in the round.
+ * @param {number|null} courseHoleCount - Holes on the course, enables wrap-around.
+ * @returns {Array<number>} Hole numbers in playing order.
+ */
+export const getHoleSequence = (startHole = 1, holeCount = 18, courseHoleCount = null) => {
+  const first = Math.max(1, parseInt(startHole, 10) || 1);
+  const count = Math.max(1, parseInt(holeCount, 10) || 18);
+  const wrapAt = parseInt(courseHoleCount, 10) || null;
+  
+  const sequence = [];
+  for (let i = 0; i < count; i++) {
+    sequence.push(wrapAt ? ((first - 1 + i) % wrapAt) + 1 : first + i);
+  }
+  
+  return sequence;
+};
+
+/**
+ * Get the play order for a round record
+ * 
+ * Prefers the stored hole_order, falling back to a sequential run from
+ * start_hole for rounds created before play order was stored.
+ * 
+ * @param {object} round - Round record (hole_order, start_hole, total_holes)
+ * @param {number} defaultHoleCount - Hole count to use when the round has none
+ * @returns {Array<number>} Hole numbers in playing order.
+ */
+export const getRoundHoleOrder = (round, defaultHoleCount = 18) => {
+  if (round?.hole_order && Array.isArray(round.hole_order) && round.hole_order.length > 0) {
+    return round.hole_order;
+  }
+  
+  return getHoleSequence(round?.start_hole || 1, round?.total_holes || defaultHoleCount);
+};
+
 /**
  * Create a new round record in Supabase.
  * 
@@ -21,14 +74,45 @@ const EVENTS = {
  * @param {string} course_id - The ID of the course.
  * @param {string} tee_id - The ID of the selected tee.
  * @param {string} tee_name - The name of the selected tee.
+ * @param {object} roundOptions - Optional round layout.
+ * @param {number} roundOptions.startHole - The first hole played (defaults to 1).
+ * @param {number} roundOptions.totalHoles - Number of holes to be played (defaults to 18).
+ * @param {Array<number>} roundOptions.holeOrder - Holes in playing order (defaults to sequential from startHole).
+ * @param {string} roundOptions.trackingMode - "shots" for shot-by-shot tracking or "quick" for a score per hole (defaults to "shots").
+ * @param {string} roundOptions.scoringFormat - One of SCORING_FORMATS (defaults to stroke play).
+ * @param {string} roundOptions.teeGender - "men" or "women" - whose par, stroke index and rating the round uses (defaults to "men").
+ * @param {number} roundOptions.courseHandicap - The player's course handicap for the tee, if known.
+ * @param {number} roundOptions.playingHandicap - The course handicap after the format's allowance, if known.
+ * @param {string} roundOptions.claimedFromRoundId - The partner's round this one was claimed from, if any.
  * @returns {object} The newly created round record.
  */
-export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
+export const createRound = async (profile_id, course_id, tee_id, tee_name, roundOptions = {}) => {
+  const {
+    startHole = 1,
+    totalHoles = 18,
+    trackingMode = "shots",
+    scoringFormat = SCORING_FORMATS.STROKE_PLAY,
+    teeGender = "men",
+    courseHandicap = null,
+    playingHandicap = null,
+    claimedFromRoundId = null
+  } = roundOptions;
+  const holeOrder = roundOptions.holeOrder || getHoleSequence(startHole, totalHoles);
+  
   console.log("[createRound] Attempting to create a new round", { 
     profile_id, 
     course_id,
     tee_id,
-    tee_name
+    tee_name,
+    startHole,
+    totalHoles,
+    holeOrder,
+    trackingMode,
+    scoringFormat,
+    teeGender,
+    courseHandicap,
+    playingHandicap,
+    claimedFromRoundId
   });
   
   // Insert a new round record into the rounds table
@@ -39,7 +123,16 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
       course_id,
       is_complete: false, // New round is not complete
       selected_tee_id: tee_id,
-      selected_tee_name: tee_name
+      selected_tee_name: tee_name,
+      start_hole: startHole,
+      total_holes: totalHoles,
+      hole_order: holeOrder,
+      tracking_mode: trackingMode,
+      scoring_format: scoringFormat,
+      tee_gender: teeGender,
+      course_handicap: courseHandicap,
+      playing_handicap: playingHandicap,
+      claimed_from_round_id: claimedFromRoundId
     })
     .select(); // Returns the inserted record(s)
 
@@ -109,6 +202,113 @@ export const deleteAbandonedRound = async (round_id) => {
   }
 };
 
+/**
+ * Delete a completed round along with its holes and insights
+ * The player's handicap index is recalculated without it. Partners' rounds
+ * claimed from it are kept - their claimed_from_round_id is cleared by the
+ * foreign key's ON DELETE SET NULL.
+ * 
+ * @param {string} round_id - The ID of the round to delete
+ * @param {string} profile_id - The player who owns the round
+ * @returns {Promise<void>}
+ */
+export const deleteRound = async (round_id, profile_id) => {
+  console.log("[deleteRound] Deleting round:", round_id);
+  
+  // Check the round is the player's before anything is removed
+  const { data: round, error: roundError } = await supabase
+    .from("rounds")
+    .select("id")
+    .eq("id", round_id)
+    .eq("profile_id", profile_id)
+    .maybeSingle();
+  
+  if (roundError) {
+    console.error("[deleteRound] Error loading round:", roundError);
+    throw new Error(`Failed to delete round: ${roundError.message}`);
+  }
+  if (!round) {
+    throw new Error("Round not found");
+  }
+  
+  // Rows that reference the round go first
+  for (const table of ["shots", "insights"]) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq("round_id", round_id);
+    
+    if (error) {
+      console.error(`[deleteRound] Error deleting ${table}:`, error);
+      throw new Error(`Failed to delete round ${table}: ${error.message}`);
+    }
+  }
+  
+  const { error } = await supabase
+    .from("rounds")
+    .delete()
+    .eq("id", round_id)
+    .eq("profile_id", profile_id);
+  
+  if (error) {
+    console.error("[deleteRound] Error deleting round:", error);
+    throw new Error(`Failed to delete round: ${error.message}`);
+  }
+  
+  console.log("[deleteRound] Round deleted successfully:", round_id);
+  
+  refreshCalculatedHandicap(profile_id).catch(err => {
+    console.error("[deleteRound] Failed to update handicap index:", err);
+  });
+};
+
+/**
+ * Archive or unarchive a round
+ * Archived rounds are hidden from the rounds list but still count towards stats.
+ * 
+ * @param {string} round_id - The ID of the round
+ * @param {boolean} archived - Whether the round is archived
+ * @returns {Promise<void>}
+ */
+export const setRoundArchived = async (round_id, archived) => {
+  const { error } = await supabase
+    .from("rounds")
+    .update({ is_archived: archived })
+    .eq("id", round_id);
+  
+  if (error) {
+    console.error("[setRoundArchived] Error updating round:", error);
+    throw new Error(`Failed to update round: ${error.message}`);
+  }
+};
+
+/**
+ * Mark a round as excluded from stats and insights, or include it again
+ * Practice rounds and scrambles are kept in the rounds list but left out of
+ * averages, the handicap index and the rounds sent to the coach. The
+ * player's handicap index is recalculated straight away.
+ * 
+ * @param {string} round_id - The ID of the round
+ * @param {boolean} excluded - Whether the round is excluded
+ * @param {string} profile_id - The player who owns the round
+ * @returns {Promise<void>}
+ */
+export const setRoundExcludedFromStats = async (round_id, excluded, profile_id) => {
+  const { error } = await supabase
+    .from("rounds")
+    .update({ exclude_from_stats: excluded })
+    .eq("id", round_id);
+  
+  if (error) {
+    console.error("[setRoundExcludedFromStats] Error updating round:", error);
+    throw new Error(`Failed to update round: ${error.message}`);
+  }
+  
+  refreshCalculatedHandicap(profile_id).catch(err => {
+    console.error("[setRoundExcludedFromStats] Failed to update handicap index:", err);
+  });
+};
+
 /**
  * Save hole data for a specific hole to AsyncStorage
  * MODIFIED: Now saves to AsyncStorage instead of database during tracking
@@ -180,10 +380,11 @@ export const getRoundHoleData = async (round_id) => {
  * 
  * @param {string} round_id - The ID of the round to complete.
  * @param {object} storedHoleData - All hole data from AsyncStorage
- * @param {number} totalHoles - Total number of holes in the round
+ * @param {number} totalHoles - Total number of holes in the round (used when the round has no stored layout)
+ * @param {Array} partners - Playing partners scored on this round, saved with it (optional)
  * @returns {object} The updated round record.
  */
-export const completeRound = async (round_id, storedHoleData, totalHoles = 18) => {
+export const completeRound = async (round_id, storedHoleData, totalHoles = 18, partners = null) => {
   try {
     console.log("[completeRound] Starting round completion process for round:", round_id);
     console.log("[completeRound] Processing", Object.keys(storedHoleData).length, "holes of data");
@@ -193,7 +394,7 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
     try {
       const { data: roundResult, error: roundError } = await supabase
         .from("rounds")
-        .select("course_id, profile_id, selected_tee_name") 
+        .select("course_id, profile_id, selected_tee_id, selected_tee_name, start_hole, total_holes, hole_order, scoring_format, playing_handicap, tee_gender") 
         .eq("id", round_id)
         .single();
         
@@ -208,11 +409,14 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
       throw new Error(`Failed to fetch round information: ${error.message}`);
     }
     
+    // Work out which holes belong to this round, in the order they were played
+    const holeSequence = getRoundHoleOrder(roundData, totalHoles);
+    
     // 2. Get the par value for that course
     try {
       const { data: courseResult, error: courseError } = await supabase
         .from("courses")
-        .select("par")
+        .select("par, holes, tees")
         .eq("id", roundData.course_id)
         .single();
         
@@ -227,31 +431,25 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
       throw new Error(`Failed to fetch course information: ${error.message}`);
     }
     
-    const coursePar = courseData.par || 72; // Default to 72 if par is not set
-    
     // 3. Save each hole to the database with granular error handling
-    let grossShots = 0;
     let holesProcessed = 0;
+    const savedHoles = []; // Rows as saved to the shots table - totals come from the holes actually played
     
-    for (let holeNum = 1; holeNum <= totalHoles; holeNum++) {
+    for (const holeNum of holeSequence) {
       // Skip holes with no data
-      if (!storedHoleData[holeNum] || !storedHoleData[holeNum].shots || storedHoleData[holeNum].shots.length === 0) {
+      if (!hasHoleData(storedHoleData[holeNum])) {
         console.log(`[completeRound] Skipping hole ${holeNum} - no shot data`);
         continue;
       }
       
       const holeInfo = storedHoleData[holeNum];
-      const totalScore = holeInfo.shots.length;
+      // Shots played plus penalty strokes
+      const totalScore = getHoleStrokes(holeInfo);
       
-      // Create hole data object including POI data
-      const holeDataForDb = {
-        par: holeInfo.par,
-        distance: holeInfo.distance,
-        index: holeInfo.index,
-        features: holeInfo.features,
-        shots: holeInfo.shots,
-        poi: holeInfo.poi // Include POI data in database record
-      };
+      const holeDataForDb = buildHoleDataForDb(
+        holeInfo,
+        getPlayedHolePar(holeInfo, courseData, holeNum, roundData.tee_gender)
+      );
       
       // Save hole data to database with specific error handling
       try {
@@ -271,24 +469,29 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
           throw new Error(`Failed to save hole ${holeNum} data: ${error.message}`);
         }
         
-        grossShots += totalScore;
         holesProcessed++;
-        console.log(`[completeRound] Hole ${holeNum} data saved to database (${totalScore} shots)`);
+        savedHoles.push({ hole_number: holeNum, hole_data: holeDataForDb, total_score: totalScore });
+        console.log(`[completeRound] Hole ${holeNum} data saved to database (${totalScore} strokes)`);
       } catch (error) {
         console.error(`[completeRound] Error saving hole ${holeNum}:`, error);
         throw new Error(`Failed to save data for hole ${holeNum}: ${error.message}`);
       }
     }
     
-    console.log(`[completeRound] Successfully processed ${holesProcessed} holes with ${grossShots} total shots`);
+    // 4. Calculate score relative to the par of the holes played, stats and strokes gained
+    const totals = calculateRoundTotals(savedHoles);
+    console.log(`[completeRound] Successfully processed ${holesProcessed} holes with ${totals.gross_shots} total shots`);
     
-    // 4. Calculate score relative to par
-    const score = grossShots - coursePar;
+    // Stableford points, match standing or skins for rounds not played as stroke play
+    const formatResult = roundData.scoring_format && roundData.scoring_format !== SCORING_FORMATS.STROKE_PLAY
+      ? await calculateRoundFormatResult(roundData, courseData, holeSequence, storedHoleData, partners)
+      : null;
     
     console.log("[completeRound] Statistics calculated:", {
-      coursePar,
-      grossShots,
-      score,
+      parPlayed: totals.par_played,
+      holesInRound: holeSequence.length,
+      grossShots: totals.gross_shots,
+      score: totals.score,
       holesProcessed
     });
     
@@ -299,8 +502,9 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
         .from("rounds")
         .update({ 
           is_complete: true,
-          gross_shots: grossShots,
-          score: score
+          ...totals,
+          format_result: formatResult,
+          ...(partners && partners.length > 0 ? { partners } : {})
         })
         .eq("id", round_id)
         .select();
@@ -317,28 +521,12 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
     }
     
     // 6. Trigger insights generation (non-blocking)
-    try {
-      console.log("[completeRound] Triggering insights generation Edge Function");
-      
-      supabase.functions.invoke('analyze-golf-performance', {
-        body: { 
-          userId: roundData.profile_id,
-          roundId: round_id
-        }
-      }).then(({ data: insightsData, error: insightsError }) => {
-        if (insightsError) {
-          console.error("[completeRound] Error from insights Edge Function:", insightsError);
-        } else {
-          console.log("[completeRound] Insights generated successfully:", insightsData);
-        }
-      }).catch(err => {
-        console.error("[completeRound] Exception calling insights Edge Function:", err);
-      });
-      
-    } catch (insightsError) {
-      console.error("[completeRound] Failed to trigger insights generation:", insightsError);
-      // Don't throw here - insights generation is non-critical
-    }
+    triggerRoundInsights(roundData.profile_id, round_id, "completeRound");
+    
+    // 7. Update the calculated handicap index with this round (non-blocking)
+    refreshCalculatedHandicap(roundData.profile_id).catch(err => {
+      console.error("[completeRound] Failed to update handicap index:", err);
+    });
 
     console.log("[completeRound] Round completion process finished successfully");
     return finalRoundData;
@@ -346,4 +534,374 @@ export const completeRound = async (round_id, storedHoleData, totalHoles = 18) =
     console.error("[completeRound] Error in complete round process:", error);
     throw error; // Re-throw with original error message for user display
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Correct a hole on a completed round
+ * 
+ * Saves the edited hole, then works the round's score, stats, strokes gained
+ * and format result out again from every hole on the card. Each edit is
+ * appended to the round's edit_history so the change can be traced.
+ * 
+ * @param {string} round_id - The completed round
+ * @param {number} holeNumber - The hole being corrected
+ * @param {object} holeData - The hole's corrected hole_data (shots and penalties, or quickScore)
+ * @param {object} options
+ * @param {boolean} options.reanalyze - Ask analyze-golf-performance for fresh insights on the round
+ * @returns {object} The updated round record
+ */
+export const editCompletedRoundHole = async (round_id, holeNumber, holeData, options = {}) => {
+  const { reanalyze = false } = options;
+  console.log("[editCompletedRoundHole] Editing hole", holeNumber, "on round", round_id);
+  
+  // 1. The round and its course, as completeRound reads them
+  const { data: roundData, error: roundError } = await supabase
+    .from("rounds")
+    .select("course_id, profile_id, selected_tee_id, selected_tee_name, start_hole, total_holes, hole_order, scoring_format, playing_handicap, tee_gender, partners, gross_shots, score, edit_history")
+    .eq("id", round_id)
+    .single();
+  
+  if (roundError) {
+    throw new Error(`Failed to fetch round information: ${roundError.message}`);
+  }
+  
+  const { data: courseData, error: courseError } = await supabase
+    .from("courses")
+    .select("par, holes, tees")
+    .eq("id", roundData.course_id)
+    .single();
+  
+  if (courseError) {
+    throw new Error(`Failed to fetch course information: ${courseError.message}`);
+  }
+  
+  const { data: existingHoles, error: holesError } = await supabase
+    .from("shots")
+    .select("hole_number, hole_data, total_score")
+    .eq("round_id", round_id);
+  
+  if (holesError) {
+    throw new Error(`Failed to fetch round holes: ${holesError.message}`);
+  }
+  
+  // 2. Save the corrected hole
+  const previousHole = (existingHoles || []).find(hole => hole.hole_number === holeNumber);
+  const holeDataForDb = buildHoleDataForDb(
+    holeData,
+    getPlayedHolePar(holeData, courseData, holeNumber, roundData.tee_gender)
+  );
+  const totalScore = getHoleStrokes(holeDataForDb);
+  
+  const { error: saveError } = await supabase
+    .from("shots")
+    .upsert({
+      round_id,
+      hole_number: holeNumber,
+      hole_data: holeDataForDb,
+      total_score: totalScore
+    }, {
+      onConflict: 'round_id,hole_number'
+    });
+  
+  if (saveError) {
+    throw new Error(`Failed to save hole ${holeNumber}: ${saveError.message}`);
+  }
+  
+  // 3. Totals and format result from every hole now on the card
+  const holeSequence = getRoundHoleOrder(roundData);
+  const savedHoles = [
+    ...(existingHoles || []).filter(hole => hole.hole_number !== holeNumber),
+    { hole_number: holeNumber, hole_data: holeDataForDb, total_score: totalScore }
+  ].filter(hole => hasHoleData(hole.hole_data));
+  const totals = calculateRoundTotals(savedHoles);
+  
+  const storedHoleData = {};
+  savedHoles.forEach(hole => {
+    storedHoleData[hole.hole_number] = hole.hole_data;
+  });
+  const formatResult = roundData.scoring_format && roundData.scoring_format !== SCORING_FORMATS.STROKE_PLAY
+    ? await calculateRoundFormatResult(roundData, courseData, holeSequence, storedHoleData, roundData.partners)
+    : null;
+  
+  // 4. Audit trail entry
+  const edit = {
+    edited_at: new Date().toISOString(),
+    hole_number: holeNumber,
+    previous_hole_strokes: previousHole?.total_score ?? null,
+    hole_strokes: totalScore,
+    previous_gross_shots: roundData.gross_shots,
+    gross_shots: totals.gross_shots,
+    previous_score: roundData.score,
+    score: totals.score
+  };
+  
+  const { data, error } = await supabase
+    .from("rounds")
+    .update({
+      ...totals,
+      format_result: formatResult,
+      edit_history: [...(roundData.edit_history || []), edit]
+    })
+    .eq("id", round_id)
+    .select();
+  
+  if (error) {
+    throw new Error(`Failed to update round: ${error.message}`);
+  }
+  
+  console.log("[editCompletedRoundHole] Round updated:", edit);
+  
+  // 5. Insights and handicap index reflect the corrected card
+  if (reanalyze) {
+    triggerRoundInsights(roundData.profile_id, round_id, "editCompletedRoundHole");
+  }
+  refreshCalculatedHandicap(roundData.profile_id).catch(err => {
+    console.error("[editCompletedRoundHole] Failed to update handicap index:", err);
+  });
+  
+  return data;
+};
+
+/**
+ * Work out a round's totals from the holes saved to the shots table
+ * 
+ * @param {Array} savedHoles - { hole_number, hole_data, total_score } for each hole played
+ * @returns {object} Round columns - gross_shots, score, holes_played, par_played, splits, stats and strokes_gained
+ */
+const calculateRoundTotals = (savedHoles) => {
+  const holeDetails = savedHoles.map(hole => hole.hole_data);
+  const scoredHoles = savedHoles.map(hole => ({
+    number: hole.hole_number,
+    par: hole.hole_data?.par || DEFAULT_HOLE_PAR,
+    strokes: hole.total_score || 0
+  }));
+  
+  const grossShots = scoredHoles.reduce((sum, hole) => sum + hole.strokes, 0);
+  const parPlayed = scoredHoles.reduce((sum, hole) => sum + hole.par, 0);
+  
+  return {
+    gross_shots: grossShots,
+    score: grossShots - parPlayed,
+    holes_played: scoredHoles.length,
+    par_played: parPlayed,
+    splits: calculateNineSplits(scoredHoles),
+    // Fairways, greens, scrambling and sand saves - stored so round lists can show them
+    stats: calculateRoundStats(holeDetails),
+    // Strokes gained against each baseline handicap level, for lists and insights
+    strokes_gained: calculateStrokesGainedByLevel(holeDetails)
+  };
+};
+
+/**
+ * Ask the analyze-golf-performance Edge Function for fresh insights (non-blocking)
+ * 
+ * @param {string} profile_id - The round's player
+ * @param {string} round_id - The round to analyze
+ * @param {string} caller - Log prefix of the calling function
+ */
+const triggerRoundInsights = (profile_id, round_id, caller) => {
+  try {
+    console.log(`[${caller}] Triggering insights generation Edge Function`);
+    
+    supabase.functions.invoke('analyze-golf-performance', {
+      body: { 
+        userId: profile_id,
+        roundId: round_id
+      }
+    }).then(({ data: insightsData, error: insightsError }) => {
+      if (insightsError) {
+        console.error(`[${caller}] Error from insights Edge Function:`, insightsError);
+      } else {
+        console.log(`[${caller}] Insights generated successfully:`, insightsData);
+      }
+    }).catch(err => {
+      console.error(`[${caller}] Exception calling insights Edge Function:`, err);
+    });
+    
+  } catch (insightsError) {
+    console.error(`[${caller}] Failed to trigger insights generation:`, insightsError);
+    // Don't throw here - insights generation is non-critical
+  }
+};
+
+/**
+ * Build the hole_data saved to the shots table
+ * 
+ * @param {object} holeInfo - Hole data from AsyncStorage, or hole_data being edited
+ * @param {number} par - Par for the hole
+ * @returns {object} hole_data record
+ */
+const buildHoleDataForDb = (holeInfo, par) => {
+  // Measured shot lengths from the GPS positions recorded with each shot
+  const shotDistances = getShotDistances(holeInfo);
+  const shotsWithDistances = (holeInfo.shots || []).map((shot, index) => (
+    shotDistances[index] !== null ? { ...shot, distance: shotDistances[index] } : shot
+  ));
+  
+  // Create hole data object including POI data
+  const holeDataForDb = {
+    par,
+    distance: holeInfo.distance,
+    index: holeInfo.index,
+    features: holeInfo.features,
+    shots: shotsWithDistances,
+    penalties: holeInfo.penalties || [], // Penalty strokes, linked to the shot that caused them
+    poi: holeInfo.poi // Include POI data in database record
+  };
+  
+  // Quick score holes have no shots - keep the score, putts, fairway and GIR the player entered
+  if (isQuickScoreHole(holeInfo)) {
+    holeDataForDb.quickScore = holeInfo.quickScore;
+  }
+  
+  return holeDataForDb;
+};
+
+/**
+ * Get the par for a hole that was played
+ * 
+ * Uses the par recorded with the hole, then the course layout for the
+ * player's tee set, then DEFAULT_HOLE_PAR so a missing layout can't throw
+ * the round's score out.
+ * 
+ * @param {object} holeInfo - Hole data from AsyncStorage
+ * @param {object} courseData - Course record with holes
+ * @param {number} holeNum - Hole number
+ * @param {string} teeGender - "men" or "women"
+ * @returns {number} Par for the hole
+ */
+const getPlayedHolePar = (holeInfo, courseData, holeNum, teeGender = "men") => {
+  const courseHole = (courseData?.holes || []).find(hole => hole.number === holeNum);
+  return holeInfo?.par || getHolePar(courseHole, teeGender) || DEFAULT_HOLE_PAR;
+};
+
+/**
+ * Split the holes played into the front nine (1-9) and back nine (10-18)
+ * 
+ * Holes beyond 18 on 27-hole courses count towards the back nine.
+ * 
+ * @param {Array} scoredHoles - { number, par, strokes } for each hole played
+ * @returns {object} { front, back } each with { holes, gross_shots, par }, or null when no hole was played on that nine
+ */
+const calculateNineSplits = (scoredHoles) => {
+  const summarize = (holes) => (holes.length > 0 ? {
+    holes: holes.length,
+    gross_shots: holes.reduce((sum, hole) => sum + hole.strokes, 0),
+    par: holes.reduce((sum, hole) => sum + hole.par, 0)
+  } : null);
+  
+  return {
+    front: summarize(scoredHoles.filter(hole => hole.number <= 9)),
+    back: summarize(scoredHoles.filter(hole => hole.number > 9))
+  };
+};
+
+/**
+ * Work out whether a completed round is missing holes
+ * 
+ * Rounds completed before holes_played was stored fall back to the holes
+ * with a score in their shots rows. Their score was worked out against the
+ * par of the whole round, so it's marked as unreliable when holes were skipped.
+ * 
+ * @param {object} round - Round record with holes_played, total_holes and hole_order
+ * @param {Array} shotRows - The round's shots rows ({ hole_number, total_score }), used for older rounds
+ * @returns {object|null} { holesPlayed, totalHoles, parUnreliable } or null when every hole was played
+ */
+export const getIncompleteRoundInfo = (round, shotRows = []) => {
+  const totalHoles = getRoundHoleOrder(round).length;
+  const storedHolesPlayed = round?.holes_played ?? null;
+  
+  // A round with no shots rows at all can't tell us anything
+  const scoredHoles = new Set((shotRows || [])
+    .filter(row => row.total_score > 0)
+    .map(row => row.hole_number));
+  const holesPlayed = storedHolesPlayed ?? (scoredHoles.size > 0 ? scoredHoles.size : null);
+  
+  if (holesPlayed === null || holesPlayed >= totalHoles) return null;
+  
+  return {
+    holesPlayed,
+    totalHoles,
+    parUnreliable: storedHolesPlayed === null
+  };
+};
+
+/**
+ * Work out a round's result in its scoring format
+ * 
+ * The player is scored off the playing handicap worked out when the tee was
+ * picked. Rounds without one convert the handicap index on the profile
+ * using the tee's rating and slope, and score the player gross when the tee
+ * isn't rated or there's no index. Partners' handicap indexes, entered in
+ * the tracker, are converted the same way so everyone plays off the same
+ * scale. Each handicap is spread over the holes played by stroke index,
+ * which come from the hole data, falling back to the course layout.
+ * 
+ * @param {object} roundData - Round record with profile_id, scoring_format and the tee played
+ * @param {object} courseData - Course record with holes and tees
+ * @param {Array<number>} holeSequence - Hole numbers in playing order
+ * @param {object} storedHoleData - All hole data from AsyncStorage
+ * @param {Array} partners - Playing partners with their scores
+ * @returns {object|null} Result of calculateFormatResult, with playerScoredGross
+ */
+const calculateRoundFormatResult = async (roundData, courseData, holeSequence, storedHoleData, partners) => {
+  // Strokes for this tee, these holes and the format's allowance
+  const getPlayingHandicapFor = (handicapIndex) => calculateRoundHandicap(
+    courseData,
+    { id: roundData.selected_tee_id, name: roundData.selected_tee_name },
+    handicapIndex,
+    { holeNumbers: holeSequence, gender: roundData.tee_gender, scoringFormat: roundData.scoring_format }
+  )?.playingHandicap ?? null;
+  
+  let handicap = roundData.playing_handicap ?? null;
+  if (handicap === null) {
+    // The profile holds a handicap index
+    try {
+      const { data: profile, error } = await supabase
+        .from("profiles")
+        .select("handicap")
+        .eq("id", roundData.profile_id)
+        .single();
+      
+      if (error) throw error;
+      handicap = getPlayingHandicapFor(profile?.handicap ?? null);
+    } catch (error) {
+      console.warn("[completeRound] Could not load handicap:", error.message);
+    }
+  }
+  
+  const holes = holeSequence.map(holeNum => {
+    const courseHole = (courseData?.holes || []).find(hole => hole.number === holeNum);
+    return {
+      number: holeNum,
+      par: storedHoleData[holeNum]?.par || getHolePar(courseHole, roundData.tee_gender),
+      index: storedHoleData[holeNum]?.index || getHoleStrokeIndex(courseHole, roundData.tee_gender)
+    };
+  });
+  
+  const scores = {};
+  holeSequence.forEach(holeNum => {
+    if (hasHoleData(storedHoleData[holeNum])) {
+      scores[holeNum] = getHoleStrokes(storedHoleData[holeNum]);
+    }
+  });
+  
+  const players = [
+    { id: roundData.profile_id, name: null, handicap, scores },
+    ...(partners || []).map(partner => ({
+      id: partner.id,
+      name: partner.name,
+      handicap: typeof partner.handicap === "number" ? getPlayingHandicapFor(partner.handicap) : null,
+      scores: partner.scores || {}
+    }))
+  ];
+  
+  const result = calculateFormatResult(roundData.scoring_format, holes, players);
+  if (!result) return null;
+  
+  // Without a playing handicap the player is scored gross
+  return {
+    ...result,
+    playerScoredGross: handicap === null && roundData.scoring_format !== SCORING_FORMATS.STABLEFORD_GROSS
+  };
+};
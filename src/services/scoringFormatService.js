@@ -0,0 +1,333 @@
+// src/services/scoringFormatService.js
+//
+// Scoring formats for a round: stroke play, Stableford (gross and net),
+// match play and skins.
+//
+// Handicap strokes are allocated by stroke index - a player receiving 14
+// strokes gets one on each of the holes with index 1-14; a player on 22 gets
+// two on index 1-4 and one on the rest. Plus handicaps give strokes back,
+// starting from index 18.
+//
+// Match play and skins compare players, so they use the playing partners
+// recorded on the round. In match play the higher handicap receives the
+// difference between the two handicaps; in skins every player plays off
+// their full handicap, the lowest net score on a hole wins it outright and a
+// tied hole carries its skin over to the next.
+
+/**
+ * Format ids stored on rounds.scoring_format
+ */
+export const SCORING_FORMATS = {
+  STROKE_PLAY: "stroke_play",
+  STABLEFORD_GROSS: "stableford_gross",
+  STABLEFORD_NET: "stableford_net",
+  MATCH_PLAY: "match_play",
+  SKINS: "skins"
+};
+
+/**
+ * Formats offered when starting a round, in display order
+ */
+export const SCORING_FORMAT_OPTIONS = [
+  {
+    id: SCORING_FORMATS.STROKE_PLAY,
+    label: "Stroke Play",
+    description: "Total strokes against par"
+  },
+  {
+    id: SCORING_FORMATS.STABLEFORD_NET,
+    label: "Stableford (Net)",
+    description: "Points per hole after handicap strokes"
+  },
+  {
+    id: SCORING_FORMATS.STABLEFORD_GROSS,
+    label: "Stableford (Gross)",
+    description: "Points per hole off scratch"
+  },
+  {
+    id: SCORING_FORMATS.MATCH_PLAY,
+    label: "Match Play",
+    description: "Hole by hole against your first playing partner",
+    minPlayers: 2
+  },
+  {
+    id: SCORING_FORMATS.SKINS,
+    label: "Skins",
+    description: "Lowest net score wins the hole, ties carry over",
+    minPlayers: 2
+  }
+];
+
+/**
+ * Look up a format's display details
+ *
+ * @param {string} formatId - One of SCORING_FORMATS
+ * @returns {Object} Entry from SCORING_FORMAT_OPTIONS, stroke play when unknown
+ */
+export const getScoringFormat = (formatId) =>
+  SCORING_FORMAT_OPTIONS.find(option => option.id === formatId) || SCORING_FORMAT_OPTIONS[0];
+
+/**
+ * Get a course hole's par for the tees being played
+ *
+ * @param {Object} courseHole - Hole from courses.holes
+ * @param {string} gender - "men" or "women"
+ * @returns {number|null} Par for the hole
+ */
+export const getHolePar = (courseHole, gender = "men") => {
+  if (!courseHole) return null;
+  return (gender === "women" ? courseHole.par_women : courseHole.par_men) || courseHole.par_men || null;
+};
+
+/**
+ * Get a course hole's stroke index for the tees being played
+ *
+ * @param {Object} courseHole - Hole from courses.holes
+ * @param {string} gender - "men" or "women"
+ * @returns {number|null} Stroke index 1-18
+ */
+export const getHoleStrokeIndex = (courseHole, gender = "men") => {
+  if (!courseHole) return null;
+  return (gender === "women" ? courseHole.index_women : courseHole.index_men) || courseHole.index_men || null;
+};
+
+/**
+ * Spread a player's handicap strokes over the holes played
+ *
+ * Holes are ranked by stroke index, so a nine-hole round gives its strokes
+ * to the hardest holes on that nine. Plus handicaps give strokes back on
+ * the easiest holes.
+ *
+ * @param {Array} holes - { number, index } for each hole played
+ * @param {number} playingHandicap - Strokes for the holes played (negative for plus handicaps)
+ * @returns {Object} Strokes received keyed by hole number
+ */
+export const getHandicapStrokesByHole = (holes, playingHandicap) => {
+  const strokes = {};
+  holes.forEach(hole => {
+    strokes[hole.number] = 0;
+  });
+
+  const ranked = holes.filter(hole => hole.index).sort((a, b) => a.index - b.index);
+  const total = Math.round(playingHandicap || 0);
+  if (ranked.length === 0 || total === 0) return strokes;
+
+  ranked.forEach((hole, rank) => {
+    strokes[hole.number] = total > 0
+      ? Math.floor(total / ranked.length) + (rank < total % ranked.length ? 1 : 0)
+      : (rank >= ranked.length + total ? -1 : 0);
+  });
+
+  return strokes;
+};
+
+/**
+ * Stableford points for a hole - 2 for a net par, one more per stroke under
+ *
+ * @param {number} score - Gross strokes
+ * @param {number} par - Par for the hole
+ * @param {number} strokesReceived - Handicap strokes on the hole (0 for gross)
+ * @returns {number|null} Points, or null when the hole wasn't scored
+ */
+export const getStablefordPoints = (score, par, strokesReceived = 0) => {
+  if (!score || !par) return null;
+  return Math.max(0, 2 + par - (score - strokesReceived));
+};
+
+/**
+ * Describe a match's standing
+ *
+ * @param {number} standing - Holes up for the first player (negative when down)
+ * @param {number} holesRemaining - Holes left to play
+ * @returns {string} e.g. "All square", "2 up", "Dormie 3", "4 & 3"
+ */
+export const formatMatchStatus = (standing, holesRemaining) => {
+  const lead = Math.abs(standing);
+  if (lead === 0) return "All square";
+  if (lead > holesRemaining) return `${lead} & ${holesRemaining}`;
+  if (lead === holesRemaining && holesRemaining > 0) return `Dormie ${lead}`;
+  return `${lead} ${standing > 0 ? "up" : "down"}`;
+};
+
+/**
+ * Stableford for every player
+ *
+ * @param {Array} holes - Holes in playing order: { number, par, index }
+ * @param {Array} players - { id, name, handicap, scores } - handicap is strokes for the holes played, scores keyed by hole number
+ * @param {boolean} net - Whether handicap strokes are applied
+ * @returns {Object} { players: [{ id, name, handicap, points, holes: { [number]: points } }] }
+ */
+export const calculateStablefordResult = (holes, players, net = true) => ({
+  players: players.map(player => {
+    const holePoints = {};
+    const strokesByHole = net ? getHandicapStrokesByHole(holes, player.handicap) : {};
+    let points = 0;
+
+    holes.forEach(hole => {
+      const strokes = strokesByHole[hole.number] || 0;
+      const holeResult = getStablefordPoints(player.scores?.[hole.number], hole.par, strokes);
+      if (holeResult !== null) {
+        holePoints[hole.number] = holeResult;
+        points += holeResult;
+      }
+    });
+
+    return {
+      id: player.id,
+      name: player.name,
+      handicap: net ? player.handicap ?? null : null,
+      points,
+      holes: holePoints
+    };
+  })
+});
+
+/**
+ * Match play between the first two players
+ *
+ * Holes either player didn't score are skipped. The match ends once a
+ * player is more holes up than there are holes left.
+ *
+ * @param {Array} holes - Holes in playing order: { number, par, index }
+ * @param {Array} players - { id, name, handicap, scores }; only the first two play
+ * @returns {Object|null} { players, strokesGiven, receiver, holes, standing, holesRemaining, finished, status }
+ */
+export const calculateMatchPlayResult = (holes, players) => {
+  if (players.length < 2) return null;
+
+  const [first, second] = players;
+  const difference = Math.round((first.handicap || 0) - (second.handicap || 0));
+  // The higher handicap receives the difference
+  const strokesGiven = Math.abs(difference);
+  const receiver = difference > 0 ? 0 : difference < 0 ? 1 : null;
+
+  const receiverStrokes = getHandicapStrokesByHole(holes, strokesGiven);
+
+  let standing = 0;
+  let finished = false;
+  const holeResults = [];
+
+  holes.forEach((hole, position) => {
+    if (finished) return;
+
+    const firstScore = first.scores?.[hole.number];
+    const secondScore = second.scores?.[hole.number];
+    if (!firstScore || !secondScore) return;
+
+    const strokes = receiverStrokes[hole.number] || 0;
+    const firstNet = firstScore - (receiver === 0 ? strokes : 0);
+    const secondNet = secondScore - (receiver === 1 ? strokes : 0);
+
+    const winner = firstNet < secondNet ? 0 : secondNet < firstNet ? 1 : null;
+    if (winner === 0) standing++;
+    if (winner === 1) standing--;
+
+    const holesRemaining = holes.length - position - 1;
+    holeResults.push({ number: hole.number, winner, standing });
+
+    if (Math.abs(standing) > holesRemaining) {
+      finished = true;
+    }
+  });
+
+  const lastPlayed = holeResults.length > 0
+    ? holes.findIndex(hole => hole.number === holeResults[holeResults.length - 1].number)
+    : -1;
+  const holesRemaining = holes.length - lastPlayed - 1;
+
+  return {
+    players: [first, second].map(player => ({ id: player.id, name: player.name, handicap: player.handicap ?? null })),
+    strokesGiven,
+    receiver,
+    holes: holeResults,
+    standing,
+    holesRemaining,
+    finished: finished || holesRemaining === 0,
+    status: formatMatchStatus(standing, holesRemaining)
+  };
+};
+
+/**
+ * Net skins across every player
+ *
+ * A hole is only contested once every player has a score on it.
+ *
+ * @param {Array} holes - Holes in playing order: { number, par, index }
+ * @param {Array} players - { id, name, handicap, scores }
+ * @returns {Object|null} { players: [{ id, name, handicap, skins }], holes: [{ number, winner, skins }], carryover }
+ */
+export const calculateSkinsResult = (holes, players) => {
+  if (players.length < 2) return null;
+
+  const skins = players.map(() => 0);
+  const strokesByPlayer = players.map(player => getHandicapStrokesByHole(holes, player.handicap));
+  const holeResults = [];
+  let carryover = 0;
+
+  holes.forEach(hole => {
+    const netScores = players.map((player, index) => {
+      const score = player.scores?.[hole.number];
+      return score ? score - (strokesByPlayer[index][hole.number] || 0) : null;
+    });
+    if (netScores.some(score => score === null)) return;
+
+    const value = carryover + 1;
+    const best = Math.min(...netScores);
+    const leaders = netScores.filter(score => score === best).length;
+
+    if (leaders === 1) {
+      const winner = netScores.indexOf(best);
+      skins[winner] += value;
+      carryover = 0;
+      holeResults.push({ number: hole.number, winner, skins: value });
+    } else {
+      carryover = value;
+      holeResults.push({ number: hole.number, winner: null, skins: 0 });
+    }
+  });
+
+  return {
+    players: players.map((player, index) => ({
+      id: player.id,
+      name: player.name,
+      handicap: player.handicap ?? null,
+      skins: skins[index]
+    })),
+    holes: holeResults,
+    carryover
+  };
+};
+
+/**
+ * Work out a round's result in its scoring format
+ *
+ * Stroke play has nothing beyond the score already on the round, so it
+ * returns null, as do match play and skins without a partner.
+ *
+ * @param {string} formatId - One of SCORING_FORMATS
+ * @param {Array} holes - Holes in playing order: { number, par, index }
+ * @param {Array} players - The round's player first, then partners: { id, name, handicap, scores }
+ * @returns {Object|null} { format, ...format result }
+ */
+export const calculateFormatResult = (formatId, holes, players) => {
+  let result = null;
+
+  switch (formatId) {
+    case SCORING_FORMATS.STABLEFORD_NET:
+      result = calculateStablefordResult(holes, players, true);
+      break;
+    case SCORING_FORMATS.STABLEFORD_GROSS:
+      result = calculateStablefordResult(holes, players, false);
+      break;
+    case SCORING_FORMATS.MATCH_PLAY:
+      result = calculateMatchPlayResult(holes, players);
+      break;
+    case SCORING_FORMATS.SKINS:
+      result = calculateSkinsResult(holes, players);
+      break;
+    default:
+      result = null;
+  }
+
+  return result ? { format: formatId, ...result } : null;
+};
@@ -0,0 +1,277 @@
+// src/services/shotService.js
+//
+// Pure helpers for editing the shots and penalties recorded on a hole.
+// Every edit returns a new array; shotCounts is always rebuilt from shots so
+// the two can never drift apart. Penalties link to the shot that caused them.
+
+// Shot types and outcomes in the order ShotTable displays them
+// Penalties are not shots - they are recorded separately, see PENALTY_KINDS
+export const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand"];
+export const SHOT_OUTCOMES = ["On Target", "Slightly Off", "Recovery Needed"];
+
+// Penalty kinds and the strokes each adds to the hole score.
+// Stroke-and-distance costs one penalty stroke; the replayed shot is
+// recorded as a normal shot. Lost ball is scored under the stroke-and-distance
+// alternative local rule (drop near where the ball was lost), which costs two.
+export const PENALTY_KINDS = {
+  out_of_bounds: { label: "OB / Stroke & Distance", shortLabel: "OB", strokes: 1 },
+  water_red: { label: "Water (Red)", shortLabel: "Water", strokes: 1 },
+  water_yellow: { label: "Water (Yellow)", shortLabel: "Water", strokes: 1 },
+  unplayable: { label: "Unplayable", shortLabel: "Unplayable", strokes: 1 },
+  lost_ball: { label: "Lost Ball", shortLabel: "Lost", strokes: 2 }
+};
+
+/**
+ * Create a zeroed shotCounts table for ShotTable
+ *
+ * @returns {Object} Counts keyed by shot type, then outcome
+ */
+export const createEmptyShotCounts = () => {
+  const counts = {};
+  SHOT_TYPES.forEach(type => {
+    counts[type] = {};
+    SHOT_OUTCOMES.forEach(outcome => {
+      counts[type][outcome] = 0;
+    });
+  });
+  return counts;
+};
+
+/**
+ * Rebuild shotCounts from a list of shots
+ *
+ * @param {Array} shots - Array of { id, type, result, timestamp }
+ * @returns {Object} Counts keyed by shot type, then outcome
+ */
+export const buildShotCounts = (shots = []) => {
+  const counts = createEmptyShotCounts();
+  shots.forEach(shot => {
+    if (counts[shot.type] && counts[shot.type][shot.result] !== undefined) {
+      counts[shot.type][shot.result] += 1;
+    }
+  });
+  return counts;
+};
+
+/**
+ * Create a new shot record
+ *
+ * @param {string} type - Shot type, e.g. "Approach"
+ * @param {string} result - Shot outcome, e.g. "On Target"
+ * @returns {Object} { id, type, result, timestamp }
+ */
+export const createShot = (type, result) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  result,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Get the key penalties use to reference a shot
+ * Shots recorded before shots had ids fall back to their timestamp.
+ *
+ * @param {Object} shot - A recorded shot
+ * @returns {string} The shot's key
+ */
+export const getShotKey = (shot) => shot?.id || shot?.timestamp;
+
+/**
+ * Insert a shot at a position in the list
+ *
+ * @param {Array} shots - Current shots
+ * @param {number} index - Position to insert at (0 inserts first, shots.length appends)
+ * @param {Object} shot - The shot to insert
+ * @returns {Array} New shots array
+ */
+export const insertShot = (shots, index, shot) => {
+  const position = Math.max(0, Math.min(index, shots.length));
+  return [...shots.slice(0, position), shot, ...shots.slice(position)];
+};
+
+/**
+ * Change the type and/or outcome of a recorded shot
+ *
+ * @param {Array} shots - Current shots
+ * @param {number} index - Index of the shot to change
+ * @param {Object} changes - { type, result }
+ * @returns {Array} New shots array
+ */
+export const updateShot = (shots, index, changes) => {
+  if (index < 0 || index >= shots.length) {
+    return shots;
+  }
+  return shots.map((shot, i) => (i === index ? { ...shot, ...changes } : shot));
+};
+
+/**
+ * Delete a recorded shot
+ *
+ * @param {Array} shots - Current shots
+ * @param {number} index - Index of the shot to delete
+ * @returns {Array} New shots array
+ */
+export const deleteShot = (shots, index) => {
+  if (index < 0 || index >= shots.length) {
+    return shots;
+  }
+  return shots.filter((_, i) => i !== index);
+};
+
+/**
+ * Delete the most recent shot matching a type and outcome
+ * Used by the ShotTable minus buttons.
+ *
+ * @param {Array} shots - Current shots
+ * @param {string} type - Shot type
+ * @param {string} result - Shot outcome
+ * @returns {Array} New shots array (unchanged if nothing matched)
+ */
+export const removeLastShot = (shots, type, result) => {
+  for (let i = shots.length - 1; i >= 0; i--) {
+    if (shots[i].type === type && shots[i].result === result) {
+      return deleteShot(shots, i);
+    }
+  }
+  return shots;
+};
+
+/**
+ * Create a penalty caused by a recorded shot
+ *
+ * @param {string} kind - Key of PENALTY_KINDS
+ * @param {Object} shot - The shot that caused the penalty
+ * @returns {Object} { kind, strokes, shotId, timestamp }
+ */
+export const createPenalty = (kind, shot) => ({
+  kind,
+  strokes: PENALTY_KINDS[kind]?.strokes ?? 1,
+  shotId: getShotKey(shot),
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Remove the penalties linked to a shot
+ * Used when the shot itself is deleted.
+ *
+ * @param {Array} penalties - Current penalties
+ * @param {Object} shot - The shot being removed
+ * @returns {Array} New penalties array
+ */
+export const removePenaltiesForShot = (penalties = [], shot) => {
+  const shotKey = getShotKey(shot);
+  return penalties.filter(penalty => penalty.shotId !== shotKey);
+};
+
+/**
+ * Total the penalty strokes on a hole
+ *
+ * @param {Array} penalties - Penalties recorded on the hole
+ * @returns {number} Penalty strokes
+ */
+export const countPenaltyStrokes = (penalties = []) =>
+  (penalties || []).reduce((sum, penalty) => sum + (penalty.strokes ?? 1), 0);
+
+/**
+ * Check whether a hole was recorded in quick score mode
+ * Quick score holes carry a quickScore summary - { score, putts, fairway, gir } -
+ * instead of individual shots.
+ *
+ * @param {Object} hole - Hole data
+ * @returns {boolean} True for quick score holes
+ */
+export const isQuickScoreHole = (hole) => !!hole?.quickScore;
+
+/**
+ * Check whether anything has been recorded on a hole
+ *
+ * @param {Object} hole - Hole data
+ * @returns {boolean} True when the hole has shots or a quick score
+ */
+export const hasHoleData = (hole) =>
+  isQuickScoreHole(hole) ? hole.quickScore.score > 0 : hole?.shots?.length > 0;
+
+/**
+ * Get the score for a hole - shots played plus penalty strokes
+ * Quick score holes use the score the player entered.
+ *
+ * @param {Object} hole - Hole data with shots and penalties
+ * @returns {number} Strokes taken on the hole
+ */
+export const getHoleStrokes = (hole) => {
+  if (isQuickScoreHole(hole)) {
+    return hole.quickScore.score || 0;
+  }
+  return (hole?.shots?.length || 0) + countPenaltyStrokes(hole?.penalties);
+};
+
+// Directions a missed putt can finish relative to the hole
+export const PUTT_MISS_DIRECTIONS = ["short", "long", "left", "right"];
+
+/**
+ * Get the putts recorded on a hole, in order
+ *
+ * @param {Object} hole - Hole data with shots
+ * @returns {Array} Putt shots - each may carry putt: { distance, holed, miss }
+ */
+export const getPutts = (hole) =>
+  (hole?.shots || []).filter(shot => shot.type === "Putts");
+
+/**
+ * Count the strokes taken to reach the green
+ * Shots before the first putt, plus any penalties those shots caused.
+ *
+ * @param {Object} hole - Hole data with shots and penalties
+ * @returns {number|null} Strokes to the green, or null if the hole has no putts
+ */
+export const getStrokesToGreen = (hole) => {
+  const shots = hole?.shots || [];
+  const firstPuttIndex = shots.findIndex(shot => shot.type === "Putts");
+  if (firstPuttIndex === -1) {
+    return null;
+  }
+
+  const approachShots = shots.slice(0, firstPuttIndex);
+  const approachKeys = approachShots.map(getShotKey);
+  const approachPenalties = (hole?.penalties || []).filter(penalty => approachKeys.includes(penalty.shotId));
+
+  return approachShots.length + countPenaltyStrokes(approachPenalties);
+};
+
+/**
+ * Summarise putting on a hole
+ *
+ * Putting detail is optional - distances are in feet and are null when the
+ * player didn't record them. A putt with no holed flag counts as holed if
+ * it was the last putt on the hole.
+ *
+ * @param {Object} hole - Hole data with shots, or a quick score
+ * @returns {Object} { putts, firstPuttDistance, holedDistance, threePutt, misses }
+ */
+export const getPuttingSummary = (hole) => {
+  const misses = {};
+  PUTT_MISS_DIRECTIONS.forEach(direction => {
+    misses[direction] = 0;
+  });
+
+  // Quick score holes only record the number of putts
+  if (isQuickScoreHole(hole)) {
+    const putts = hole.quickScore.putts || 0;
+    return { putts, firstPuttDistance: null, holedDistance: null, threePutt: putts >= 3, misses };
+  }
+
+  const putts = getPutts(hole);
+  const lastPutt = putts[putts.length - 1];
+
+  PUTT_MISS_DIRECTIONS.forEach(direction => {
+    misses[direction] = putts.filter(putt => putt.putt?.miss === direction).length;
+  });
+
+  return {
+    putts: putts.length,
+    firstPuttDistance: putts[0]?.putt?.distance ?? null,
+    holedDistance: lastPutt && lastPutt.putt?.holed !== false ? (lastPutt.putt?.distance ?? null) : null,
+    threePutt: putts.length >= 3,
+    misses
+  };
+};
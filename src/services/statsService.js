@@ -0,0 +1,174 @@
+// src/services/statsService.js
+//
+// Classic scoring stats derived from the recorded shot sequence.
+// Pure functions only - works on hole_data as stored in the shots table or
+// in AsyncStorage during a round.
+//
+// Rules:
+// - Fairway hit (FIR): only par 4 and par 5 holes are eligible - par-3 tee
+//   shots never count as fairways. The first shot on the hole is the tee
+//   shot, whatever type it was recorded as. It's a fairway hit when its
+//   outcome is "On Target" and it caused no penalty.
+// - Green in regulation (GIR): the ball reached the green in par - 2 strokes
+//   or fewer. Strokes to the green are the shots before the first putt plus
+//   any penalties those shots caused. A hole holed without putting counts as
+//   a GIR when holed in par - 2 strokes or fewer (e.g. an ace on a par 3).
+// - Scrambling: on holes where the GIR was missed, the player still made
+//   par or better.
+// - Up and down: on holes where the GIR was missed, the last shot before
+//   putting was a Chip or Sand shot and the ball was holed with at most one
+//   putt.
+// - Sand save: the last shot before putting was a Sand shot (a greenside
+//   bunker shot) and the player made par or better.
+// Holes with no shots recorded are skipped. A stat that doesn't apply to a
+// hole is null rather than false, so it is left out of the round totals.
+//
+// Quick score holes record only score, putts, fairway and GIR. Fairway and
+// GIR are taken as entered; an unanswered GIR is worked out as score minus
+// putts against par - 2, unless putts weren't recorded (scores a playing
+// partner entered). Up and downs and sand saves need the shot sequence, so
+// they are null on quick score holes.
+
+import {
+  getHoleStrokes,
+  getStrokesToGreen,
+  getPuttingSummary,
+  getShotKey,
+  isQuickScoreHole
+} from "./shotService";
+
+/**
+ * Calculate the stats for a hole recorded in quick score mode
+ */
+const calculateQuickScoreHoleStats = (hole) => {
+  const { score, putts = null, fairway = null, gir = null } = hole.quickScore;
+  if (!score) {
+    return null;
+  }
+
+  const par = hole.par || null;
+  const hasPutts = typeof putts === "number";
+  const reachedInRegulation = gir !== null
+    ? gir
+    : (par && hasPutts ? score - putts <= par - 2 : null);
+
+  return {
+    par,
+    strokes: score,
+    putts: hasPutts ? putts : 0,
+    fairway: par && par >= 4 ? fairway : null,
+    gir: par ? reachedInRegulation : null,
+    scramble: reachedInRegulation === false && par ? score <= par : null,
+    upAndDown: null,
+    sandSave: null
+  };
+};
+
+/**
+ * Calculate the stats for a single hole
+ *
+ * @param {Object} hole - Hole data with par, shots and penalties
+ * @returns {Object|null} { par, strokes, putts, fairway, gir, scramble, upAndDown, sandSave }
+ *                        or null when the hole has no shots
+ */
+export const calculateHoleStats = (hole) => {
+  if (isQuickScoreHole(hole)) {
+    return calculateQuickScoreHoleStats(hole);
+  }
+
+  const shots = hole?.shots || [];
+  if (shots.length === 0) {
+    return null;
+  }
+
+  const par = hole.par || null;
+  const strokes = getHoleStrokes(hole);
+  const { putts } = getPuttingSummary(hole);
+
+  // Fairway - par 4s and 5s only
+  let fairway = null;
+  if (par && par >= 4) {
+    const teeShot = shots[0];
+    const teeShotPenalised = (hole.penalties || []).some(penalty => penalty.shotId === getShotKey(teeShot));
+    fairway = teeShot.result === "On Target" && !teeShotPenalised;
+  }
+
+  // Green in regulation
+  let gir = null;
+  if (par) {
+    const strokesToGreen = getStrokesToGreen(hole);
+    gir = strokesToGreen !== null
+      ? strokesToGreen <= par - 2
+      : strokes <= par - 2;
+  }
+
+  // Last shot played from off the green - the one that found the green or was holed
+  const firstPuttIndex = shots.findIndex(shot => shot.type === "Putts");
+  const lastOffGreenShot = firstPuttIndex === -1
+    ? shots[shots.length - 1]
+    : shots[firstPuttIndex - 1];
+
+  const madeParOrBetter = par ? strokes <= par : null;
+
+  return {
+    par,
+    strokes,
+    putts,
+    fairway,
+    gir,
+    scramble: gir === false ? madeParOrBetter : null,
+    upAndDown: gir === false
+      ? (!!lastOffGreenShot && ["Chip", "Sand"].includes(lastOffGreenShot.type) && putts <= 1)
+      : null,
+    sandSave: par && lastOffGreenShot?.type === "Sand" ? madeParOrBetter : null
+  };
+};
+
+/**
+ * Total a stat across holes
+ * Returns { made, attempts, percentage } - percentage is null with no attempts.
+ */
+const tally = (holeStats, key) => {
+  const eligible = holeStats.filter(stats => stats[key] !== null);
+  const made = eligible.filter(stats => stats[key]).length;
+
+  return {
+    made,
+    attempts: eligible.length,
+    percentage: eligible.length > 0 ? Math.round((made / eligible.length) * 100) : null
+  };
+};
+
+/**
+ * Calculate the stats for a round
+ *
+ * @param {Array|Object} holes - Hole data for the round, as an array or keyed by hole number
+ * @returns {Object} { holesPlayed, fairways, gir, scrambling, upAndDowns, sandSaves, putts, puttsPerGir }
+ */
+export const calculateRoundStats = (holes) => {
+  const holeList = Array.isArray(holes) ? holes : Object.values(holes || {});
+  const holeStats = holeList.map(calculateHoleStats).filter(Boolean);
+
+  const girHoles = holeStats.filter(stats => stats.gir);
+  const puttsOnGir = girHoles.reduce((sum, stats) => sum + stats.putts, 0);
+
+  return {
+    holesPlayed: holeStats.length,
+    fairways: tally(holeStats, "fairway"),
+    gir: tally(holeStats, "gir"),
+    scrambling: tally(holeStats, "scramble"),
+    upAndDowns: tally(holeStats, "upAndDown"),
+    sandSaves: tally(holeStats, "sandSave"),
+    putts: holeStats.reduce((sum, stats) => sum + stats.putts, 0),
+    puttsPerGir: girHoles.length > 0 ? Number((puttsOnGir / girHoles.length).toFixed(1)) : null
+  };
+};
+
+/**
+ * Format a stat tally for display, e.g. "7/14"
+ *
+ * @param {Object} stat - { made, attempts }
+ * @returns {string} "made/attempts", or "-" when there were no attempts
+ */
+export const formatStat = (stat) =>
+  stat && stat.attempts > 0 ? `${stat.made}/${stat.attempts}` : "-";
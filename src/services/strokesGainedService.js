@@ -0,0 +1,268 @@
+// src/services/strokesGainedService.js
+//
+// Strokes gained against a baseline of expected strokes to hole out.
+// Pure functions only - works on hole_data as stored in the shots table or
+// in AsyncStorage during a round.
+//
+// For each shot: SG = expected(start) - expected(end) - 1 - penalty strokes
+// the shot caused. The end of a shot is the start of the next one, and the
+// last shot on a hole ends in the hole (expected 0).
+//
+// Distances come from the shot's distanceToHole (yards, from GPS or entered
+// manually) or, for putts, putt.distance (feet). The tee shot falls back to
+// the hole's yardage. A shot whose start or end distance is unknown gets no
+// SG value and is left out of the totals.
+//
+// The lie for each shot is taken from the shot sequence:
+// - First shot on the hole: tee
+// - Putts: green
+// - Sand shots: sand
+// - Otherwise from the previous shot's outcome: On Target -> fairway,
+//   Slightly Off -> rough, Recovery Needed -> recovery
+//
+// Categories:
+// - Off the tee: the tee shot on par 4s and 5s
+// - Approach: other shots from more than 50 yards, including par-3 tee shots
+// - Around the green: shots from 50 yards and in, other than putts
+// - Putting: putts
+
+import { getShotKey } from "./shotService";
+
+// Expected strokes to hole out by lie. Distances are yards, except the green
+// which is feet. Values between points are interpolated linearly.
+const SCRATCH_BASELINE = {
+  tee: [[100, 3.0], [150, 3.05], [200, 3.2], [250, 3.45], [300, 3.82], [350, 4.0], [400, 4.1], [450, 4.25], [500, 4.55], [550, 4.8], [600, 4.95]],
+  fairway: [[10, 2.25], [20, 2.45], [40, 2.65], [60, 2.75], [80, 2.82], [100, 2.88], [120, 2.95], [140, 3.02], [160, 3.1], [180, 3.2], [200, 3.32], [250, 3.65], [300, 3.9], [400, 4.15], [500, 4.6], [600, 4.95]],
+  rough: [[10, 2.45], [20, 2.65], [40, 2.85], [60, 2.98], [80, 3.05], [100, 3.12], [120, 3.18], [140, 3.26], [160, 3.35], [180, 3.45], [200, 3.55], [250, 3.85], [300, 4.02], [400, 4.3], [500, 4.75], [600, 5.05]],
+  sand: [[10, 2.55], [20, 2.65], [40, 2.95], [60, 3.25], [80, 3.35], [100, 3.35], [150, 3.4], [200, 3.7], [250, 4.0], [300, 4.15]],
+  recovery: [[50, 3.4], [100, 3.8], [150, 3.9], [200, 4.05], [250, 4.25], [300, 4.4], [400, 4.7]],
+  green: [[1, 1.0], [2, 1.01], [3, 1.05], [4, 1.14], [5, 1.24], [6, 1.35], [8, 1.51], [10, 1.63], [15, 1.8], [20, 1.9], [30, 2.02], [40, 2.1], [50, 2.18], [60, 2.25], [90, 2.45]]
+};
+
+const TWENTY_HANDICAP_BASELINE = {
+  tee: [[100, 3.55], [150, 3.75], [200, 3.95], [250, 4.3], [300, 4.7], [350, 4.95], [400, 5.15], [450, 5.4], [500, 5.8], [550, 6.1], [600, 6.3]],
+  fairway: [[10, 2.6], [20, 2.85], [40, 3.1], [60, 3.25], [80, 3.35], [100, 3.45], [120, 3.55], [140, 3.7], [160, 3.85], [180, 4.0], [200, 4.15], [250, 4.55], [300, 4.85], [400, 5.3], [500, 5.8], [600, 6.2]],
+  rough: [[10, 2.8], [20, 3.05], [40, 3.35], [60, 3.5], [80, 3.6], [100, 3.7], [120, 3.82], [140, 3.96], [160, 4.1], [180, 4.25], [200, 4.4], [250, 4.8], [300, 5.1], [400, 5.55], [500, 6.05], [600, 6.45]],
+  sand: [[10, 3.05], [20, 3.25], [40, 3.6], [60, 3.9], [80, 4.0], [100, 4.05], [150, 4.2], [200, 4.55], [250, 4.9], [300, 5.15]],
+  recovery: [[50, 4.0], [100, 4.45], [150, 4.6], [200, 4.8], [250, 5.05], [300, 5.25], [400, 5.7]],
+  green: [[1, 1.0], [2, 1.03], [3, 1.1], [4, 1.22], [5, 1.34], [6, 1.45], [8, 1.62], [10, 1.75], [15, 1.93], [20, 2.03], [30, 2.15], [40, 2.25], [50, 2.33], [60, 2.4], [90, 2.6]]
+};
+
+// Handicap levels a round can be compared against. Levels between scratch
+// and 20 blend the two tables linearly.
+export const HANDICAP_LEVELS = [0, 5, 10, 15, 20];
+
+export const SG_CATEGORIES = {
+  offTheTee: "Off the Tee",
+  approach: "Approach",
+  aroundTheGreen: "Around the Green",
+  putting: "Putting"
+};
+
+// Shots from this distance and in (yards) count as around the green
+const AROUND_GREEN_YARDS = 50;
+
+const LIE_BY_OUTCOME = {
+  "On Target": "fairway",
+  "Slightly Off": "rough",
+  "Recovery Needed": "recovery"
+};
+
+/**
+ * Interpolate expected strokes from a baseline table
+ */
+const interpolate = (table, distance) => {
+  if (distance <= table[0][0]) {
+    return table[0][1];
+  }
+
+  for (let i = 1; i < table.length; i++) {
+    const [upperDistance, upperStrokes] = table[i];
+    if (distance <= upperDistance) {
+      const [lowerDistance, lowerStrokes] = table[i - 1];
+      const ratio = (distance - lowerDistance) / (upperDistance - lowerDistance);
+      return lowerStrokes + ratio * (upperStrokes - lowerStrokes);
+    }
+  }
+
+  return table[table.length - 1][1];
+};
+
+/**
+ * Get the expected strokes to hole out from a position
+ *
+ * @param {number} distance - Distance to the hole (feet on the green, yards elsewhere)
+ * @param {string} lie - tee, fairway, rough, sand, recovery or green
+ * @param {number} handicapLevel - Baseline handicap level (0 = scratch)
+ * @returns {number|null} Expected strokes, or null for an unknown lie
+ */
+export const getExpectedStrokes = (distance, lie, handicapLevel = 0) => {
+  if (!SCRATCH_BASELINE[lie] || distance === null || distance === undefined) {
+    return null;
+  }
+
+  const scratch = interpolate(SCRATCH_BASELINE[lie], distance);
+  const twentyHandicap = interpolate(TWENTY_HANDICAP_BASELINE[lie], distance);
+  const weight = Math.max(0, handicapLevel) / 20;
+
+  return scratch + (twentyHandicap - scratch) * weight;
+};
+
+/**
+ * Work out the lie and distance each shot on a hole was played from
+ */
+const getShotPositions = (hole) => {
+  const shots = hole?.shots || [];
+
+  return shots.map((shot, index) => {
+    if (shot.type === "Putts") {
+      const feet = shot.putt?.distance ?? (shot.distanceToHole ? shot.distanceToHole * 3 : null);
+      return { lie: "green", distance: feet };
+    }
+
+    if (index === 0) {
+      return { lie: "tee", distance: shot.distanceToHole ?? hole.distance ?? null };
+    }
+
+    if (shot.type === "Sand") {
+      return { lie: "sand", distance: shot.distanceToHole ?? null };
+    }
+
+    const previousResult = shots[index - 1].result;
+    return { lie: LIE_BY_OUTCOME[previousResult] || "rough", distance: shot.distanceToHole ?? null };
+  });
+};
+
+/**
+ * Categorise a shot for strokes gained
+ */
+const getShotCategory = (shot, index, position, par) => {
+  if (shot.type === "Putts") return "putting";
+  if (index === 0 && par >= 4) return "offTheTee";
+  if (position.distance !== null && position.distance <= AROUND_GREEN_YARDS) return "aroundTheGreen";
+  return "approach";
+};
+
+/**
+ * Calculate strokes gained for every shot on a hole
+ *
+ * @param {Object} hole - Hole data with par, distance, shots and penalties
+ * @param {number} handicapLevel - Baseline handicap level (0 = scratch)
+ * @returns {Array} One entry per shot: { category, strokesGained } - strokesGained is null when distances are missing
+ */
+export const calculateShotStrokesGained = (hole, handicapLevel = 0) => {
+  const shots = hole?.shots || [];
+  const positions = getShotPositions(hole);
+
+  return shots.map((shot, index) => {
+    const start = positions[index];
+    const category = getShotCategory(shot, index, start, hole?.par || null);
+
+    const startExpected = getExpectedStrokes(start.distance, start.lie, handicapLevel);
+    const isLastShot = index === shots.length - 1;
+    const end = isLastShot ? null : positions[index + 1];
+    const endExpected = isLastShot ? 0 : getExpectedStrokes(end.distance, end.lie, handicapLevel);
+
+    if (startExpected === null || endExpected === null) {
+      return { category, strokesGained: null };
+    }
+
+    const penaltyStrokes = (hole.penalties || [])
+      .filter(penalty => penalty.shotId === getShotKey(shot))
+      .reduce((sum, penalty) => sum + (penalty.strokes ?? 1), 0);
+
+    return {
+      category,
+      strokesGained: Number((startExpected - endExpected - 1 - penaltyStrokes).toFixed(2))
+    };
+  });
+};
+
+/**
+ * Calculate strokes gained by category for a round
+ *
+ * @param {Array|Object} holes - Hole data for the round, as an array or keyed by hole number
+ * @param {number} handicapLevel - Baseline handicap level (0 = scratch)
+ * @returns {Object} { handicapLevel, total, offTheTee, approach, aroundTheGreen, putting, shotsMeasured, shotsTotal }
+ */
+export const calculateRoundStrokesGained = (holes, handicapLevel = 0) => {
+  const holeList = Array.isArray(holes) ? holes : Object.values(holes || {});
+  const totals = { offTheTee: 0, approach: 0, aroundTheGreen: 0, putting: 0 };
+  let shotsMeasured = 0;
+  let shotsTotal = 0;
+
+  holeList.forEach(hole => {
+    calculateShotStrokesGained(hole, handicapLevel).forEach(({ category, strokesGained }) => {
+      shotsTotal++;
+      if (strokesGained !== null) {
+        totals[category] += strokesGained;
+        shotsMeasured++;
+      }
+    });
+  });
+
+  const round = (value) => Number(value.toFixed(2));
+
+  return {
+    handicapLevel,
+    total: round(totals.offTheTee + totals.approach + totals.aroundTheGreen + totals.putting),
+    offTheTee: round(totals.offTheTee),
+    approach: round(totals.approach),
+    aroundTheGreen: round(totals.aroundTheGreen),
+    putting: round(totals.putting),
+    shotsMeasured,
+    shotsTotal
+  };
+};
+
+/**
+ * Calculate strokes gained for a round against every handicap level
+ * Stored on the round so lists and insights don't need the shot data.
+ *
+ * @param {Array|Object} holes - Hole data for the round
+ * @returns {Object} Round strokes gained keyed by handicap level
+ */
+export const calculateStrokesGainedByLevel = (holes) => {
+  const byLevel = {};
+  HANDICAP_LEVELS.forEach(level => {
+    byLevel[level] = calculateRoundStrokesGained(holes, level);
+  });
+  return byLevel;
+};
+
+/**
+ * Average strokes gained across several rounds
+ * Rounds with no measured shots are ignored.
+ *
+ * @param {Array} roundResults - Results of calculateRoundStrokesGained
+ * @returns {Object|null} Average per round by category, plus the number of rounds used
+ */
+export const calculateRollingStrokesGained = (roundResults) => {
+  const measured = (roundResults || []).filter(result => result && result.shotsMeasured > 0);
+  if (measured.length === 0) {
+    return null;
+  }
+
+  const average = (key) =>
+    Number((measured.reduce((sum, result) => sum + result[key], 0) / measured.length).toFixed(2));
+
+  return {
+    rounds: measured.length,
+    total: average("total"),
+    offTheTee: average("offTheTee"),
+    approach: average("approach"),
+    aroundTheGreen: average("aroundTheGreen"),
+    putting: average("putting")
+  };
+};
+
+/**
+ * Format a strokes gained value for display, e.g. "+1.25" or "-0.40"
+ *
+ * @param {number|null} value - Strokes gained
+ * @returns {string} Signed value, or "-" when unknown
+ */
+export const formatStrokesGained = (value) => {
+  if (value === null || value === undefined) return "-";
+  return value > 0 ? `+${value.toFixed(2)}` : value.toFixed(2);
+};
@@ -1,6 +1,9 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2.31.0';
 
+// How quick score rounds are described to the coach, in both prompts
+const QUICK_SCORE_GUIDANCE = `Rounds with trackingMode "quick" were scored like a paper card: their holes have no shots, only quickScore with the gross score, putts, fairway hit and green in regulation (null when not answered). Use them for scoring, putting, fairway and GIR trends, but don't draw shot-type, timing or outcome conclusions from them, and give more weight to shot-by-shot rounds for anything that needs that detail.`;
+
 // Handle both OPTIONS preflight requests and actual function calls
 serve(async (req) => {
   // Handle OPTIONS requests for CORS preflight
@@ -150,6 +153,11 @@ serve(async (req) => {
         created_at,
         is_complete,
         selected_tee_name,
+        hole_order,
+        strokes_gained,
+        tracking_mode,
+        holes_played,
+        par_played,
         courses:course_id (
           id,
           name,
@@ -162,6 +170,7 @@ serve(async (req) => {
       `)
       .eq("profile_id", userId)
       .eq("is_complete", true)
+      .not("exclude_from_stats", "is", true) // Practice rounds and scrambles aren't sent to the coach
       .order("created_at", { ascending: false })
       .limit(5);
     
@@ -192,6 +201,47 @@ serve(async (req) => {
     
     console.log(`Retrieved data for ${allHoleData.length} holes across all rounds`);
     
+    // Strokes gained is stored per round against each baseline level (0, 5, 10, 15, 20).
+    // Compare against scratch and against the level closest to the player's handicap.
+    const SG_LEVELS = [0, 5, 10, 15, 20];
+    const sgHandicapLevel = typeof userHandicap === "number"
+      ? SG_LEVELS.reduce((closest, level) =>
+          Math.abs(level - userHandicap) < Math.abs(closest - userHandicap) ? level : closest, 0)
+      : 0;
+    
+    const getRoundStrokesGained = (round) => {
+      const byLevel = round.strokes_gained;
+      if (!byLevel || !byLevel[0] || byLevel[0].shotsMeasured === 0) return null;
+      return {
+        vsScratch: byLevel[0],
+        vsHandicapLevel: byLevel[sgHandicapLevel] || null,
+        handicapLevel: sgHandicapLevel
+      };
+    };
+    
+    // Average strokes gained per round by category across the rounds that have it
+    const getRollingStrokesGained = (rounds) => {
+      const measured = rounds.map(round => round.strokesGained).filter(Boolean);
+      if (measured.length === 0) return null;
+      
+      const average = (baseline, key) =>
+        Number((measured.reduce((sum, sg) => sum + (sg[baseline]?.[key] || 0), 0) / measured.length).toFixed(2));
+      const averages = (baseline) => ({
+        total: average(baseline, "total"),
+        offTheTee: average(baseline, "offTheTee"),
+        approach: average(baseline, "approach"),
+        aroundTheGreen: average(baseline, "aroundTheGreen"),
+        putting: average(baseline, "putting")
+      });
+      
+      return {
+        rounds: measured.length,
+        handicapLevel: sgHandicapLevel,
+        vsScratch: averages("vsScratch"),
+        vsHandicapLevel: averages("vsHandicapLevel")
+      };
+    };
+    
     // Process hole data for each round (keeping existing logic intact)
     const processedRounds = roundsData.map(round => {
       // Extract time data for temporal analysis
@@ -202,6 +252,11 @@ serve(async (req) => {
       // Filter holes for this specific round
       const roundHoles = allHoleData.filter(hole => hole.round_id === round.id);
       
+      // Play order for the round - shotgun starts don't begin on hole 1
+      const holeOrder = Array.isArray(round.hole_order) && round.hole_order.length > 0
+        ? round.hole_order
+        : null;
+      
       // Initialize shot counts structure (same as before for compatibility)
       const shotCounts = {
         "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
@@ -213,6 +268,19 @@ serve(async (req) => {
         "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
       };
       
+      // Penalty strokes for the round, recorded separately from shots
+      const penaltySummary = {
+        totalStrokes: 0,
+        byKind: {}
+      };
+      
+      // Putting for the round - distances are only present when putting detail was recorded
+      const puttingSummary = {
+        totalPutts: 0,
+        threePutts: 0,
+        holesWithPuttDetail: 0
+      };
+      
       // Get detailed hole-by-hole data for analysis
       const holeDetails = [];
       
@@ -238,9 +306,53 @@ serve(async (req) => {
           endTime: holeTimestamps.length > 0 ? Math.max(...holeTimestamps) : null,
           duration: holeTimestamps.length >= 2 ? 
             (Math.max(...holeTimestamps) - Math.min(...holeTimestamps)) / 1000 / 60 : null, // in minutes
-          sequenceInRound: hole.hole_number // Natural sequence of the hole
+          // Position the hole was played in, falling back to the hole number for older rounds
+          sequenceInRound: holeOrder && holeOrder.includes(hole.hole_number)
+            ? holeOrder.indexOf(hole.hole_number) + 1
+            : hole.hole_number
+        };
+        
+        // Penalties link to the shot that caused them - resolve that to a shot number
+        const penalties = (Array.isArray(holeData.penalties) ? holeData.penalties : []).map(penalty => {
+          const shotIndex = holeData.shots.findIndex(shot => (shot.id || shot.timestamp) === penalty.shotId);
+          const strokes = penalty.strokes ?? 1;
+          
+          penaltySummary.totalStrokes += strokes;
+          penaltySummary.byKind[penalty.kind] = (penaltySummary.byKind[penalty.kind] || 0) + strokes;
+          
+          return {
+            kind: penalty.kind,
+            strokes,
+            causedByShotNumber: shotIndex >= 0 ? shotIndex + 1 : null,
+            causedByShotType: shotIndex >= 0 ? holeData.shots[shotIndex].type : null
+          };
+        });
+        
+        // Quick score holes have no shots - just the score, putts, fairway and GIR entered
+        const quickScore = holeData.quickScore || null;
+        
+        // Putting detail: each putt may carry { distance (feet), holed, miss: short/long/left/right }
+        const putts = holeData.shots.filter(shot => shot.type === "Putts");
+        const hasPuttDetail = putts.some(shot => shot.putt);
+        const puttCount = quickScore ? (quickScore.putts || 0) : putts.length;
+        const putting = {
+          putts: puttCount,
+          threePutt: puttCount >= 3,
+          firstPuttDistanceFt: putts[0]?.putt?.distance ?? null,
+          // Distance left after each missed putt isn't recorded, but the next putt's distance is
+          puttSequence: hasPuttDetail
+            ? putts.map(shot => ({
+                distanceFt: shot.putt?.distance ?? null,
+                holed: shot.putt?.holed ?? null,
+                miss: shot.putt?.miss ?? null
+              }))
+            : null
         };
         
+        puttingSummary.totalPutts += putting.putts;
+        if (putting.threePutt) puttingSummary.threePutts++;
+        if (hasPuttDetail) puttingSummary.holesWithPuttDetail++;
+        
         // Add to hole details for detailed analysis
         holeDetails.push({
           holeNumber: hole.hole_number,
@@ -250,6 +362,9 @@ serve(async (req) => {
           features: holeData.features || [],
           totalShots: hole.total_score || holeData.shots.length,
           shots: holeData.shots,
+          penalties: penalties,       // Penalty strokes are included in totalShots
+          putting: putting,
+          quickScore: quickScore,     // { score, putts, fairway, gir } for quick score holes, otherwise null
           timeInfo: holeTimeInfo,
           // Add POI data if available
           poi: holeData.poi || null
@@ -267,6 +382,9 @@ serve(async (req) => {
         });
       });
       
+      // Present holes in the order they were played so timing reads as a timeline
+      holeDetails.sort((a, b) => a.timeInfo.sequenceInRound - b.timeInfo.sequenceInRound);
+      
       // Find course-specific hole data if available
       let courseHoleData = null;
       if (round.courses && round.courses.holes && Array.isArray(round.courses.holes)) {
@@ -280,10 +398,16 @@ serve(async (req) => {
         time: roundTime,
         timestamp: roundTimestamp,
         totalScore: round.gross_shots,
-        par: round.courses?.par || 72, // Default to 72 if par not available
+        par: round.par_played ?? (round.courses?.par || 72), // Par of the holes played; older rounds fall back to the course par
+        holesPlayed: round.holes_played ?? null, // Null for rounds completed before holes played were stored
         teeName: round.selected_tee_name || "Unknown",
         shots: shotCounts,              // Aggregate counts for backward compatibility
-        holeDetails: holeDetails,       // Detailed hole-by-hole data
+        penalties: penaltySummary,      // Penalty strokes by kind (out_of_bounds, water_red, water_yellow, unplayable, lost_ball)
+        putting: puttingSummary,        // Putts and 3-putts for the round
+        strokesGained: getRoundStrokesGained(round), // By category vs scratch and the player's level (null when no distances were recorded)
+        holeDetails: holeDetails,       // Detailed hole-by-hole data, in play order
+        holeOrder: holeOrder,           // Hole numbers in play order (null for older rounds)
+        trackingMode: round.tracking_mode || "shots", // "quick" rounds only have a score, putts, fairway and GIR per hole
         courseName: round.courses?.name || "Unknown Course",
         courseInfo: {
           name: round.courses?.name || "Unknown Course",
@@ -306,6 +430,7 @@ serve(async (req) => {
       golfData = {
         rounds: processedRounds,
         totalRounds: processedRounds.length,
+        strokesGained: getRollingStrokesGained(processedRounds),
         userProfile: {
           handicap: userHandicap
         }
@@ -316,6 +441,7 @@ serve(async (req) => {
       golfData = {
         rounds: limitedRounds,
         totalRounds: limitedRounds.length,
+        strokesGained: getRollingStrokesGained(limitedRounds),
         limitedData: true, // Flag for conversion prompts
         userProfile: {
           handicap: userHandicap
@@ -335,6 +461,14 @@ serve(async (req) => {
 
 I'm providing granular shot-by-shot data from ${golfData.totalRounds} recent rounds from a ${userHandicap ? `${userHandicap} handicap` : 'golfer'}. Each round contains shots per hole, with timestamps, categorization by type of shot, and quality assessment (On Target/Slightly Off/Recovery Needed), with timestamps so you can see the timeline of each hole and each hole as one entity that is made up of single parts that make the total number for the whole. The data represents play across different courses. If you know any specifics about these courses or holes, use that knowledge in the assessment to improve contextual information on the rounds.
 
+HOW THE DATA IS RECORDED:
+- Penalty strokes are recorded separately from shots: each hole's penalties list the kind (out of bounds / stroke and distance, water red, water yellow, unplayable, lost ball), the strokes added and the shot that caused it, and they are included in the hole's total. Older rounds may record penalties as "Penalties" shots instead.
+- When putting detail was recorded, each hole's putting.puttSequence gives every putt's distance in feet, whether it was holed and which side it missed (short, long, left, right) - use first-putt distances and the length of second putts to judge lag putting and speed control.
+- Shots logged with GPS carry position (lat, lng and accuracy in metres), distanceToHole in yards from where the shot was played, and distance - how far the shot travelled in yards, measured to the next shot's position or to the green centre for the shot that reached the green; use these to judge distance control by shot type.
+- Shots tagged with a club carry club (driver, 3w, 5h, 7i, pw, sw and so on) - combine it with distance to compare clubs and spot gaps in the bag.
+- ${QUICK_SCORE_GUIDANCE}
+- When strokes gained is available, each round's strokesGained breaks the round down into off the tee, approach, around the green and putting, against a scratch baseline and against the baseline closest to the player's handicap, and the top-level strokesGained gives the rolling average per round - use it to rank which part of the game costs the most shots, and note that only shots with a recorded distance to the hole are measured.
+
 As you analyze this data, focus on these high-value dimensions:
 
 1. SHOT SEQUENCE ANALYSIS:
@@ -416,6 +550,8 @@ Generate as many cards as needed to convey valuable insights. The first card sho
 
 I'm providing LIMITED data from just ${golfData.totalRounds} recent golf round. Premium subscribers receive analysis from 5 recent rounds for more comprehensive pattern detection.
 
+${QUICK_SCORE_GUIDANCE}
+
 Create a set of insight cards that provide genuine value while strategically demonstrating what the user would gain from premium access:
 
 1. Create one "Summary" card that provides actual useful insights from the limited data available
@@ -217,10 +217,14 @@ serve(async (req) => {
               
               const holePOIData = holePoi.get(holeNumber);
               
+              // Keep elevation (metres) when the API provides it - used for plays-like distances
+              const elevation = parseFloat(coord.elevation ?? coord.altitude);
+              
               // Create base point with lat/lng
               const point = {
                 lat: parseFloat(coord.latitude),
-                lng: parseFloat(coord.longitude)
+                lng: parseFloat(coord.longitude),
+                ...(isNaN(elevation) ? {} : { elevation })
               };
               
               // Map the POI values to feature types
@@ -0,0 +1,52 @@
+-- Cross-player access for playing partners (src/services/partnerService.js).
+-- See supabase/docs/access_rules.md.
+
+-- Look a registered player up by email without making profiles readable:
+-- only the id and first name of an exact match come back
+create or replace function public.find_player_by_email(player_email text)
+returns table (id uuid, first_name text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select profiles.id, profiles.first_name
+  from profiles
+  where profiles.email = lower(trim(player_email))
+  limit 1;
+$$;
+
+revoke execute on function public.find_player_by_email(text) from public, anon;
+grant execute on function public.find_player_by_email(text) to authenticated;
+
+-- Completed rounds a player was scored on, so they can claim them
+create policy "Partners can read rounds they were scored on"
+  on public.rounds for select to authenticated
+  using (
+    is_complete
+    and partners @> jsonb_build_array(jsonb_build_object('profile_id', auth.uid()))
+  );
+
+-- The holes of those rounds, copied into the claimed round
+create policy "Partners can read holes of rounds they were scored on"
+  on public.shots for select to authenticated
+  using (
+    exists (
+      select 1 from public.rounds
+      where rounds.id = shots.round_id
+        and rounds.is_complete
+        and rounds.partners @> jsonb_build_array(jsonb_build_object('profile_id', auth.uid()))
+    )
+  );
+
+-- The scorer's name on a claimable round
+create policy "Partners can read their scorer's profile"
+  on public.profiles for select to authenticated
+  using (
+    exists (
+      select 1 from public.rounds
+      where rounds.profile_id = profiles.id
+        and rounds.is_complete
+        and rounds.partners @> jsonb_build_array(jsonb_build_object('profile_id', auth.uid()))
+    )
+  );
@@ -0,0 +1,6 @@
+-- Deleting a round a partner has claimed keeps the partner's round and
+-- clears its link back, rather than failing on the foreign key
+alter table public.rounds
+  drop constraint if exists rounds_claimed_from_round_id_fkey,
+  add constraint rounds_claimed_from_round_id_fkey
+    foreign key (claimed_from_round_id) references public.rounds (id) on delete set null;